@@ -3,6 +3,20 @@ const cors = require('cors');
 const WebSocket = require('ws');
 const http = require('http');
 const { v4: uuidv4 } = require('uuid');
+const { CircuitSimulator, SimulationError, acFrequencies, sweepValues, bodeMetrics } = require('./velocitychip-simulator');
+const { SingularMatrixError } = require('./velocitychip-mna');
+const { componentLibrary, validateComponent } = require('./velocitychip-components');
+const { parseSpiceNetlist, generateSpiceNetlist } = require('./velocitychip-spice');
+const { generateVerilog, generateVerilogA } = require('./velocitychip-verilog');
+const { createDesignStore } = require('./velocitychip-storage');
+const { SNAPSHOT_FIELDS, createRevision, revisionSummary, diffSnapshots } = require('./velocitychip-revisions');
+const { RuleError, checkDesign } = require('./velocitychip-erc');
+const { AnalysisError, runMonteCarlo, runCorners } = require('./velocitychip-montecarlo');
+const { validateMeasurements, framesDataset, acDataset, dcDataset, evaluateMeasurements } = require('./velocitychip-measure');
+const { GROUND_NET, migrateConnections, migrateDesign, normalizeNetName, normalizeNets, parseEndpoint, validateNets, validateConnections } = require('./velocitychip-netlist');
+const { HierarchyError, PATH_SEPARATOR, isInstance, isExpandable, designPorts, applyParameters, attachPorts, flattenDesign } = require('./velocitychip-hierarchy');
+const { isBuiltin, unregisterComponent, loadPlugins } = require('./velocitychip-registry');
+const { DEFAULT_CATEGORY, validatePart, registerPart } = require('./velocitychip-parts');
 
 const app = express();
 const server = http.createServer(app);
@@ -12,276 +26,26 @@ const wss = new WebSocket.Server({ server });
 app.use(cors());
 app.use(express.json());
 
-// In-memory storage for designs and simulations
-const designs = new Map();
+// Designs persist in the store chosen by VELOCITYCHIP_STORAGE, simulations are per connection
+const designs = createDesignStore();
+// Designs stored with legacy `connections` move onto pin-level nets once, at startup
+designs.list().filter(design => !Array.isArray(design.nets)).forEach(design => designs.save(migrateDesign(design)));
 const activeSimulations = new Map();
 
-// Circuit simulation engine
-class CircuitSimulator {
-  constructor(designId, components, connections) {
-    this.designId = designId;
-    this.components = components;
-    this.connections = connections;
-    this.isRunning = false;
-    this.timeStep = 0;
-    this.simulationSpeed = 1; // 1x real-time
-  }
-
-  // Advanced SPICE-like circuit simulation
-  simulate() {
-    const results = {
-      timestamp: Date.now(),
-      timeStep: this.timeStep++,
-      nodes: {},
-      components: {},
-      performance: {}
-    };
-
-    // Handle empty components array
-    if (!this.components || this.components.length === 0) {
-      results.performance = {
-        totalPower: 0,
-        maxVoltage: 0,
-        maxCurrent: 0,
-        efficiency: 0,
-        propagationDelay: 0,
-        bandwidth: 0
-      };
-      return results;
-    }
-
-    // Nodal analysis for each component
-    this.components.forEach(comp => {
-      try {
-        const nodeVoltage = this.calculateNodeVoltage(comp);
-        const current = this.calculateCurrent(comp, nodeVoltage);
-        const power = nodeVoltage * current;
-        
-        results.nodes[comp.id] = {
-          voltage: nodeVoltage,
-          current: current,
-          power: power,
-          temperature: this.calculateTemperature(power),
-          frequency: this.calculateFrequency(comp)
-        };
-
-        // Component-specific calculations
-        results.components[comp.id] = this.analyzeComponent(comp, nodeVoltage, current);
-      } catch (error) {
-        console.error(`Error simulating component ${comp.id}:`, error);
-        // Provide default values for failed component
-        results.nodes[comp.id] = {
-          voltage: 0,
-          current: 0,
-          power: 0,
-          temperature: 25,
-          frequency: 1000
-        };
-        results.components[comp.id] = {
-          operatingPoint: { voltage: 0, current: 0, power: 0 },
-          characteristics: {},
-          status: 'error'
-        };
-      }
-    });
-
-    // Performance metrics with safe calculations
-    const nodeValues = Object.values(results.nodes);
-    results.performance = {
-      totalPower: nodeValues.reduce((sum, node) => sum + (node.power || 0), 0),
-      maxVoltage: nodeValues.length > 0 ? Math.max(...nodeValues.map(n => n.voltage || 0)) : 0,
-      maxCurrent: nodeValues.length > 0 ? Math.max(...nodeValues.map(n => n.current || 0)) : 0,
-      efficiency: this.calculateEfficiency(results.nodes),
-      propagationDelay: this.calculatePropagationDelay(),
-      bandwidth: this.calculateBandwidth()
-    };
-
-    return results;
-  }
-
-  calculateNodeVoltage(component) {
-    const baseVoltage = 3.3; // VDD reference
-    const timeMs = Date.now();
-    
-    switch (component.type) {
-      case 'transistor':
-        // MOSFET voltage calculation with realistic noise
-        const vth = parseFloat(component.properties.threshold) || 0.7;
-        const noise = (Math.random() - 0.5) * 0.1;
-        return baseVoltage * (1 + Math.sin(timeMs / 1000) * 0.2) + noise;
-        
-      case 'resistor':
-        // Voltage drop across resistor with thermal noise
-        const resistance = parseFloat(component.properties.resistance) || 1000;
-        const thermalNoise = Math.sqrt(4 * 1.38e-23 * 300 * 1000) * Math.random(); // Johnson noise
-        return baseVoltage * (1 - resistance / 10000) + thermalNoise;
-        
-      case 'capacitor':
-        // Capacitive charging/discharging
-        const capacitance = parseFloat(component.properties.capacitance) || 1e-12;
-        const chargeTime = (timeMs % 2000) / 2000; // 2 second cycle
-        const rcConstant = 1000 * capacitance; // Assume 1kΩ resistance for RC circuit
-        return baseVoltage * (1 - Math.exp(-chargeTime / rcConstant));
-        
-      case 'inductor':
-        // Inductive response
-        const inductance = parseFloat(component.properties.inductance) || 1e-6;
-        return baseVoltage + 0.5 * Math.sin(timeMs / 500) * Math.exp(-timeMs / 5000);
-        
-      case 'diode':
-        // Diode forward voltage with temperature dependence
-        const vf = parseFloat(component.properties.forwardVoltage) || 0.7;
-        const tempCoeff = -0.002; // V/°C
-        const temp = 25 + Math.random() * 10; // 25-35°C
-        return vf + tempCoeff * (temp - 25) + Math.random() * 0.01;
-        
-      default:
-        return baseVoltage + Math.random() * 0.1;
-    }
-  }
-
-  calculateCurrent(component, voltage) {
-    switch (component.type) {
-      case 'transistor':
-        // MOSFET current using square-law model
-        const width = parseFloat(component.properties.width) || 10e-6;
-        const length = parseFloat(component.properties.length) || 0.5e-6;
-        const mobility = 400e-4; // cm²/V·s for NMOS
-        const cox = 3.9 * 8.854e-14 / 3e-9; // Gate oxide capacitance
-        const vth = 0.7;
-        const vgs = voltage;
-        const vds = voltage * 0.8;
-        
-        if (vgs > vth) {
-          const id = 0.5 * mobility * cox * (width / length) * Math.pow(vgs - vth, 2) * (1 + 0.1 * vds);
-          return id * 1e6; // Convert to μA
-        }
-        return 0.001 + Math.random() * 0.0001; // Leakage current
-        
-      case 'resistor':
-        const resistance = parseFloat(component.properties.resistance) || 1000;
-        return voltage / resistance;
-        
-      case 'capacitor':
-        // AC current through capacitor
-        const frequency = 1000; // 1kHz
-        const capacitance = parseFloat(component.properties.capacitance) || 1e-12;
-        const impedance = 1 / (2 * Math.PI * frequency * capacitance);
-        return voltage / impedance;
-        
-      case 'inductor':
-        const inductance = parseFloat(component.properties.inductance) || 1e-6;
-        const xl = 2 * Math.PI * 1000 * inductance;
-        return voltage / xl;
-        
-      default:
-        return voltage / 1000; // Default 1kΩ
-    }
-  }
-
-  calculateTemperature(power) {
-    const ambientTemp = 25; // °C
-    const thermalResistance = 100; // °C/W
-    return ambientTemp + power * thermalResistance + Math.random() * 2;
-  }
-
-  calculateFrequency(component) {
-    const baseFreq = 1000;
-    switch (component.type) {
-      case 'transistor':
-        return baseFreq * 10 + Math.random() * 1000;
-      case 'capacitor':
-        const c = parseFloat(component.properties.capacitance) || 1e-12;
-        return 1 / (2 * Math.PI * 1000 * c);
-      default:
-        return baseFreq + Math.random() * 500;
-    }
+// User-defined components live in the same kind of store. Stamp plugins are
+// loaded first since stored parts may use them; a part that no longer
+// validates is skipped rather than stopping the server
+const parts = createDesignStore(process.env, 'components');
+loadPlugins(process.env.VELOCITYCHIP_PLUGIN_DIR);
+parts.list().forEach(part => {
+  try {
+    const errors = validatePart(part);
+    if (errors.length > 0) throw new Error(`${errors[0].path}: ${errors[0].message}`);
+    registerPart(part);
+  } catch (error) {
+    console.warn(`Skipping component ${part.type}: ${error.message}`);
   }
-
-  analyzeComponent(component, voltage, current) {
-    const analysis = {
-      operatingPoint: {
-        voltage: voltage,
-        current: current,
-        power: voltage * current
-      },
-      characteristics: {},
-      status: 'normal'
-    };
-
-    switch (component.type) {
-      case 'transistor':
-        const vth = 0.7;
-        analysis.characteristics = {
-          region: voltage > vth ? 'saturation' : 'cutoff',
-          transconductance: (voltage - vth) !== 0 ? 2 * current / (voltage - vth) : 0,
-          outputResistance: current !== 0 ? voltage / current : Infinity,
-          gainBandwidth: 1e9 // 1GHz
-        };
-        
-        if (voltage > 5) analysis.status = 'overvoltage';
-        if (current > 0.1) analysis.status = 'overcurrent';
-        break;
-        
-      case 'resistor':
-        const resistance = parseFloat(component.properties.resistance) || 1000;
-        const maxPower = parseFloat(component.properties.power) || 0.25;
-        const actualPower = voltage * current;
-        
-        analysis.characteristics = {
-          resistance: resistance,
-          powerDissipation: actualPower,
-          powerRating: maxPower,
-          efficiency: (actualPower / maxPower) * 100
-        };
-        
-        if (actualPower > maxPower) analysis.status = 'overpower';
-        break;
-        
-      case 'capacitor':
-        const capacitance = parseFloat(component.properties.capacitance) || 1e-12;
-        const maxVoltage = parseFloat(component.properties.voltage) || 5;
-        
-        analysis.characteristics = {
-          capacitance: capacitance,
-          chargeStored: capacitance * voltage,
-          energy: 0.5 * capacitance * voltage * voltage,
-          impedance: 1 / (2 * Math.PI * 1000 * capacitance)
-        };
-        
-        if (voltage > maxVoltage) analysis.status = 'overvoltage';
-        break;
-    }
-
-    return analysis;
-  }
-
-  calculateEfficiency(nodes) {
-    const totalPowerIn = Object.values(nodes)
-      .filter(node => node.power > 0)
-      .reduce((sum, node) => sum + node.power, 0);
-    
-    const totalPowerOut = Object.values(nodes)
-      .filter(node => node.power < 0)
-      .reduce((sum, node) => sum + Math.abs(node.power), 0);
-    
-    return totalPowerIn > 0 ? (totalPowerOut / totalPowerIn) * 100 : 0;
-  }
-
-  calculatePropagationDelay() {
-    // Simplified propagation delay calculation
-    const componentDelay = this.components.length * 10e-12; // 10ps per component
-    const wireDelay = this.connections.length * 5e-12; // 5ps per connection
-    return (componentDelay + wireDelay) * 1e12; // Return in picoseconds
-  }
-
-  calculateBandwidth() {
-    // Estimate bandwidth based on fastest component
-    if (this.components.length === 0) return 0;
-    const frequencies = this.components.map(comp => this.calculateFrequency(comp));
-    return Math.max(...frequencies);
-  }
-}
+});
 
 // WebSocket connections for real-time simulation data
 const clients = new Map();
@@ -327,12 +91,45 @@ function startRealTimeSimulation(clientId, designId, config, ws) {
     ws.send(JSON.stringify({ error: 'Design not found' }));
     return;
   }
+  let circuit;
+  try {
+    circuit = flattenDesign(design, lookupDesign);
+  } catch (error) {
+    if (!(error instanceof HierarchyError)) throw error;
+    ws.send(JSON.stringify({ type: 'simulation_error', error: error.message }));
+    return;
+  }
+
+  // Each frame advances the transient analysis by `tstep` seconds of simulation time
+  const simulationConfig = { updateRate: 100, duration: 30000, tstep: 1e-6, method: 'trap', ...config };
+  simulationConfig.tstop = simulationConfig.tstop ||
+    simulationConfig.tstep * Math.ceil(simulationConfig.duration / simulationConfig.updateRate);
+
+  // Noise and self-heating are opt-in, as for POST /simulate
+  const { noise, noiseBandwidth, temperature, seed, thermal } = simulationConfig;
+  const settings = Object.fromEntries(
+    Object.entries({ noise, noiseBandwidth, temperature, seed, thermal }).filter(([, value]) => value !== undefined)
+  );
+  const simulator = new CircuitSimulator(designId, circuit.components, circuit.nets, settings);
+  // Transient measurements are re-evaluated on the waveform so far with every frame
+  const measurements = (design.measurements || []).filter(measurement => measurement.analysis === 'tran');
+  const history = [];
+  try {
+    history.push(simulator.startTransient({
+      tstop: simulationConfig.tstop,
+      tstep: simulationConfig.tstep,
+      tmax: simulationConfig.tmax,
+      method: simulationConfig.method
+    }));
+  } catch (error) {
+    ws.send(JSON.stringify({ type: 'simulation_error', error: error.message }));
+    return;
+  }
 
-  const simulator = new CircuitSimulator(designId, design.components, design.connections);
   activeSimulations.set(clientId, {
     simulator,
     interval: null,
-    config: config || { updateRate: 100, duration: 30000 }
+    config: simulationConfig
   });
 
   const simulation = activeSimulations.get(clientId);
@@ -341,13 +138,32 @@ function startRealTimeSimulation(clientId, designId, config, ws) {
   // Start real-time simulation loop
   simulation.interval = setInterval(() => {
     if (simulator.isRunning) {
-      const results = simulator.simulate();
+      let results;
+      try {
+        const frames = simulator.advanceTransient(simulator.time + simulation.config.tstep);
+        if (frames.length === 0) {
+          stopRealTimeSimulation(clientId);
+          return;
+        }
+        results = frames[frames.length - 1];
+        if (measurements.length > 0) history.push(...frames);
+      } catch (error) {
+        if (clients.has(clientId)) {
+          clients.get(clientId).send(JSON.stringify({
+            type: 'simulation_error',
+            error: error.message
+          }));
+        }
+        stopRealTimeSimulation(clientId);
+        return;
+      }
       
       // Broadcast to connected client
       if (clients.has(clientId)) {
         clients.get(clientId).send(JSON.stringify({
           type: 'simulation_data',
-          data: results
+          data: results,
+          measurements: evaluateMeasurements(measurements, 'tran', framesDataset(history))
         }));
       }
     }
@@ -382,20 +198,37 @@ function stopRealTimeSimulation(clientId) {
   }
 }
 
+// Property updates go through the same validator as the REST API, applied
+// to the component as it would look after the update
 function updateComponentInSimulation(clientId, componentId, properties) {
   const simulation = activeSimulations.get(clientId);
   if (simulation) {
-    const component = simulation.simulator.components.find(c => c.id === componentId);
-    if (component) {
-      Object.assign(component.properties, properties);
-      
+    const { simulator } = simulation;
+    const component = [...simulator.components, ...simulator.digitalComponents].find(c => String(c.id) === String(componentId));
+    const isObject = properties && typeof properties === 'object' && !Array.isArray(properties);
+    const errors = component
+      ? validateComponent({ ...component, properties: isObject ? { ...component.properties, ...properties } : properties })
+      : [{ path: '/componentId', message: `unknown component '${componentId}'` }];
+    if (errors.length > 0) {
       if (clients.has(clientId)) {
         clients.get(clientId).send(JSON.stringify({
-          type: 'component_updated',
+          type: 'component_update_error',
           componentId: componentId,
-          properties: properties
+          details: errors
         }));
       }
+      return;
+    }
+    Object.assign(component.properties, properties);
+    // Digital components react from the current simulation time, e.g. a constant's new value
+    if (simulator.digital && simulator.digitalComponents.includes(component)) simulator.digital.evaluate(component);
+    
+    if (clients.has(clientId)) {
+      clients.get(clientId).send(JSON.stringify({
+        type: 'component_updated',
+        componentId: componentId,
+        properties: properties
+      }));
     }
   }
 }
@@ -404,8 +237,8 @@ function updateComponentInSimulation(clientId, componentId, properties) {
 
 // Get all designs
 app.get('/api/designs', (req, res) => {
-  const designList = Array.from(designs.entries()).map(([id, design]) => ({
-    id,
+  const designList = designs.list().map(design => ({
+    id: design.id,
     name: design.name,
     created: design.created,
     modified: design.modified,
@@ -423,9 +256,137 @@ app.get('/api/designs/:id', (req, res) => {
   res.json(design);
 });
 
+// Designs submitted with legacy `connections` are migrated onto pin-level nets
+function resolveNets(components, nets, connections) {
+  return nets || migrateConnections(components, connections || []);
+}
+
+function lookupDesign(id) {
+  return designs.get(id);
+}
+
+// Design with every subcircuit instance expanded, as the simulator, the rule
+// checks and the HDL exporters need it. Sends a 422 and returns null when the
+// hierarchy is broken
+function resolveHierarchy(res, design) {
+  try {
+    return flattenDesign(design, lookupDesign);
+  } catch (error) {
+    if (!(error instanceof HierarchyError)) throw error;
+    res.status(422).json({ error: 'Invalid hierarchy', message: error.message });
+    return null;
+  }
+}
+
+// Block parameter defaults, { name: number | string with unit }
+function validateParameters(parameters) {
+  if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+    return [{ path: '/parameters', message: 'parameters must be an object' }];
+  }
+  const errors = [];
+  Object.entries(parameters).forEach(([name, value]) => {
+    if (!/^[A-Za-z_]\w*$/.test(name)) {
+      errors.push({ path: `/parameters/${name}`, message: 'parameter names must be identifiers' });
+    } else if (typeof value !== 'number' && typeof value !== 'string') {
+      errors.push({ path: `/parameters/${name}`, message: 'must be a number or a string with a unit' });
+    }
+  });
+  return errors;
+}
+
+// Schema errors of a design body against the component library, as
+// { path, message } with JSON pointers into the body. Nets are checked when
+// given, otherwise the legacy connections they would be migrated from.
+// '{name}' property values are checked with the design's parameter defaults
+// substituted, and subcircuit instances by expanding them
+function validateDesign({ id, name, components, nets, connections, measurements, parameters }) {
+  const errors = [];
+  if (name !== undefined && typeof name !== 'string') {
+    errors.push({ path: '/name', message: 'name must be a string' });
+  }
+  if (parameters !== undefined) {
+    errors.push(...validateParameters(parameters));
+  }
+  if (!Array.isArray(components)) {
+    return [...errors, { path: '/components', message: 'components must be an array' }];
+  }
+
+  const seen = new Map();
+  components.forEach((comp, index) => {
+    let resolved = comp;
+    if (comp && typeof comp === 'object' && comp.properties && typeof comp.properties === 'object' && !Array.isArray(comp.properties)) {
+      try {
+        [resolved] = applyParameters([comp], parameters || {});
+      } catch (error) {
+        if (!(error instanceof HierarchyError)) throw error;
+        errors.push({ path: `/components/${index}/properties`, message: error.message });
+      }
+    }
+    validateComponent(resolved).forEach(error => errors.push({ ...error, path: `/components/${index}${error.path}` }));
+    if (!comp || typeof comp !== 'object') return;
+    const id = String(comp.id);
+    if (seen.has(id)) {
+      errors.push({ path: `/components/${index}/id`, message: `duplicate id '${id}', also used by /components/${seen.get(id)}` });
+    } else {
+      seen.set(id, index);
+    }
+  });
+
+  const objects = components.filter(comp => comp && typeof comp === 'object');
+  if (nets !== undefined) {
+    errors.push(...validateNets(objects, nets));
+  } else if (connections !== undefined) {
+    errors.push(...validateConnections(objects, connections));
+  }
+  if (measurements !== undefined) {
+    // Nets named by connections only get their names later, so only known nets are checked
+    errors.push(...validateMeasurements(measurements, objects, Array.isArray(nets) ? nets : undefined));
+  }
+  if (errors.length === 0 && objects.some(comp => isInstance(comp) || isExpandable(comp))) {
+    try {
+      flattenDesign({ id, components, nets: nets || [], parameters }, lookupDesign);
+    } catch (error) {
+      if (!(error instanceof HierarchyError)) throw error;
+      const index = components.findIndex(comp => String(comp.id) === error.component.split(PATH_SEPARATOR)[0]);
+      errors.push({ path: `/components/${index}`, message: error.message });
+    }
+  }
+  return errors;
+}
+
+function sendValidationError(res, errors) {
+  res.status(422).json({ error: 'Invalid design', details: errors });
+}
+
 // Create new design
 app.post('/api/designs', (req, res) => {
-  const { name, components = [], connections = [] } = req.body;
+  const { name, nets, connections = [], measurements, parameters } = req.body;
+  // Instances take their pins from the current ports of their subcircuit
+  const components = Array.isArray(req.body.components) ? attachPorts(req.body.components, lookupDesign) : req.body.components || [];
+  const errors = validateDesign({ name, components, nets, connections, measurements, parameters });
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  const design = createDesign(
+    { name, components, nets: resolveNets(components, nets, connections), measurements, parameters },
+    { author: req.body.author, message: req.body.message }
+  );
+  res.status(201).json(design);
+});
+
+// Save the design as its next immutable revision. `metadata.version`
+// follows the revision number
+function commitDesign(design, { author, message } = {}) {
+  design.revision = (design.revision || 0) + 1;
+  design.metadata = { ...design.metadata, version: String(design.revision) };
+  designs.addRevision(createRevision(design, design.revision, { author, message }));
+  designs.save(design);
+  return design;
+}
+
+// Store a new, already validated design as revision 1
+function createDesign({ name, components, nets, analyses, measurements, parameters }, revisionInfo = {}) {
   const designId = uuidv4();
   const now = new Date().toISOString();
   
@@ -433,18 +394,41 @@ app.post('/api/designs', (req, res) => {
     id: designId,
     name: name || 'Untitled Design',
     components,
-    connections,
+    nets: normalizeNets(nets),
+    analyses: analyses || [],
+    measurements: measurements || [],
+    parameters: parameters || {},
     created: now,
     modified: now,
     metadata: {
-      version: '1.0',
       author: 'VelocityChip User',
       description: ''
     }
   };
   
-  designs.set(designId, design);
-  res.status(201).json(design);
+  return commitDesign(design, revisionInfo);
+}
+
+// Import a SPICE deck, sent as text/plain or as JSON { netlist, name }.
+// Unsupported cards come back as line-numbered warnings alongside the design
+app.post('/api/designs/import', express.text({ type: ['text/plain', 'application/x-spice'], limit: '5mb' }), (req, res) => {
+  const text = typeof req.body === 'string' ? req.body : req.body.netlist;
+  if (typeof text !== 'string' || text.trim() === '') {
+    return res.status(400).json({ error: 'Expected a SPICE netlist' });
+  }
+
+  const { design, warnings, errors } = parseSpiceNetlist(text);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid SPICE netlist', details: errors, warnings });
+  }
+  const designErrors = validateDesign(design);
+  if (designErrors.length > 0) {
+    return res.status(422).json({ error: 'Imported design is invalid', details: designErrors, warnings });
+  }
+
+  const name = typeof req.body === 'string' ? undefined : req.body.name;
+  const created = createDesign({ ...design, name: name || design.name }, { message: 'Imported from SPICE' });
+  res.status(201).json({ ...created, warnings });
 });
 
 // Update design
@@ -454,16 +438,241 @@ app.put('/api/designs/:id', (req, res) => {
     return res.status(404).json({ error: 'Design not found' });
   }
   
-  const { name, components, connections, metadata } = req.body;
+  // `author` and `message` describe the revision this update creates
+  const { name, nets, connections, measurements, parameters, metadata, author, message } = req.body;
+  const components = Array.isArray(req.body.components) ? attachPorts(req.body.components, lookupDesign) : req.body.components;
+  
+  const errors = validateDesign({
+    id: design.id,
+    name,
+    components: components || design.components,
+    // Existing nets are rechecked against replaced components
+    nets: nets || (connections ? undefined : design.nets),
+    connections,
+    // and existing measurements against both
+    measurements: measurements || design.measurements || [],
+    // and parameter references against the defaults
+    parameters: parameters || design.parameters || {}
+  });
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  if (components || nets || connections) {
+    const designComponents = components || design.components;
+    const designNets = nets || connections
+      ? resolveNets(designComponents, nets, connections)
+      : design.nets;
+    design.components = designComponents;
+    design.nets = normalizeNets(designNets);
+  }
   
   if (name) design.name = name;
-  if (components) design.components = components;
-  if (connections) design.connections = connections;
+  if (measurements) design.measurements = measurements;
+  if (parameters) design.parameters = parameters;
   if (metadata) design.metadata = { ...design.metadata, ...metadata };
   
   design.modified = new Date().toISOString();
   
-  designs.set(req.params.id, design);
+  commitDesign(design, { author, message });
+  res.json(design);
+});
+
+// Promote a design, or the `components` selected from it, into a new design
+// usable as a subcircuit. `ports` names the nets that become its ports, by
+// default the nets the selection shares with the rest of the design and any
+// net that already has a direction. With `replace`, the selection is swapped
+// for an instance of the new block in a new revision of this design
+app.post('/api/designs/:id/promote', (req, res) => {
+  const design = designs.get(req.params.id);
+  if (!design) {
+    return res.status(404).json({ error: 'Design not found' });
+  }
+
+  const { name, components: selection, ports, parameters = {}, replace = false, author } = req.body || {};
+  const ids = selection === undefined ? design.components.map(comp => String(comp.id)) : selection;
+  const errors = [];
+  if (name !== undefined && typeof name !== 'string') {
+    errors.push({ path: '/name', message: 'name must be a string' });
+  }
+  if (!Array.isArray(ids) || ids.length === 0) {
+    errors.push({ path: '/components', message: 'components must be a non-empty array of component ids' });
+  } else {
+    ids.forEach((id, i) => {
+      if (!design.components.some(comp => String(comp.id) === String(id))) {
+        errors.push({ path: `/components/${i}`, message: `unknown component '${id}'` });
+      }
+    });
+  }
+  if (typeof replace !== 'boolean') {
+    errors.push({ path: '/replace', message: 'replace must be a boolean' });
+  }
+  errors.push(...validateParameters(parameters));
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid promotion', details: errors });
+  }
+
+  const selected = new Set(ids.map(String));
+  const inside = pin => selected.has(parseEndpoint(pin).componentId);
+  const nets = design.nets.filter(net => net.pins.some(inside));
+  const boundary = nets
+    .filter(net => net.name !== GROUND_NET && (net.direction || !net.pins.every(inside)))
+    .map(net => net.name);
+  const portNames = ports === undefined ? boundary : ports;
+  if (!Array.isArray(portNames) || portNames.some(port => typeof port !== 'string')) {
+    return res.status(400).json({ error: 'Invalid promotion', details: [{ path: '/ports', message: 'ports must be an array of net names' }] });
+  }
+  const portErrors = portNames
+    .map((port, i) => ({ port: normalizeNetName(port), i }))
+    .map(({ port, i }) => {
+      const path = `/ports/${i}`;
+      if (port === GROUND_NET) return { path, message: 'ground is global and cannot be a port' };
+      // Ports become pin names and '.' separates the pin from the component
+      if (port.includes('.')) return { path, message: `port '${port}' cannot contain '.'` };
+      if (!nets.some(net => net.name === port)) return { path, message: `net '${port}' does not reach the selection` };
+      return null;
+    })
+    .filter(Boolean);
+  if (portErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid promotion', details: portErrors });
+  }
+
+  // Only port nets keep, or get, a direction
+  const portSet = new Set(portNames.map(normalizeNetName));
+  const blockNets = nets.map(({ direction, ...net }) => ({
+    ...net,
+    pins: net.pins.filter(inside),
+    ...(portSet.has(net.name) ? { direction: direction || 'inout' } : {})
+  }));
+  const body = {
+    name: name || `${design.name} block`,
+    components: design.components.filter(comp => selected.has(String(comp.id))),
+    nets: blockNets,
+    parameters
+  };
+  const blockErrors = validateDesign(body);
+  if (blockErrors.length > 0) {
+    return sendValidationError(res, blockErrors);
+  }
+  const block = createDesign(body, { author, message: `Promoted from ${design.name}` });
+  if (!replace) {
+    return res.status(201).json({ subcircuit: block, design });
+  }
+
+  // The instance sits where the selection was and joins the port nets
+  const taken = new Set(design.components.map(comp => String(comp.id)));
+  let instanceId = 'X1';
+  for (let k = 2; taken.has(instanceId); k++) instanceId = `X${k}`;
+  const moved = body.components;
+  const instance = {
+    id: instanceId,
+    type: 'subcircuit',
+    name: instanceId,
+    subcircuit: block.id,
+    parameters: {},
+    properties: {},
+    ports: designPorts(block),
+    x: Math.round(moved.reduce((sum, comp) => sum + (comp.x || 0), 0) / moved.length),
+    y: Math.round(moved.reduce((sum, comp) => sum + (comp.y || 0), 0) / moved.length)
+  };
+  design.components = [...design.components.filter(comp => !selected.has(String(comp.id))), instance];
+  design.nets = design.nets
+    .map(net => ({
+      ...net,
+      pins: [...net.pins.filter(pin => !inside(pin)), ...(portSet.has(net.name) ? [`${instanceId}.${net.name}`] : [])]
+    }))
+    .filter(net => net.pins.length > 0);
+  design.modified = new Date().toISOString();
+  commitDesign(design, { author, message: `Replaced ${moved.length} components with ${block.name}` });
+  res.status(201).json({ subcircuit: block, design });
+});
+
+// Revision history, oldest first
+app.get('/api/designs/:id/revisions', (req, res) => {
+  if (!designs.has(req.params.id)) {
+    return res.status(404).json({ error: 'Design not found' });
+  }
+  res.json(designs.listRevisions(req.params.id).map(revisionSummary));
+});
+
+// Resolve a revision number from the URL or query, 404/400 on failure
+function findRevision(res, designId, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    res.status(400).json({ error: `'${value}' is not a revision number` });
+    return null;
+  }
+  const revision = designs.getRevision(designId, number);
+  if (!revision) {
+    res.status(404).json({ error: `Revision ${number} not found` });
+    return null;
+  }
+  return revision;
+}
+
+app.get('/api/designs/:id/revisions/:revision', (req, res) => {
+  if (!designs.has(req.params.id)) {
+    return res.status(404).json({ error: 'Design not found' });
+  }
+  const revision = findRevision(res, req.params.id, req.params.revision);
+  if (revision) res.json(revision);
+});
+
+// Structural diff between revisions `from` and `to`. `to` defaults to the
+// latest revision and `from` to the one before it
+app.get('/api/designs/:id/diff', (req, res) => {
+  const design = designs.get(req.params.id);
+  if (!design) {
+    return res.status(404).json({ error: 'Design not found' });
+  }
+  const toNumber = req.query.to !== undefined ? req.query.to : design.revision;
+  const to = findRevision(res, design.id, toNumber);
+  if (!to) return;
+  const from = findRevision(res, design.id, req.query.from !== undefined ? req.query.from : Math.max(1, to.revision - 1));
+  if (!from) return;
+
+  res.json({
+    designId: design.id,
+    from: revisionSummary(from),
+    to: revisionSummary(to),
+    diff: diffSnapshots(from.snapshot, to.snapshot)
+  });
+});
+
+// Roll the design back to an earlier revision. History is never rewritten:
+// the restored content becomes a new revision
+app.post('/api/designs/:id/revisions/:revision/restore', (req, res) => {
+  const design = designs.get(req.params.id);
+  if (!design) {
+    return res.status(404).json({ error: 'Design not found' });
+  }
+  const revision = findRevision(res, design.id, req.params.revision);
+  if (!revision) return;
+
+  // The snapshot is checked like an update: the blocks and component types
+  // it names may have been deleted since, and instances take current ports
+  const snapshot = { ...revision.snapshot };
+  if (Array.isArray(snapshot.components)) snapshot.components = attachPorts(snapshot.components, lookupDesign);
+  const errors = validateDesign({
+    id: design.id,
+    name: snapshot.name,
+    components: snapshot.components || design.components,
+    nets: snapshot.nets || design.nets,
+    measurements: snapshot.measurements || [],
+    parameters: snapshot.parameters || {}
+  });
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  SNAPSHOT_FIELDS.forEach(field => {
+    if (snapshot[field] !== undefined) design[field] = snapshot[field];
+  });
+  design.modified = new Date().toISOString();
+  commitDesign(design, {
+    author: req.body && req.body.author,
+    message: (req.body && req.body.message) || `Restored revision ${revision.revision}`
+  });
   res.json(design);
 });
 
@@ -473,6 +682,15 @@ app.delete('/api/designs/:id', (req, res) => {
     return res.status(404).json({ error: 'Design not found' });
   }
   
+  // Deleting a block would break every design that instantiates it. Older
+  // revisions that do are left alone and refused when restored
+  const users = designs.list()
+    .filter(other => other.components.some(comp => isInstance(comp) && comp.subcircuit === req.params.id))
+    .map(other => ({ id: other.id, name: other.name }));
+  if (users.length > 0) {
+    return res.status(409).json({ error: 'Design is used as a subcircuit', usedBy: users });
+  }
+
   designs.delete(req.params.id);
   res.status(204).send();
 });
@@ -483,93 +701,461 @@ app.post('/api/designs/:id/simulate', (req, res) => {
   if (!design) {
     return res.status(404).json({ error: 'Design not found' });
   }
+  const circuit = resolveHierarchy(res, design);
+  if (!circuit) return;
   
-  const { steps = 100, timeStep = 0.001 } = req.body;
-  const simulator = new CircuitSimulator(req.params.id, design.components, design.connections);
+  // `steps`/`timeStep` are the legacy way of asking for tstop = steps * timeStep
+  const {
+    analysis = 'transient',
+    steps = 100,
+    timeStep = 0.001,
+    tstart = 0,
+    tstop = steps * timeStep,
+    tstep = timeStep,
+    tmax,
+    method = 'trap',
+    reltol,
+    vntol,
+    abstol,
+    maxIterations,
+    gminStepping,
+    noise = false,
+    noiseBandwidth,
+    temperature,
+    seed = 0,
+    thermal = false
+  } = req.body;
+
+  if (!(tstop > 0) || !(tstart >= 0) || tstart >= tstop || !(tstep > 0) || (tmax !== undefined && !(tmax > 0))) {
+    return res.status(400).json({ error: 'Invalid analysis parameters: need 0 <= tstart < tstop, tstep > 0, tmax > 0' });
+  }
+  if (!['be', 'trap'].includes(method)) {
+    return res.status(400).json({ error: `Unknown integration method '${method}'` });
+  }
+  if (typeof noise !== 'boolean' || (noiseBandwidth !== undefined && !(noiseBandwidth > 0)) ||
+      (temperature !== undefined && !Number.isFinite(temperature)) || !['number', 'string'].includes(typeof seed)) {
+    return res.status(400).json({ error: 'Invalid noise parameters: need boolean noise, noiseBandwidth > 0, numeric temperature and a number or string seed' });
+  }
+  if (typeof thermal !== 'boolean') {
+    return res.status(400).json({ error: 'thermal must be a boolean' });
+  }
+
+  // Newton-Raphson, noise and thermal controls, unset ones fall back to the simulator defaults
+  const settings = Object.fromEntries(
+    Object.entries({ reltol, vntol, abstol, maxIterations, gminStepping, noise, noiseBandwidth, temperature, seed, thermal })
+      .filter(([, value]) => value !== undefined)
+  );
+  const simulator = new CircuitSimulator(req.params.id, circuit.components, circuit.nets, settings);
   
-  const results = [];
-  for (let i = 0; i < steps; i++) {
-    simulator.timeStep = i * timeStep;
-    results.push(simulator.simulate());
+  let results;
+  let statistics = { accepted: 0, rejected: 0 };
+  let thermalWaveforms;
+  try {
+    if (analysis === 'op') {
+      results = [simulator.simulate()];
+    } else {
+      ({ frames: results, statistics, thermal: thermalWaveforms } = simulator.runTransient({ tstart, tstop, tstep, tmax, method }));
+    }
+  } catch (error) {
+    return sendSimulationError(res, error);
   }
   
   res.json({
     designId: req.params.id,
     simulationResults: results,
+    thermal: thermalWaveforms,
+    measurements: evaluateMeasurements(design.measurements, analysis === 'op' ? 'op' : 'tran', framesDataset(results)),
     metadata: {
-      steps,
-      timeStep,
-      duration: steps * timeStep,
+      analysis,
+      tstart,
+      tstop,
+      tstep,
+      tmax: simulator.transient ? simulator.transient.options.tmax : undefined,
+      method,
+      noise,
+      seed,
+      temperature: simulator.options.temperature,
+      thermal,
+      points: results.length,
+      acceptedSteps: statistics.accepted,
+      rejectedSteps: statistics.rejected,
+      duration: tstop - tstart,
       timestamp: new Date().toISOString()
     }
   });
 });
 
-// Get component library
-app.get('/api/components', (req, res) => {
-  const componentLibrary = {
-    transistor: {
-      name: 'MOSFET Transistor',
-      category: 'Active',
-      properties: {
-        width: { type: 'number', unit: 'μm', default: 10, min: 0.1, max: 1000 },
-        length: { type: 'number', unit: 'μm', default: 0.5, min: 0.1, max: 100 },
-        threshold: { type: 'number', unit: 'V', default: 0.7, min: 0.1, max: 5 },
-        mobility: { type: 'number', unit: 'cm²/V·s', default: 400, min: 100, max: 1000 }
-      },
-      pins: ['gate', 'source', 'drain', 'bulk']
-    },
-    resistor: {
-      name: 'Resistor',
-      category: 'Passive',
-      properties: {
-        resistance: { type: 'number', unit: 'Ω', default: 1000, min: 1, max: 1e9 },
-        power: { type: 'number', unit: 'W', default: 0.25, min: 0.1, max: 100 },
-        tolerance: { type: 'number', unit: '%', default: 5, min: 1, max: 20 }
-      },
-      pins: ['pin1', 'pin2']
-    },
-    capacitor: {
-      name: 'Capacitor',
-      category: 'Passive',
-      properties: {
-        capacitance: { type: 'number', unit: 'F', default: 1e-12, min: 1e-15, max: 1e-3 },
-        voltage: { type: 'number', unit: 'V', default: 5, min: 1, max: 1000 },
-        type: { type: 'select', options: ['ceramic', 'electrolytic', 'tantalum'], default: 'ceramic' }
-      },
-      pins: ['positive', 'negative']
-    },
-    inductor: {
-      name: 'Inductor',
-      category: 'Passive',
-      properties: {
-        inductance: { type: 'number', unit: 'H', default: 1e-6, min: 1e-9, max: 1e-3 },
-        current: { type: 'number', unit: 'A', default: 1, min: 0.1, max: 100 },
-        core: { type: 'select', options: ['air', 'iron', 'ferrite'], default: 'air' }
-      },
-      pins: ['pin1', 'pin2']
-    },
-    diode: {
-      name: 'Diode',
-      category: 'Active',
-      properties: {
-        forwardVoltage: { type: 'number', unit: 'V', default: 0.7, min: 0.1, max: 5 },
-        current: { type: 'number', unit: 'A', default: 1, min: 0.001, max: 100 },
-        type: { type: 'select', options: ['silicon', 'germanium', 'schottky'], default: 'silicon' }
-      },
-      pins: ['anode', 'cathode']
+// 422 for failures caused by the circuit itself, anything else is a server error
+function sendSimulationError(res, error) {
+  if (error instanceof SingularMatrixError) {
+    // Voltage-source loops, shorted sources and floating inductor cut-sets
+    return res.status(422).json({ error: 'Circuit has no unique solution', message: error.message });
+  }
+  if (error instanceof SimulationError) {
+    return res.status(422).json({
+      error: 'Simulation failed',
+      code: error.code,
+      message: error.message,
+      details: error.details
+    });
+  }
+  throw error;
+}
+
+// Upper bound on AC sweep points per request
+const MAX_AC_POINTS = 10000;
+
+// Problem with an AC or noise frequency sweep and its input source, if any
+function frequencySweepError(design, { sweep, points, fstart, fstop, input }) {
+  if (!['dec', 'oct', 'lin'].includes(sweep)) {
+    return `Unknown sweep type '${sweep}'`;
+  }
+  if (!(fstart > 0) || !(fstop > fstart) || !Number.isInteger(points) || points < 1) {
+    return 'Invalid sweep parameters: need 0 < fstart < fstop and an integer points >= 1';
+  }
+  const frequencyCount = sweep === 'lin' ? points : acFrequencies({ sweep, points, fstart, fstop }).length;
+  if (frequencyCount > MAX_AC_POINTS) {
+    return `Sweep has ${frequencyCount} points, the limit is ${MAX_AC_POINTS}`;
+  }
+  if (input !== undefined) {
+    const source = design.components.find(comp => String(comp.id) === String(input));
+    if (!source || !['voltageSource', 'currentSource'].includes(source.type)) {
+      return `Input '${input}' is not an independent source`;
     }
-  };
-  
+  }
+  return null;
+}
+
+// Small-signal AC sweep around the DC operating point. `output` names the net
+// whose response to the `input` source is reported as a Bode plot with margins
+app.post('/api/designs/:id/analyze/ac', (req, res) => {
+  const design = designs.get(req.params.id);
+  if (!design) {
+    return res.status(404).json({ error: 'Design not found' });
+  }
+  const circuit = resolveHierarchy(res, design);
+  if (!circuit) return;
+
+  const { sweep = 'dec', points = 10, fstart = 1, fstop = 1e9, input, output } = req.body;
+  const invalid = frequencySweepError(circuit, { sweep, points, fstart, fstop, input });
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  const simulator = new CircuitSimulator(req.params.id, circuit.components, circuit.nets);
+  let ac;
+  try {
+    ac = simulator.runAc({ sweep, points, fstart, fstop, input });
+  } catch (error) {
+    return sendSimulationError(res, error);
+  }
+
+  let transfer;
+  let metrics;
+  if (output !== undefined) {
+    const response = ac.nets[normalizeNetName(output)];
+    if (!response) {
+      return res.status(400).json({ error: `Output net '${output}' not found` });
+    }
+    transfer = { output: normalizeNetName(output), input, ...response };
+    metrics = bodeMetrics(ac.frequencies, response.magnitudeDb, response.phase);
+  }
+
+  res.json({
+    designId: req.params.id,
+    analysis: 'ac',
+    frequencies: ac.frequencies,
+    nets: ac.nets,
+    transfer,
+    metrics,
+    measurements: evaluateMeasurements(design.measurements, 'ac', acDataset(ac)),
+    operatingPoint: ac.operatingPoint,
+    metadata: {
+      sweep,
+      points: ac.frequencies.length,
+      fstart,
+      fstop,
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+// Small-signal noise analysis. Reports the noise density at `output`
+// (against `reference`, ground by default), referred to the `input` source
+// when one is given, and each device's share of it
+app.post('/api/designs/:id/analyze/noise', (req, res) => {
+  const design = designs.get(req.params.id);
+  if (!design) {
+    return res.status(404).json({ error: 'Design not found' });
+  }
+  const circuit = resolveHierarchy(res, design);
+  if (!circuit) return;
+
+  const { sweep = 'dec', points = 10, fstart = 1, fstop = 1e9, input, temperature } = req.body;
+  const invalid = frequencySweepError(circuit, { sweep, points, fstart, fstop, input });
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  if (temperature !== undefined && !Number.isFinite(temperature)) {
+    return res.status(400).json({ error: 'temperature must be a number (°C)' });
+  }
+  const nets = normalizeNets(circuit.nets || []).map(net => net.name);
+  const output = req.body.output === undefined ? undefined : normalizeNetName(req.body.output);
+  const reference = req.body.reference === undefined ? undefined : normalizeNetName(req.body.reference);
+  if (!output || !nets.includes(output)) {
+    return res.status(400).json({ error: `Output net '${req.body.output}' not found` });
+  }
+  if (reference !== undefined && !nets.includes(reference)) {
+    return res.status(400).json({ error: `Reference net '${req.body.reference}' not found` });
+  }
+
+  const options = temperature === undefined ? {} : { temperature };
+  const simulator = new CircuitSimulator(req.params.id, circuit.components, circuit.nets, options);
+  let noise;
+  try {
+    noise = simulator.runNoise({ sweep, points, fstart, fstop, input, output, reference });
+  } catch (error) {
+    return sendSimulationError(res, error);
+  }
+
+  res.json({
+    designId: req.params.id,
+    analysis: 'noise',
+    ...noise,
+    metadata: {
+      sweep,
+      points: noise.frequencies.length,
+      fstart,
+      fstop,
+      temperature: simulator.options.temperature,
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+// Upper bound on operating points per DC sweep request, over all nested sweeps
+const MAX_SWEEP_POINTS = 10000;
+
+// DC and parametric sweeps. `sweeps` lists { component, property, spacing,
+// start, stop, step | points | values }; `{ source }` is shorthand for
+// sweeping a source's dc value. The first sweep is the x axis and the rest
+// produce a family of curves. Without `sweeps` the design's stored .dc
+// analysis is used
+app.post('/api/designs/:id/analyze/dc', (req, res) => {
+  const design = designs.get(req.params.id);
+  if (!design) {
+    return res.status(404).json({ error: 'Design not found' });
+  }
+  const circuit = resolveHierarchy(res, design);
+  if (!circuit) return;
+
+  const stored = (design.analyses || []).find(analysis => analysis.type === 'dc');
+  const specs = req.body.sweeps || (stored && stored.sweeps);
+  if (!Array.isArray(specs) || specs.length === 0) {
+    return res.status(400).json({ error: 'Expected a non-empty sweeps array' });
+  }
+
+  let sweeps;
+  try {
+    sweeps = specs.map((spec, i) => {
+      if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new SimulationError(`sweeps[${i}]: expected an object`, 'INVALID_SWEEP');
+      }
+      const id = spec.source !== undefined ? spec.source : spec.component;
+      const property = spec.property || (spec.source !== undefined ? 'dc' : undefined);
+      const component = circuit.components.find(comp => String(comp.id) === String(id));
+      if (!component) {
+        throw new SimulationError(`sweeps[${i}]: component '${id}' not found`, 'INVALID_SWEEP');
+      }
+      const definition = componentLibrary[component.type].properties[property];
+      if (!definition || definition.type !== 'number') {
+        throw new SimulationError(`sweeps[${i}]: ${component.type} has no numeric property '${property}'`, 'INVALID_SWEEP');
+      }
+      return { component: component.id, property, values: sweepValues(spec, definition.unit) };
+    });
+  } catch (error) {
+    if (error instanceof SimulationError && error.code === 'INVALID_SWEEP') {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+  const pointCount = sweeps.reduce((count, sweep) => count * sweep.values.length, 1);
+  if (pointCount > MAX_SWEEP_POINTS) {
+    return res.status(400).json({ error: `Sweep has ${pointCount} points, the limit is ${MAX_SWEEP_POINTS}` });
+  }
+
+  const simulator = new CircuitSimulator(req.params.id, circuit.components, circuit.nets);
+  let result;
+  try {
+    result = simulator.runDcSweep(sweeps);
+  } catch (error) {
+    return sendSimulationError(res, error);
+  }
+
+  // Measurements are taken along the inner sweep of every curve
+  result.curves.forEach(curve => {
+    curve.measurements = evaluateMeasurements(design.measurements, 'dc', dcDataset(result.sweeps[0].values, curve));
+  });
+
+  res.json({
+    designId: req.params.id,
+    analysis: 'dc',
+    sweeps: result.sweeps,
+    curves: result.curves,
+    metadata: {
+      points: pointCount,
+      curves: result.curves.length,
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+// Monte Carlo over component tolerances. Without a seed one is generated and
+// returned, so any run can be repeated exactly
+app.post('/api/designs/:id/analyze/montecarlo', (req, res) => {
+  const design = designs.get(req.params.id);
+  if (!design) {
+    return res.status(404).json({ error: 'Design not found' });
+  }
+  if (!resolveHierarchy(res, design)) return;
+
+  const { trials, seed = Math.floor(Math.random() * 0x100000000), distribution, corner, specs, bins } = req.body || {};
+  let result;
+  try {
+    result = runMonteCarlo(design, { lookup: lookupDesign, trials, seed, distribution, corner, specs, bins });
+  } catch (error) {
+    if (error instanceof AnalysisError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    throw error;
+  }
+
+  res.json({
+    designId: design.id,
+    analysis: 'montecarlo',
+    ...result,
+    metadata: { timestamp: new Date().toISOString() }
+  });
+});
+
+// Operating point at named process corners (TT, FF, SS, FS, SF)
+app.post('/api/designs/:id/analyze/corners', (req, res) => {
+  const design = designs.get(req.params.id);
+  if (!design) {
+    return res.status(404).json({ error: 'Design not found' });
+  }
+  const circuit = resolveHierarchy(res, design);
+  if (!circuit) return;
+
+  const { corners, specs } = req.body || {};
+  let result;
+  try {
+    result = runCorners(circuit, { corners, specs });
+  } catch (error) {
+    if (error instanceof AnalysisError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    throw error;
+  }
+
+  res.json({
+    designId: design.id,
+    analysis: 'corners',
+    ...result,
+    metadata: { timestamp: new Date().toISOString() }
+  });
+});
+
+// Electrical/design rule check. `rules` maps rule ids to a severity
+// ('error', 'warning', 'info') or 'off'
+app.post('/api/designs/:id/check', (req, res) => {
+  const design = designs.get(req.params.id);
+  if (!design) {
+    return res.status(404).json({ error: 'Design not found' });
+  }
+  const circuit = resolveHierarchy(res, design);
+  if (!circuit) return;
+
+  const { rules = {} } = req.body || {};
+  try {
+    res.json({ designId: design.id, revision: design.revision, ...checkDesign(circuit, rules) });
+  } catch (error) {
+    if (error instanceof RuleError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+});
+
+// Get component library, built-in and user-defined parts alike
+app.get('/api/components', (req, res) => {
   res.json(componentLibrary);
 });
 
-// Export design to various formats
+// Register a user-defined part backed by a SPICE subcircuit or a stamp plugin
+app.post('/api/components', (req, res) => {
+  const errors = validatePart(req.body);
+  if (errors.length > 0) {
+    return res.status(422).json({ error: 'Invalid component', details: errors });
+  }
+  const { type, name, category = DEFAULT_CATEGORY, pins, properties = {}, model } = req.body;
+  if (componentLibrary[type]) {
+    return res.status(409).json({ error: `Component type '${type}' already exists` });
+  }
+
+  const part = {
+    id: type,
+    type,
+    name,
+    category,
+    pins,
+    properties,
+    model: model.subcircuit !== undefined ? { subcircuit: model.subcircuit } : { plugin: model.plugin },
+    created: new Date().toISOString()
+  };
+  try {
+    registerPart(part);
+  } catch (error) {
+    if (!(error instanceof HierarchyError)) throw error;
+    return res.status(422).json({ error: 'Invalid component', details: [{ path: '/model/subcircuit', message: error.message }] });
+  }
+  parts.save(part);
+  res.status(201).json({ type, ...componentLibrary[type] });
+});
+
+// Remove a user-defined part
+app.delete('/api/components/:type', (req, res) => {
+  const { type } = req.params;
+  if (isBuiltin(type)) {
+    return res.status(409).json({ error: 'Built-in components cannot be removed' });
+  }
+  if (!parts.has(type)) {
+    return res.status(404).json({ error: 'Component not found' });
+  }
+
+  // Removing a part would leave its instances with an unknown type. Older
+  // revisions that use it are left alone and refused when restored
+  const users = designs.list()
+    .filter(design => design.components.some(comp => comp.type === type))
+    .map(design => ({ id: design.id, name: design.name }));
+  if (users.length > 0) {
+    return res.status(409).json({ error: 'Component is used by designs', usedBy: users });
+  }
+
+  unregisterComponent(type);
+  parts.delete(type);
+  res.status(204).send();
+});
+
+// Export design to various formats. SPICE keeps the hierarchy as .subckt
+// definitions, the HDL exporters get the flattened design
 app.post('/api/designs/:id/export', (req, res) => {
   const design = designs.get(req.params.id);
   if (!design) {
     return res.status(404).json({ error: 'Design not found' });
   }
+  const circuit = resolveHierarchy(res, design);
+  if (!circuit) return;
   
   const { format = 'json' } = req.body;
   
@@ -577,13 +1163,20 @@ app.post('/api/designs/:id/export', (req, res) => {
     case 'spice':
       res.setHeader('Content-Type', 'text/plain');
       res.setHeader('Content-Disposition', `attachment; filename="${design.name}.cir"`);
-      res.send(generateSpiceNetlist(design));
+      res.send(generateSpiceNetlist(design, lookupDesign));
       break;
       
     case 'verilog':
       res.setHeader('Content-Type', 'text/plain');
       res.setHeader('Content-Disposition', `attachment; filename="${design.name}.v"`);
-      res.send(generateVerilogCode(design));
+      res.send(generateVerilog(circuit));
+      break;
+
+    case 'verilog-a':
+    case 'veriloga':
+      res.setHeader('Content-Type', 'text/plain');
+      res.setHeader('Content-Disposition', `attachment; filename="${design.name}.va"`);
+      res.send(generateVerilogA(circuit));
       break;
       
     case 'json':
@@ -595,50 +1188,6 @@ app.post('/api/designs/:id/export', (req, res) => {
   }
 });
 
-// Helper functions for export formats
-function generateSpiceNetlist(design) {
-  let netlist = `* SPICE Netlist for ${design.name}\n`;
-  netlist += `* Generated by VelocityChip on ${new Date().toISOString()}\n\n`;
-  
-  design.components.forEach((comp, index) => {
-    switch (comp.type) {
-      case 'resistor':
-        netlist += `R${index + 1} N${comp.id}_1 N${comp.id}_2 ${comp.properties.resistance || '1k'}\n`;
-        break;
-      case 'capacitor':
-        netlist += `C${index + 1} N${comp.id}_1 N${comp.id}_2 ${comp.properties.capacitance || '1p'}\n`;
-        break;
-      case 'inductor':
-        netlist += `L${index + 1} N${comp.id}_1 N${comp.id}_2 ${comp.properties.inductance || '1u'}\n`;
-        break;
-      case 'transistor':
-        netlist += `M${index + 1} N${comp.id}_D N${comp.id}_G N${comp.id}_S N${comp.id}_B NMOS W=${comp.properties.width || '10u'} L=${comp.properties.length || '0.5u'}\n`;
-        break;
-    }
-  });
-  
-  netlist += '\n.end\n';
-  return netlist;
-}
-
-function generateVerilogCode(design) {
-  let verilog = `// Verilog module for ${design.name}\n`;
-  verilog += `// Generated by VelocityChip on ${new Date().toISOString()}\n\n`;
-  verilog += `module ${design.name.replace(/\s+/g, '_')} (\n`;
-  verilog += `    input wire clk,\n`;
-  verilog += `    input wire reset,\n`;
-  verilog += `    // Add your ports here\n`;
-  verilog += `);\n\n`;
-  verilog += `    // Component instantiations\n`;
-  
-  design.components.forEach((comp, index) => {
-    verilog += `    // ${comp.type} ${comp.name}\n`;
-  });
-  
-  verilog += `\nendmodule\n`;
-  return verilog;
-}
-
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({
@@ -647,7 +1196,7 @@ app.get('/api/health', (req, res) => {
     uptime: process.uptime(),
     activeSimulations: activeSimulations.size,
     connectedClients: clients.size,
-    totalDesigns: designs.size
+    totalDesigns: designs.count()
   });
 });
 
@@ -0,0 +1,454 @@
+const { parseValue, parseValueOr, formatValue, unitScale, UnitError } = require('./velocitychip-units');
+
+// Waveform parameters shared by independent voltage and current sources.
+// `waveform` picks which group applies: dc, pulse (initial/pulsed/delay/rise/
+// fall/width/period), sin (offset/amplitude/frequency/delay/damping/phase) or
+// pwl (`points`, time/value pairs separated by whitespace or commas). acMagnitude/acPhase
+// apply to AC analysis independently of the waveform
+function sourceProperties(unit, dcDefault) {
+  return {
+    waveform: { type: 'select', options: ['dc', 'pulse', 'sin', 'pwl'], default: 'dc' },
+    dc: { type: 'number', unit, default: dcDefault },
+    initial: { type: 'number', unit, default: 0 },
+    pulsed: { type: 'number', unit, default: dcDefault },
+    delay: { type: 'number', unit: 's', default: 0, min: 0 },
+    rise: { type: 'number', unit: 's', default: 1e-9, min: 0 },
+    fall: { type: 'number', unit: 's', default: 1e-9, min: 0 },
+    width: { type: 'number', unit: 's', default: 5e-7, min: 0 },
+    period: { type: 'number', unit: 's', default: 1e-6, min: 0 },
+    offset: { type: 'number', unit, default: 0 },
+    amplitude: { type: 'number', unit, default: dcDefault },
+    frequency: { type: 'number', unit: 'Hz', default: 1e6, min: 0 },
+    damping: { type: 'number', unit: '1/s', default: 0, min: 0 },
+    phase: { type: 'number', unit: '°', default: 0, min: -360, max: 360 },
+    points: { type: 'pwl', unit, default: `0 0 1n ${dcDefault}` },
+    // Small-signal excitation used by AC analysis
+    acMagnitude: { type: 'number', unit, default: 0 },
+    acPhase: { type: 'number', unit: '°', default: 0, min: -360, max: 360 }
+  };
+}
+
+// Junction-to-ambient thermal resistance and heat capacity of a dissipating
+// component, its node in the electro-thermal network
+function thermalProperties(resistance, capacitance) {
+  return {
+    thermalResistance: { type: 'number', unit: '°C/W', default: resistance, min: 0.1, max: 10000 },
+    thermalCapacitance: { type: 'number', unit: 'J/°C', default: capacitance, min: 1e-9, max: 100 }
+  };
+}
+
+// Propagation delays of a logic gate: riseDelay for outputs going to 1,
+// fallDelay for outputs going to 0, the shorter of the two for x and z
+function gateProperties() {
+  return {
+    riseDelay: { type: 'number', unit: 's', default: 1e-9, min: 0, max: 1 },
+    fallDelay: { type: 'number', unit: 's', default: 1e-9, min: 0, max: 1 }
+  };
+}
+
+const gate = (name, pins = ['a', 'b', 'y']) => ({ name, category: 'Digital', properties: gateProperties(), pins });
+
+// Component library shared by the REST API and the simulator. A property
+// declaring a `tolerance` names the percentage property Monte Carlo varies it by
+const componentLibrary = {
+  transistor: {
+    name: 'MOSFET Transistor',
+    category: 'Active',
+    properties: {
+      width: { type: 'number', unit: 'μm', default: 10, min: 0.1, max: 1000 },
+      length: { type: 'number', unit: 'μm', default: 0.5, min: 0.1, max: 100 },
+      threshold: { type: 'number', unit: 'V', default: 0.7, min: 0.1, max: 5 },
+      mobility: { type: 'number', unit: 'cm²/V·s', default: 400, min: 100, max: 1000 },
+      polarity: { type: 'select', options: ['nmos', 'pmos'], default: 'nmos' },
+      lambda: { type: 'number', unit: '1/V', default: 0.02, min: 0, max: 1 },
+      oxideThickness: { type: 'number', unit: 'nm', default: 10, min: 1, max: 100 },
+      flickerCoefficient: { type: 'number', unit: '', default: 1e-28, min: 0, max: 1e-20 },
+      thresholdTempco: { type: 'number', unit: 'V/°C', default: -0.002, min: -0.01, max: 0.01 },
+      mobilityExponent: { type: 'number', unit: '', default: -1.5, min: -3, max: 0 },
+      ...thermalProperties(150, 0.001)
+    },
+    pins: ['gate', 'source', 'drain', 'bulk']
+  },
+  resistor: {
+    name: 'Resistor',
+    category: 'Passive',
+    properties: {
+      resistance: { type: 'number', unit: 'Ω', default: 1000, min: 1, max: 1e9, tolerance: 'tolerance' },
+      power: { type: 'number', unit: 'W', default: 0.25, min: 0.1, max: 100 },
+      tolerance: { type: 'number', unit: '%', default: 5, min: 1, max: 20 },
+      tcr: { type: 'number', unit: 'ppm/°C', default: 100, min: -5000, max: 5000 },
+      ...thermalProperties(100, 0.01)
+    },
+    pins: ['pin1', 'pin2']
+  },
+  capacitor: {
+    name: 'Capacitor',
+    category: 'Passive',
+    properties: {
+      capacitance: { type: 'number', unit: 'F', default: 1e-12, min: 1e-15, max: 1e-3, tolerance: 'tolerance' },
+      voltage: { type: 'number', unit: 'V', default: 5, min: 1, max: 1000 },
+      type: { type: 'select', options: ['ceramic', 'electrolytic', 'tantalum'], default: 'ceramic' },
+      tolerance: { type: 'number', unit: '%', default: 10, min: 1, max: 50 }
+    },
+    pins: ['positive', 'negative']
+  },
+  inductor: {
+    name: 'Inductor',
+    category: 'Passive',
+    properties: {
+      inductance: { type: 'number', unit: 'H', default: 1e-6, min: 1e-9, max: 1e-3, tolerance: 'tolerance' },
+      current: { type: 'number', unit: 'A', default: 1, min: 0.1, max: 100 },
+      core: { type: 'select', options: ['air', 'iron', 'ferrite'], default: 'air' },
+      tolerance: { type: 'number', unit: '%', default: 10, min: 1, max: 50 }
+    },
+    pins: ['pin1', 'pin2']
+  },
+  diode: {
+    name: 'Diode',
+    category: 'Active',
+    properties: {
+      forwardVoltage: { type: 'number', unit: 'V', default: 0.7, min: 0.1, max: 5 },
+      current: { type: 'number', unit: 'A', default: 1, min: 0.001, max: 100 },
+      emission: { type: 'number', unit: '', default: 1, min: 0.5, max: 3 },
+      type: { type: 'select', options: ['silicon', 'germanium', 'schottky'], default: 'silicon' },
+      tempco: { type: 'number', unit: 'V/°C', default: -0.002, min: -0.01, max: 0.01 },
+      ...thermalProperties(200, 0.01)
+    },
+    pins: ['anode', 'cathode']
+  },
+  voltageSource: {
+    name: 'Voltage Source',
+    category: 'Sources',
+    properties: sourceProperties('V', 3.3),
+    pins: ['positive', 'negative']
+  },
+  currentSource: {
+    name: 'Current Source',
+    category: 'Sources',
+    // Positive current flows from the positive pin through the source to the negative pin
+    properties: sourceProperties('A', 1e-3),
+    pins: ['positive', 'negative']
+  },
+  vcvs: {
+    name: 'Voltage-Controlled Voltage Source',
+    category: 'Sources',
+    properties: {
+      gain: { type: 'number', unit: 'V/V', default: 1 }
+    },
+    pins: ['positive', 'negative', 'controlPositive', 'controlNegative']
+  },
+  vccs: {
+    name: 'Voltage-Controlled Current Source',
+    category: 'Sources',
+    properties: {
+      transconductance: { type: 'number', unit: 'S', default: 1e-3 }
+    },
+    pins: ['positive', 'negative', 'controlPositive', 'controlNegative']
+  },
+  // Current-controlled sources sense the current flowing from controlPositive
+  // to controlNegative through an internal short
+  ccvs: {
+    name: 'Current-Controlled Voltage Source',
+    category: 'Sources',
+    properties: {
+      transresistance: { type: 'number', unit: 'Ω', default: 1000 }
+    },
+    pins: ['positive', 'negative', 'controlPositive', 'controlNegative']
+  },
+  cccs: {
+    name: 'Current-Controlled Current Source',
+    category: 'Sources',
+    properties: {
+      gain: { type: 'number', unit: 'A/A', default: 1 }
+    },
+    pins: ['positive', 'negative', 'controlPositive', 'controlNegative']
+  },
+  // Output referenced to ground. 'ideal' is the open-loop gain alone;
+  // 'singlePole' adds the dominant pole at gbw / gain, the slew-rate limit
+  // and the output rails
+  opamp: {
+    name: 'Op-Amp',
+    category: 'Behavioral',
+    properties: {
+      model: { type: 'select', options: ['ideal', 'singlePole'], default: 'singlePole' },
+      gain: { type: 'number', unit: 'V/V', default: 1e5, min: 1, max: 1e9 },
+      gbw: { type: 'number', unit: 'Hz', default: 1e6, min: 1, max: 1e12 },
+      slewRate: { type: 'number', unit: 'V/s', default: 1e6, min: 1, max: 1e12 },
+      vHigh: { type: 'number', unit: 'V', default: 5, min: -1000, max: 1000 },
+      vLow: { type: 'number', unit: 'V', default: -5, min: -1000, max: 1000, below: 'vHigh' }
+    },
+    pins: ['inPositive', 'inNegative', 'output']
+  },
+  // Output at vHigh or vLow (to ground). The input threshold sits at
+  // +hysteresis/2 while the output is low and -hysteresis/2 while it is high
+  comparator: {
+    name: 'Comparator',
+    category: 'Behavioral',
+    properties: {
+      vHigh: { type: 'number', unit: 'V', default: 5, min: -1000, max: 1000 },
+      vLow: { type: 'number', unit: 'V', default: 0, min: -1000, max: 1000, below: 'vHigh' },
+      hysteresis: { type: 'number', unit: 'V', default: 0.01, min: 0, max: 100 }
+    },
+    pins: ['inPositive', 'inNegative', 'output']
+  },
+  // Closed (ron) while controlPositive - controlNegative is above the
+  // threshold, which moves by ±hysteresis/2 like a comparator's
+  voltageSwitch: {
+    name: 'Voltage-Controlled Switch',
+    category: 'Behavioral',
+    properties: {
+      ron: { type: 'number', unit: 'Ω', default: 1, min: 1e-6, max: 1e12, below: 'roff' },
+      roff: { type: 'number', unit: 'Ω', default: 1e9, min: 1e-6, max: 1e15 },
+      threshold: { type: 'number', unit: 'V', default: 2.5, min: -1000, max: 1000 },
+      hysteresis: { type: 'number', unit: 'V', default: 0, min: 0, max: 100 }
+    },
+    pins: ['pin1', 'pin2', 'controlPositive', 'controlNegative']
+  },
+  // Starts in its initial state and toggles once at switchTime
+  timeSwitch: {
+    name: 'Time-Controlled Switch',
+    category: 'Behavioral',
+    properties: {
+      ron: { type: 'number', unit: 'Ω', default: 1, min: 1e-6, max: 1e12, below: 'roff' },
+      roff: { type: 'number', unit: 'Ω', default: 1e9, min: 1e-6, max: 1e15 },
+      initial: { type: 'select', options: ['open', 'closed'], default: 'open' },
+      switchTime: { type: 'number', unit: 's', default: 1e-6, min: 0 }
+    },
+    pins: ['pin1', 'pin2']
+  },
+  // Digital components are simulated on 4-state logic (0, 1, x, z) by the
+  // event-driven scheduler in velocitychip-digital.js
+  andGate: gate('AND Gate'),
+  orGate: gate('OR Gate'),
+  notGate: gate('NOT Gate', ['a', 'y']),
+  nandGate: gate('NAND Gate'),
+  norGate: gate('NOR Gate'),
+  xorGate: gate('XOR Gate'),
+  // Rising-edge D flip-flop with an active-high asynchronous reset. q holds
+  // `initial` until the first clock edge or reset
+  dFlipFlop: {
+    name: 'D Flip-Flop',
+    category: 'Digital',
+    properties: {
+      delay: { type: 'number', unit: 's', default: 1e-9, min: 0, max: 1 },
+      initial: { type: 'select', options: ['x', '0', '1'], default: 'x' }
+    },
+    pins: ['d', 'clk', 'reset', 'q']
+  },
+  // Low until `delay`, then high for dutyCycle percent of every period
+  clock: {
+    name: 'Clock',
+    category: 'Digital',
+    properties: {
+      period: { type: 'number', unit: 's', default: 1e-8, min: 1e-15, max: 1e6 },
+      dutyCycle: { type: 'number', unit: '%', default: 50, min: 1, max: 99 },
+      delay: { type: 'number', unit: 's', default: 0, min: 0 }
+    },
+    pins: ['y']
+  },
+  constant: {
+    name: 'Logic Constant',
+    category: 'Digital',
+    properties: {
+      value: { type: 'select', options: ['0', '1', 'x', 'z'], default: '0' }
+    },
+    pins: ['y']
+  },
+  // Bridges between the two domains. The A/D output goes to 1 once its input
+  // rises to thresholdHigh and back to 0 once it falls to thresholdLow; the
+  // D/A output ramps between outputLow and outputHigh behind outputResistance
+  adBridge: {
+    name: 'A/D Bridge',
+    category: 'Mixed-Signal',
+    properties: {
+      thresholdLow: { type: 'number', unit: 'V', default: 1, min: -1000, max: 1000, atMost: 'thresholdHigh' },
+      thresholdHigh: { type: 'number', unit: 'V', default: 2, min: -1000, max: 1000 },
+      inputResistance: { type: 'number', unit: 'Ω', default: 1e9, min: 1, max: 1e12 },
+      ...gateProperties()
+    },
+    pins: ['in', 'out']
+  },
+  daBridge: {
+    name: 'D/A Bridge',
+    category: 'Mixed-Signal',
+    properties: {
+      outputLow: { type: 'number', unit: 'V', default: 0, min: -1000, max: 1000 },
+      outputHigh: { type: 'number', unit: 'V', default: 5, min: -1000, max: 1000 },
+      riseTime: { type: 'number', unit: 's', default: 1e-9, min: 0, max: 1 },
+      fallTime: { type: 'number', unit: 's', default: 1e-9, min: 0, max: 1 },
+      outputResistance: { type: 'number', unit: 'Ω', default: 50, min: 1e-3, max: 1e9 }
+    },
+    pins: ['in', 'out']
+  },
+  // Instance of another design, named by its `subcircuit` id with parameter
+  // overrides in `parameters`. Its pins are that design's ports
+  subcircuit: {
+    name: 'Subcircuit',
+    category: 'Hierarchy',
+    properties: {},
+    pins: []
+  }
+};
+
+// Numeric property in SI base units. Missing or malformed values fall back to
+// the library default, so callers that run before validation still get a number
+function propertyValue(component, name) {
+  const definition = componentLibrary[component.type] && componentLibrary[component.type].properties[name];
+  const unit = definition ? definition.unit : '';
+  const fallback = definition ? parseValue(definition.default, unit) : 0;
+  const value = component.properties ? component.properties[name] : undefined;
+  return value === undefined || value === '' ? fallback : parseValueOr(value, unit, fallback);
+}
+
+// Store an SI value as a plain number in the property's declared unit, the
+// inverse of propertyValue
+function setPropertyValue(component, name, value) {
+  const definition = componentLibrary[component.type].properties[name];
+  component.properties[name] = value / unitScale(definition.unit);
+}
+
+// Time/value pairs of a PWL property, times in seconds and values in `unit`
+function parsePwlPoints(text, unit) {
+  const tokens = String(text).trim().split(/[\s,]+/).filter(Boolean);
+  if (tokens.length % 2 !== 0) throw new UnitError('PWL points need time/value pairs');
+  const points = [];
+  for (let i = 0; i < tokens.length; i += 2) {
+    points.push([parseValue(tokens[i], 's'), parseValue(tokens[i + 1], unit)]);
+  }
+  return points;
+}
+
+// PWL points of a source, empty when missing or malformed like propertyValue's fallback
+function pwlProperty(component) {
+  const definition = componentLibrary[component.type].properties.points;
+  try {
+    return parsePwlPoints(component.properties.points || '', definition.unit);
+  } catch (error) {
+    if (error instanceof UnitError) return [];
+    throw error;
+  }
+}
+
+// Value of a number property after checking its type and range against the library
+function checkNumber(value, definition) {
+  if (typeof value !== 'number' && typeof value !== 'string') {
+    throw new UnitError('must be a number or a string with a unit');
+  }
+  const si = parseValue(value, definition.unit);
+  const bound = limit => parseValue(limit, definition.unit);
+  if (definition.min !== undefined && si < bound(definition.min)) {
+    throw new UnitError(`must be at least ${formatValue(bound(definition.min), definition.unit)}`);
+  }
+  if (definition.max !== undefined && si > bound(definition.max)) {
+    throw new UnitError(`must be at most ${formatValue(bound(definition.max), definition.unit)}`);
+  }
+  return si;
+}
+
+// Properties declared `below` (or `atMost`) another, such as a low rail
+// under the high one, out of order. Defaults stand in for unset properties
+// and the error goes on the property that was set
+function checkOrder(component, type, errors) {
+  Object.entries(type.properties).forEach(([name, definition]) => {
+    const limit = definition.below || definition.atMost;
+    if (!limit) return;
+    const given = [name, limit].filter(property => component.properties[property] !== undefined);
+    if (given.length === 0 || errors.some(error => given.some(property => error.path === `/properties/${property}`))) return;
+    const low = propertyValue(component, name);
+    const high = propertyValue(component, limit);
+    if (definition.below ? low < high : low <= high) return;
+    const [under, over] = definition.below ? ['below', 'above'] : ['at most', 'at least'];
+    if (component.properties[name] !== undefined) {
+      errors.push({ path: `/properties/${name}`, message: `must be ${under} ${limit} (${formatValue(high, definition.unit)})` });
+    } else {
+      errors.push({ path: `/properties/${limit}`, message: `must be ${over} ${name} (${formatValue(low, definition.unit)})` });
+    }
+  });
+}
+
+// Field-level errors for a component's properties, `path` is relative to the
+// component. Values are checked against the library's unit, range and
+// options, and against each other where one must stay below another; names
+// the library does not declare for the type are rejected
+function validateProperties(component) {
+  const errors = [];
+  const type = componentLibrary[component.type];
+  if (!type) return errors;
+
+  Object.entries(component.properties || {}).forEach(([name, value]) => {
+    const definition = type.properties[name];
+    const path = `/properties/${name}`;
+    if (!definition) {
+      errors.push({ path, message: `is not a ${type.name} property` });
+      return;
+    }
+    try {
+      if (definition.type === 'select') {
+        if (!definition.options.includes(value)) {
+          errors.push({ path, message: `must be one of ${definition.options.join(', ')}` });
+        }
+      } else if (definition.type === 'pwl') {
+        if (typeof value !== 'string') throw new UnitError('must be a string of time/value pairs');
+        parsePwlPoints(value, definition.unit);
+      } else if (definition.type === 'number') {
+        checkNumber(value, definition);
+      }
+    } catch (error) {
+      if (!(error instanceof UnitError)) throw error;
+      errors.push({ path, message: error.message });
+    }
+  });
+  checkOrder(component, type, errors);
+  return errors;
+}
+
+// Shape of a subcircuit instance. Whether the design it names exists and
+// declares the overridden parameters is up to the hierarchy
+function validateInstance({ subcircuit, parameters }) {
+  const errors = [];
+  if (typeof subcircuit !== 'string' || subcircuit.trim() === '') {
+    errors.push({ path: '/subcircuit', message: 'subcircuit must be a design id' });
+  }
+  if (parameters === undefined) return errors;
+  if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+    return [...errors, { path: '/parameters', message: 'parameters must be an object' }];
+  }
+  Object.entries(parameters).forEach(([name, value]) => {
+    if (typeof value !== 'number' && typeof value !== 'string') {
+      errors.push({ path: `/parameters/${name}`, message: 'must be a number or a string with a unit' });
+    }
+  });
+  return errors;
+}
+
+// Structural errors of a single component followed by its property errors,
+// paths relative to the component
+function validateComponent(component) {
+  if (!component || typeof component !== 'object' || Array.isArray(component)) {
+    return [{ path: '', message: 'component must be an object' }];
+  }
+  const errors = [];
+  const { id, type, properties } = component;
+  if (!((typeof id === 'string' && id.trim() !== '') || Number.isFinite(id))) {
+    errors.push({ path: '/id', message: 'id must be a non-empty string or a number' });
+  }
+  if (!componentLibrary[type]) {
+    errors.push({ path: '/type', message: `unknown component type '${type}', expected one of ${Object.keys(componentLibrary).join(', ')}` });
+  }
+  if (type === 'subcircuit') errors.push(...validateInstance(component));
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+    errors.push({ path: '/properties', message: 'properties must be an object' });
+    return errors;
+  }
+  return [...errors, ...validateProperties(component)];
+}
+
+module.exports = {
+  componentLibrary,
+  propertyValue,
+  setPropertyValue,
+  parsePwlPoints,
+  pwlProperty,
+  validateProperties,
+  validateComponent
+};
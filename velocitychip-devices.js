@@ -0,0 +1,209 @@
+// Nonlinear device models evaluated by the Newton-Raphson loop. Each
+// evaluation returns the device current and its partial derivatives at the
+// given terminal voltages, which the simulator stamps as a linearized
+// companion (conductances plus an equivalent current source)
+
+const { propertyValue } = require('./velocitychip-components');
+
+const BOLTZMANN = 1.380649e-23; // J/K
+const ELECTRON_CHARGE = 1.602176634e-19; // C
+const VACUUM_PERMITTIVITY = 8.8541878128e-12; // F/m
+const SIO2_RELATIVE_PERMITTIVITY = 3.9;
+// Nominal device temperature, SPICE TNOM
+const NOMINAL_TEMPERATURE = 300.15; // K
+
+// Largest argument passed to exp() before the diode equation is linearly extrapolated
+const MAX_EXPONENT = 80;
+
+function thermalVoltage(temperature = NOMINAL_TEMPERATURE) {
+  return BOLTZMANN * temperature / ELECTRON_CHARGE;
+}
+
+// Offset of a device temperature (K) from TNOM in degrees
+function temperatureRise(temperature) {
+  return temperature - NOMINAL_TEMPERATURE;
+}
+
+// Shockley parameters at `temperature` (K). The saturation current is chosen
+// so the diode drops `forwardVoltage`, shifted by its tempco, at its rated
+// `current`
+function diodeParameters(component, temperature = NOMINAL_TEMPERATURE) {
+  const emission = propertyValue(component, 'emission');
+  const vt = thermalVoltage(temperature);
+  const forwardVoltage = propertyValue(component, 'forwardVoltage') +
+    propertyValue(component, 'tempco') * temperatureRise(temperature);
+  const ratedCurrent = propertyValue(component, 'current');
+  const saturationCurrent = ratedCurrent / Math.expm1(forwardVoltage / (emission * vt));
+
+  return {
+    saturationCurrent,
+    emission,
+    nvt: emission * vt,
+    // Voltage beyond which the exponential is limited between iterations
+    criticalVoltage: emission * vt * Math.log(emission * vt / (Math.SQRT2 * saturationCurrent))
+  };
+}
+
+function evaluateDiode(params, vd) {
+  const { saturationCurrent, nvt } = params;
+  const exponent = vd / nvt;
+  if (exponent > MAX_EXPONENT) {
+    const edge = Math.exp(MAX_EXPONENT);
+    const conductance = saturationCurrent * edge / nvt;
+    return {
+      current: saturationCurrent * (edge - 1) + conductance * (vd - MAX_EXPONENT * nvt),
+      conductance
+    };
+  }
+  const e = Math.exp(exponent);
+  return { current: saturationCurrent * (e - 1), conductance: saturationCurrent * e / nvt };
+}
+
+// SPICE pnjlim: keep junction voltage updates on the log scale above the critical voltage
+function limitJunction(vnew, vold, params) {
+  const { nvt, criticalVoltage } = params;
+  if (vnew > criticalVoltage && Math.abs(vnew - vold) > 2 * nvt) {
+    if (vold > 0) {
+      const arg = 1 + (vnew - vold) / nvt;
+      return arg > 0 ? vold + nvt * Math.log(arg) : criticalVoltage;
+    }
+    return nvt * Math.log(vnew / nvt);
+  }
+  return vnew;
+}
+
+// Level-1 (Shichman-Hodges) parameters at `temperature` (K), all in SI
+// units. |Vth| moves linearly with temperature and mobility follows
+// (T/TNOM)^mobilityExponent, like SPICE's BEX
+function mosfetParameters(component, temperature = NOMINAL_TEMPERATURE) {
+  const width = propertyValue(component, 'width');
+  const length = propertyValue(component, 'length');
+  const mobility = propertyValue(component, 'mobility') *
+    Math.pow(temperature / NOMINAL_TEMPERATURE, propertyValue(component, 'mobilityExponent'));
+  const oxideThickness = propertyValue(component, 'oxideThickness');
+  const oxideCapacitance = SIO2_RELATIVE_PERMITTIVITY * VACUUM_PERMITTIVITY / oxideThickness;
+
+  return {
+    polarity: component.properties.polarity === 'pmos' ? -1 : 1,
+    threshold: Math.max(0, Math.abs(propertyValue(component, 'threshold')) +
+      propertyValue(component, 'thresholdTempco') * temperatureRise(temperature)),
+    lambda: propertyValue(component, 'lambda'),
+    oxideCapacitance,
+    beta: mobility * oxideCapacitance * width / length,
+    flickerCoefficient: propertyValue(component, 'flickerCoefficient'),
+    width,
+    length
+  };
+}
+
+// Drain current (flowing drain -> source) and its derivatives for the given
+// gate-source and drain-source voltages. PMOS devices are evaluated as NMOS on
+// negated voltages, and source/drain swap when the channel is reverse biased
+function evaluateMosfet(params, vgs, vds) {
+  const { polarity, threshold, lambda, beta } = params;
+  let vgsN = polarity * vgs;
+  let vdsN = polarity * vds;
+
+  const reversed = vdsN < 0;
+  if (reversed) {
+    vgsN -= vdsN; // gate measured from the physical drain, which now acts as source
+    vdsN = -vdsN;
+  }
+
+  const overdrive = vgsN - threshold;
+  let current = 0;
+  let gm = 0;
+  let gds = 0;
+  let region = 'cutoff';
+
+  if (overdrive > 0) {
+    const clm = 1 + lambda * vdsN;
+    if (vdsN < overdrive) {
+      region = 'triode';
+      current = beta * (overdrive * vdsN - vdsN * vdsN / 2) * clm;
+      gm = beta * vdsN * clm;
+      gds = beta * (overdrive - vdsN) * clm + beta * (overdrive * vdsN - vdsN * vdsN / 2) * lambda;
+    } else {
+      region = 'saturation';
+      current = beta / 2 * overdrive * overdrive * clm;
+      gm = beta * overdrive * clm;
+      gds = beta / 2 * overdrive * overdrive * lambda;
+    }
+  }
+
+  if (reversed) {
+    // i(vgs, vds) = -f(vgs - vds, -vds): chain rule back onto the original terminals
+    return { current: -polarity * current, gm: -gm, gds: gm + gds, region, reversed };
+  }
+  return { current: polarity * current, gm, gds, region, reversed };
+}
+
+// Meyer gate capacitances for the region of operation. Level-1 has no
+// overlap or junction capacitance, so cutoff leaves the gate floating
+function mosfetCapacitances(params, op) {
+  const gateCapacitance = params.oxideCapacitance * params.width * params.length;
+  let cgs = 0;
+  let cgd = 0;
+  if (op.region === 'saturation') {
+    cgs = 2 / 3 * gateCapacitance;
+  } else if (op.region === 'triode') {
+    cgs = gateCapacitance / 2;
+    cgd = gateCapacitance / 2;
+  }
+  return op.reversed ? { cgs: cgd, cgd: cgs } : { cgs, cgd };
+}
+
+// Resistance at `temperature` (K) from the linear temperature coefficient
+function resistorValue(component, temperature = NOMINAL_TEMPERATURE) {
+  return propertyValue(component, 'resistance') * (1 + propertyValue(component, 'tcr') * temperatureRise(temperature));
+}
+
+// Noise current spectral densities (A²/Hz, a function of frequency) of each
+// device, as SPICE .noise models them. Every source flows between two pins
+function resistorNoise(resistance, temperature = NOMINAL_TEMPERATURE) {
+  const density = 4 * BOLTZMANN * temperature / resistance;
+  return [{ mechanism: 'thermal', pins: ['pin1', 'pin2'], density: () => density }];
+}
+
+// Shot noise of the junction current
+function diodeNoise(op) {
+  const density = 2 * ELECTRON_CHARGE * Math.abs(op.current);
+  return [{ mechanism: 'shot', pins: ['anode', 'cathode'], density: () => density }];
+}
+
+// Channel thermal noise 8kT·gm/3 and flicker noise KF·Id/(Cox·L²·f) (AF = 1)
+function mosfetNoise(params, op, temperature = NOMINAL_TEMPERATURE) {
+  const thermal = 8 / 3 * BOLTZMANN * temperature * Math.abs(op.gm);
+  const flicker = params.flickerCoefficient * Math.abs(op.current) / (params.oxideCapacitance * params.length * params.length);
+  return [
+    { mechanism: 'thermal', pins: ['drain', 'source'], density: () => thermal },
+    { mechanism: 'flicker', pins: ['drain', 'source'], density: frequency => flicker / frequency }
+  ];
+}
+
+// Bound how far the gate and drain voltages may move in one iteration
+function limitMosfet(vgsNew, vdsNew, vgsOld, vdsOld) {
+  const limit = (vnew, vold, step) => Math.max(vold - step, Math.min(vold + step, vnew));
+  return {
+    vgs: limit(vgsNew, vgsOld, 0.5 + Math.abs(vgsOld)),
+    vds: limit(vdsNew, vdsOld, 1 + 2 * Math.abs(vdsOld))
+  };
+}
+
+module.exports = {
+  BOLTZMANN,
+  ELECTRON_CHARGE,
+  NOMINAL_TEMPERATURE,
+  thermalVoltage,
+  resistorValue,
+  diodeParameters,
+  evaluateDiode,
+  limitJunction,
+  mosfetParameters,
+  evaluateMosfet,
+  mosfetCapacitances,
+  limitMosfet,
+  resistorNoise,
+  diodeNoise,
+  mosfetNoise
+};
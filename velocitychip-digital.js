@@ -0,0 +1,338 @@
+// Event-driven simulation of digital components on 4-state logic: '0', '1',
+// 'x' (unknown) and 'z' (undriven). Every output pin drives its net after the
+// component's propagation delay and a net takes the resolution of all its
+// drivers. Delays are inertial, so a pulse shorter than a gate's delay never
+// reaches its output. Components behave as the `digital` hooks of their
+// device model (velocitychip-models.js) say:
+//   inputs, outputs          pin names
+//   initialState(comp)       sequential state, e.g. a flip-flop's q
+//   update(d)                next state whenever the component is evaluated
+//   wake(d), wakeAt(state)   self-timed components such as clocks: the state
+//                            after waking and the next time to wake, or null
+//   evaluate(d)              output levels { pin: level }
+//   delay(comp, from, to)    seconds until an output goes from one level to another
+//   settled(state)           state once the logic has settled, e.g. a D/A ramp finished
+// where d = { comp, inputs, state, time, voltages }, `inputs` maps pins to
+// levels and `voltages` the analog pins of a bridge to their latest voltage
+
+const { GROUND_NET, buildNodeMap, formatEndpoint } = require('./velocitychip-netlist');
+
+// Zero-delay evaluation rounds at one time before it counts as a loop
+const MAX_DELTA_CYCLES = 1000;
+// Events processed while settling before the logic counts as oscillating
+const MAX_SETTLE_EVENTS = 100000;
+
+// The logic never settles: a zero-delay loop, or an oscillator while settling
+class DigitalError extends Error {
+  constructor(message, time) {
+    super(message);
+    this.name = 'DigitalError';
+    this.time = time;
+  }
+}
+
+// Gate inputs read an undriven net as unknown
+const known = level => (level === 'z' ? 'x' : level);
+
+function logicNot(a) {
+  a = known(a);
+  if (a === 'x') return 'x';
+  return a === '0' ? '1' : '0';
+}
+
+// A 0 decides an AND and a 1 an OR whatever the other input is
+function logicAnd(a, b) {
+  if (a === '0' || b === '0') return '0';
+  return a === '1' && b === '1' ? '1' : 'x';
+}
+
+function logicOr(a, b) {
+  if (a === '1' || b === '1') return '1';
+  return a === '0' && b === '0' ? '0' : 'x';
+}
+
+function logicXor(a, b) {
+  a = known(a);
+  b = known(b);
+  if (a === 'x' || b === 'x') return 'x';
+  return a === b ? '0' : '1';
+}
+
+// Wired resolution of a net's drivers: z yields to any other level and
+// conflicting levels give x
+function resolve(levels) {
+  let result = 'z';
+  for (const level of levels) {
+    if (level === 'z' || level === result) continue;
+    if (result !== 'z') return 'x';
+    result = level;
+  }
+  return result;
+}
+
+// Binary heap of events ordered by time, then by the order they were scheduled
+class EventQueue {
+  constructor() {
+    this.heap = [];
+    this.scheduled = 0;
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  before(a, b) {
+    return a.time < b.time || (a.time === b.time && a.order < b.order);
+  }
+
+  push(event) {
+    event.order = this.scheduled++;
+    const heap = this.heap;
+    heap.push(event);
+    for (let i = heap.length - 1; i > 0;) {
+      const parent = (i - 1) >> 1;
+      if (!this.before(heap[i], heap[parent])) break;
+      [heap[i], heap[parent]] = [heap[parent], heap[i]];
+      i = parent;
+    }
+    return event;
+  }
+
+  peek() {
+    return this.heap[0];
+  }
+
+  pop() {
+    const heap = this.heap;
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      for (let i = 0; ;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let first = i;
+        if (left < heap.length && this.before(heap[left], heap[first])) first = left;
+        if (right < heap.length && this.before(heap[right], heap[first])) first = right;
+        if (first === i) break;
+        [heap[i], heap[first]] = [heap[first], heap[i]];
+        i = first;
+      }
+    }
+    return top;
+  }
+}
+
+class DigitalSimulator {
+  // `modelOf(type)` returns the digital hooks of a component type
+  constructor(components, nets, modelOf) {
+    this.components = components;
+    this.modelOf = modelOf;
+    this.terminals = buildNodeMap(components, nets).terminals;
+    this.drivers = new Map(); // Net -> output pin endpoint -> level it drives
+    this.readers = new Map(); // Net -> components with an input on it
+    this.levels = new Map(); // Net -> resolved level
+    this.states = new Map(); // Component id -> sequential state
+    this.pending = new Map(); // Output pin endpoint -> its scheduled change
+    this.queue = new EventQueue();
+    this.time = 0;
+    this.events = 0;
+    this.held = null; // Wake-ups put aside while settling
+    this.voltages = new Map(); // Bridge id -> analog pin voltages, set by the analog solver
+
+    components.forEach(comp => {
+      const model = modelOf(comp.type);
+      const pins = this.terminals.get(comp.id);
+      model.inputs.forEach(pin => {
+        if (!this.readers.has(pins[pin])) this.readers.set(pins[pin], new Set());
+        this.readers.get(pins[pin]).add(comp);
+      });
+      model.outputs.forEach(pin => {
+        if (!this.drivers.has(pins[pin])) this.drivers.set(pins[pin], new Map());
+      });
+    });
+  }
+
+  // Ground reads as 0 and cannot be driven
+  level(net) {
+    if (net === GROUND_NET) return '0';
+    return this.levels.get(net) || 'z';
+  }
+
+  inputs(comp) {
+    const pins = this.terminals.get(comp.id);
+    return Object.fromEntries(this.modelOf(comp.type).inputs.map(pin => [pin, this.level(pins[pin])]));
+  }
+
+  // Outputs start at what they drive with every input unknown, e.g. a
+  // constant's value or a flip-flop's initial q; everything is then
+  // evaluated once at `time` with the resolved levels
+  start(time = 0) {
+    this.time = time;
+    this.components.forEach(comp => {
+      const model = this.modelOf(comp.type);
+      const state = model.initialState ? model.initialState(comp) : {};
+      this.states.set(comp.id, state);
+      const unknown = Object.fromEntries(model.inputs.map(pin => [pin, 'x']));
+      const outputs = model.evaluate({ comp, inputs: unknown, state, time, voltages: this.analog(comp) });
+      model.outputs.forEach(pin => {
+        this.drivers.get(this.terminals.get(comp.id)[pin]).set(formatEndpoint(comp.id, pin), outputs[pin]);
+      });
+      this.scheduleWake(comp, state);
+    });
+    this.drivers.forEach((drivers, net) => this.levels.set(net, resolve(drivers.values())));
+    this.components.forEach(comp => this.evaluate(comp));
+  }
+
+  // Latest voltages on the analog pins of a bridge
+  analog(comp) {
+    return this.voltages.get(comp.id) || {};
+  }
+
+  scheduleWake(comp, state) {
+    const model = this.modelOf(comp.type);
+    const at = model.wakeAt ? model.wakeAt(state) : null;
+    if (at !== null && at !== undefined) this.queue.push({ time: Math.max(at, this.time), wake: comp });
+  }
+
+  // Schedule the outputs of a component for its current inputs and state
+  evaluate(comp) {
+    const model = this.modelOf(comp.type);
+    const d = {
+      comp,
+      inputs: this.inputs(comp),
+      state: this.states.get(comp.id),
+      time: this.time,
+      voltages: this.analog(comp)
+    };
+    if (model.update) {
+      d.state = model.update(d);
+      this.states.set(comp.id, d.state);
+    }
+    const outputs = model.evaluate(d);
+    model.outputs.forEach(pin => this.drive(comp, pin, outputs[pin]));
+  }
+
+  // Inertial delay: a new value replaces the pending one, and returning to
+  // the level already driven cancels the change altogether
+  drive(comp, pin, level) {
+    const key = formatEndpoint(comp.id, pin);
+    const net = this.terminals.get(comp.id)[pin];
+    const driven = this.drivers.get(net).get(key);
+    const pending = this.pending.get(key);
+    if (level === (pending ? pending.level : driven)) return;
+    if (pending) {
+      pending.cancelled = true;
+      this.pending.delete(key);
+    }
+    if (level === driven) return;
+    const delay = this.modelOf(comp.type).delay(comp, driven, level);
+    this.pending.set(key, this.queue.push({ time: this.time + delay, key, net, level }));
+  }
+
+  // Time of the next event, Infinity when the queue is empty
+  nextTime() {
+    while (this.queue.size > 0 && this.queue.peek().cancelled) this.queue.pop();
+    return this.queue.size > 0 ? this.queue.peek().time : Infinity;
+  }
+
+  // Process every event up to and including `until`. `onChange(time, nets)`
+  // is called once per time at which nets changed level, after the last
+  // delta cycle at that time. More than `limit` events is an oscillation
+  advance(until, onChange, limit = Infinity) {
+    const first = this.events;
+    for (let time = this.nextTime(); time <= until && time < Infinity; time = this.nextTime()) {
+      this.time = time;
+      const changed = new Set();
+      for (let cycle = 0; this.nextTime() === time; cycle++) {
+        if (cycle >= MAX_DELTA_CYCLES || this.events - first > limit) {
+          const nets = Array.from(changed).slice(0, 5).join(', ');
+          throw new DigitalError(`Digital logic does not settle at t=${time}s (nets ${nets})`, time);
+        }
+        this.deltaCycle(time, changed);
+      }
+      if (changed.size > 0 && onChange) onChange(time, changed);
+    }
+    if (until > this.time && Number.isFinite(until)) this.time = until;
+  }
+
+  // Apply every event queued for `time`, then evaluate what they touched
+  deltaCycle(time, changed) {
+    const dirty = new Set();
+    const triggered = new Set();
+    while (this.nextTime() === time) {
+      const event = this.queue.pop();
+      this.events++;
+      if (event.wake && this.held) {
+        this.held.push(event);
+      } else if (event.wake) {
+        const comp = event.wake;
+        const model = this.modelOf(comp.type);
+        const state = model.wake({
+          comp,
+          inputs: this.inputs(comp),
+          state: this.states.get(comp.id),
+          time,
+          voltages: this.analog(comp)
+        });
+        this.states.set(comp.id, state);
+        this.scheduleWake(comp, state);
+        triggered.add(comp);
+      } else {
+        this.pending.delete(event.key);
+        this.drivers.get(event.net).set(event.key, event.level);
+        dirty.add(event.net);
+      }
+    }
+    dirty.forEach(net => {
+      const level = resolve(this.drivers.get(net).values());
+      if (level === this.levels.get(net)) return;
+      this.levels.set(net, level);
+      changed.add(net);
+      (this.readers.get(net) || []).forEach(comp => triggered.add(comp));
+    });
+    // Component order keeps runs deterministic
+    this.components.filter(comp => triggered.has(comp)).forEach(comp => this.evaluate(comp));
+  }
+
+  // Run until no output change is pending, with clocks held at their level:
+  // the digital operating point. Time is back where it was afterwards and
+  // the clocks wake as scheduled
+  settle() {
+    const time = this.time;
+    this.held = [];
+    try {
+      this.advance(Infinity, null, MAX_SETTLE_EVENTS);
+      this.components.forEach(comp => {
+        const model = this.modelOf(comp.type);
+        if (model.settled) this.states.set(comp.id, model.settled(this.states.get(comp.id)));
+      });
+    } finally {
+      this.held.forEach(event => this.queue.push(event));
+      this.held = null;
+      this.time = time;
+    }
+  }
+
+  // Level of every digital net
+  snapshot() {
+    return Object.fromEntries(this.levels);
+  }
+
+  // Pin levels of a component, the digital counterpart of its operating point
+  analyze(comp) {
+    const pins = this.terminals.get(comp.id);
+    const terminals = Object.fromEntries(Object.entries(pins).map(([pin, net]) => [pin, this.level(net)]));
+    return { operatingPoint: { terminals }, characteristics: {}, status: 'normal' };
+  }
+}
+
+module.exports = {
+  DigitalError,
+  DigitalSimulator,
+  logicNot,
+  logicAnd,
+  logicOr,
+  logicXor,
+  resolve
+};
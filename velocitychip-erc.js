@@ -0,0 +1,226 @@
+// Electrical and design rule checks on a design's netlist. Each rule has an
+// id, a default severity and a check that returns findings; callers may
+// change a rule's severity or turn it 'off'. Findings name the offending
+// components and nets so the frontend can highlight them
+
+const { componentLibrary, validateComponent } = require('./velocitychip-components');
+const { GROUND_NET, buildNodeMap, getPins, formatEndpoint, normalizeNets } = require('./velocitychip-netlist');
+const { deviceModel, isAnalog, analogPins } = require('./velocitychip-registry');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Invalid rule configuration
+class RuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RuleError';
+  }
+}
+
+// Minimal union-find over net names
+function createUnion() {
+  const parent = new Map();
+  const find = name => {
+    if (!parent.has(name)) parent.set(name, name);
+    while (parent.get(name) !== name) {
+      parent.set(name, parent.get(parent.get(name)));
+      name = parent.get(name);
+    }
+    return name;
+  };
+  // Returns false when both were already joined
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra === rb) return false;
+    parent.set(ra, rb);
+    return true;
+  };
+  return { find, union };
+}
+
+// Terminal pairs that conduct at DC. Capacitors, current sources and
+// controlling inputs do not; a MOSFET channel and a diode do, if only weakly
+function dcPaths(comp, pins) {
+  const model = deviceModel(comp.type);
+  return model.dcPaths ? model.dcPaths(pins) : [];
+}
+
+// Branches that force a voltage: sources, the current-sensing shorts of
+// CCVS/CCCS and inductors, which are shorts at DC
+function voltageBranches(comp, pins) {
+  const model = deviceModel(comp.type);
+  return model.voltageBranches ? model.voltageBranches(pins) : [];
+}
+
+const RULES = [
+  {
+    id: 'unconnected-pin',
+    severity: 'error',
+    description: 'Every library pin, including a MOSFET bulk, must be on a net',
+    check: ({ components, connected }) => components.flatMap(comp =>
+      getPins(comp)
+        .filter(pin => !connected.has(formatEndpoint(comp.id, pin)))
+        .map(pin => ({
+          message: `${comp.name || comp.id}: pin '${pin}' is not connected`,
+          components: [comp.id],
+          nets: []
+        }))
+    )
+  },
+  {
+    id: 'floating-net',
+    severity: 'warning',
+    description: 'A net with a single pin connects nothing',
+    check: ({ nets }) => nets
+      .filter(net => net.pins.length === 1 && net.name !== GROUND_NET)
+      .map(net => ({
+        message: `Net ${net.name} only connects ${net.pins[0]}`,
+        components: [net.pins[0].slice(0, net.pins[0].lastIndexOf('.'))],
+        nets: [net.name]
+      }))
+  },
+  {
+    id: 'no-dc-path',
+    severity: 'error',
+    description: 'Every analog net needs a DC path to ground, or the operating point is singular',
+    // Logic pins are event-driven and have no electrical nodes
+    check: ({ components: all, terminals, nets: allNets }) => {
+      const components = all.filter(isAnalog);
+      const analog = new Set(components.flatMap(comp => analogPins(comp).map(pin => formatEndpoint(comp.id, pin))));
+      const nets = allNets.filter(net => net.pins.some(pin => analog.has(pin)));
+      if (components.length > 0 && !nets.some(net => net.name === GROUND_NET)) {
+        return [{ message: 'Design has no ground (GND) net', components: [], nets: [] }];
+      }
+      const { find, union } = createUnion();
+      components.forEach(comp => dcPaths(comp, terminals.get(comp.id)).forEach(([a, b]) => union(a, b)));
+      const ground = find(GROUND_NET);
+      // Pins left off every net are reported by unconnected-pin
+      return nets
+        .map(net => net.name)
+        .filter(name => find(name) !== ground)
+        .map(name => ({
+          message: `Net ${name} has no DC path to ground`,
+          components: components
+            .filter(comp => Object.values(terminals.get(comp.id)).includes(name))
+            .map(comp => comp.id),
+          nets: [name]
+        }));
+    }
+  },
+  {
+    id: 'voltage-source-loop',
+    severity: 'error',
+    description: 'Loops made only of voltage sources and inductors have no unique solution',
+    check: ({ components, terminals }) => {
+      const { union } = createUnion();
+      const findings = [];
+      components.forEach(comp => {
+        voltageBranches(comp, terminals.get(comp.id)).forEach(([a, b]) => {
+          // A branch shorting its own terminals is reported as a shorted source
+          if (a !== b && !union(a, b)) {
+            findings.push({
+              message: `${comp.name || comp.id} closes a loop of voltage sources and inductors between ${a} and ${b}`,
+              components: [comp.id],
+              nets: [a, b]
+            });
+          }
+        });
+      });
+      return findings;
+    }
+  },
+  {
+    id: 'shorted-source',
+    severity: 'error',
+    description: 'A source with both terminals on the same net is shorted',
+    // The output terminals are a source's first two pins
+    check: ({ components, terminals }) => components
+      .filter(comp => deviceModel(comp.type).source)
+      .map(comp => ({ comp, outputs: getPins(comp).slice(0, 2).map(pin => terminals.get(comp.id)[pin]) }))
+      .filter(({ outputs }) => outputs.length === 2 && outputs[0] === outputs[1])
+      .map(({ comp, outputs }) => ({
+        message: `${comp.name || comp.id}: both terminals are on net ${outputs[0]}`,
+        components: [comp.id],
+        nets: [outputs[0]]
+      }))
+  },
+  {
+    id: 'duplicate-designator',
+    severity: 'error',
+    description: 'Reference designators (component names) must be unique',
+    check: ({ components }) => {
+      const byName = new Map();
+      components.forEach(comp => {
+        if (!comp.name) return;
+        if (!byName.has(comp.name)) byName.set(comp.name, []);
+        byName.get(comp.name).push(comp.id);
+      });
+      return Array.from(byName.entries())
+        .filter(([, ids]) => ids.length > 1)
+        .map(([name, ids]) => ({ message: `Designator ${name} is used by ${ids.length} components`, components: ids, nets: [] }));
+    }
+  },
+  {
+    id: 'value-limits',
+    severity: 'error',
+    description: 'Property values must parse and lie within the component library limits',
+    check: ({ allComponents }) => allComponents.flatMap(comp =>
+      validateComponent(comp).map(error => ({
+        message: `${comp.name || comp.id}${error.path}: ${error.message}`,
+        components: [comp.id],
+        nets: []
+      }))
+    )
+  }
+];
+
+// Effective severity of every rule after applying `overrides`
+// ({ ruleId: 'error' | 'warning' | 'info' | 'off' }). Unknown rule ids or
+// severities throw, so a typo in a rule set is not silently ignored
+function resolveRules(overrides = {}) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new RuleError('rules must be an object of rule id to severity');
+  }
+  Object.entries(overrides).forEach(([id, severity]) => {
+    if (!RULES.some(rule => rule.id === id)) {
+      throw new RuleError(`Unknown rule '${id}', expected one of ${RULES.map(rule => rule.id).join(', ')}`);
+    }
+    if (severity !== 'off' && !SEVERITIES.includes(severity)) {
+      throw new RuleError(`Rule '${id}': severity must be one of ${SEVERITIES.join(', ')} or off`);
+    }
+  });
+  return RULES.map(rule => ({
+    id: rule.id,
+    description: rule.description,
+    severity: overrides[rule.id] || rule.severity
+  }));
+}
+
+// Run every enabled rule. Returns the findings, most severe first, with a
+// count per severity
+function checkDesign(design, overrides = {}) {
+  const rules = resolveRules(overrides);
+  // Unknown component types are reported by value-limits and skipped by the netlist rules
+  const allComponents = design.components || [];
+  const components = allComponents.filter(comp => componentLibrary[comp.type]);
+  const nets = normalizeNets(design.nets || []);
+  const { terminals } = buildNodeMap(components, nets);
+  const connected = new Set(nets.flatMap(net => net.pins));
+
+  const context = { components, allComponents, nets, terminals, connected };
+  const findings = [];
+  rules.forEach((rule, index) => {
+    if (rule.severity === 'off') return;
+    RULES[index].check(context).forEach(finding => findings.push({ rule: rule.id, severity: rule.severity, ...finding }));
+  });
+
+  findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+  const summary = {};
+  SEVERITIES.forEach(severity => {
+    summary[severity] = findings.filter(finding => finding.severity === severity).length;
+  });
+  return { rules, findings, summary, passed: summary.error === 0 };
+}
+
+module.exports = { RULES, SEVERITIES, RuleError, resolveRules, checkDesign };
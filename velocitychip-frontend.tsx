@@ -1,21 +1,37 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Play, Square, Zap, Cpu, CircuitBoard, BarChart3, Settings, Save, Upload, Download } from 'lucide-react';
+import { Play, Square, Zap, Cpu, CircuitBoard, BarChart3, Settings, Save, Upload, Download, ShieldCheck, ArrowUp } from 'lucide-react';
+import { componentLibrary, propertyValue, validateProperties } from './velocitychip-components';
+import { formatValue } from './velocitychip-units';
 
 const VelocityChip = () => {
   const [isRunning, setIsRunning] = useState(false);
   const [simulationData, setSimulationData] = useState([]);
   const [selectedComponent, setSelectedComponent] = useState(null);
+  const [propertyErrors, setPropertyErrors] = useState({});
   const [designName, setDesignName] = useState('Untitled Design');
+  // Server id once the design has been saved or imported
+  const [designId, setDesignId] = useState(null);
   const canvasRef = useRef(null);
+  const importInputRef = useRef(null);
+  const [messages, setMessages] = useState([]);
+  // Rule check findings from the last Check, highlighted on the canvas
+  const [findings, setFindings] = useState([]);
+  // Designs above the one on the canvas, innermost last, while inside a subcircuit
+  const [hierarchy, setHierarchy] = useState([]);
+  // User-defined parts registered on the server, added to the palette
+  const [customTypes, setCustomTypes] = useState([]);
   const [components, setComponents] = useState([
     { id: 1, type: 'transistor', x: 100, y: 100, name: 'NMOS_1', properties: { width: '10μm', length: '0.5μm' } },
     { id: 2, type: 'resistor', x: 250, y: 150, name: 'R1', properties: { resistance: '1kΩ', power: '0.25W' } },
-    { id: 3, type: 'capacitor', x: 400, y: 120, name: 'C1', properties: { capacitance: '1pF', voltage: '5V' } }
+    { id: 3, type: 'capacitor', x: 400, y: 120, name: 'C1', properties: { capacitance: '1pF', voltage: '5V' } },
+    { id: 4, type: 'voltageSource', x: 100, y: 250, name: 'V1', properties: { waveform: 'dc', dc: '3.3V' } }
   ]);
 
-  const [connections, setConnections] = useState([
-    { from: 1, to: 2, signal: 'VDD' },
-    { from: 2, to: 3, signal: 'OUT' }
+  // Pin-level nets, each pin is '<componentId>.<pin>'
+  const [nets, setNets] = useState([
+    { name: 'VDD', pins: ['1.drain', '2.pin1', '4.positive'] },
+    { name: 'OUT', pins: ['2.pin2', '3.positive'] },
+    { name: 'GND', pins: ['1.source', '1.bulk', '3.negative', '4.negative'] }
   ]);
 
   const componentTypes = {
@@ -23,12 +39,56 @@ const VelocityChip = () => {
     resistor: { color: '#ef4444', icon: '⟐' },
     capacitor: { color: '#10b981', icon: '||' },
     inductor: { color: '#f59e0b', icon: '〜' },
-    diode: { color: '#8b5cf6', icon: '▷|' }
+    diode: { color: '#8b5cf6', icon: '▷|' },
+    voltageSource: { color: '#ec4899', icon: '⎓' },
+    currentSource: { color: '#14b8a6', icon: '⇡' },
+    vcvs: { color: '#f97316', icon: 'E' },
+    vccs: { color: '#84cc16', icon: 'G' },
+    ccvs: { color: '#06b6d4', icon: 'H' },
+    cccs: { color: '#a855f7', icon: 'F' },
+    opamp: { color: '#eab308', icon: '▷' },
+    comparator: { color: '#f43f5e', icon: '⊳' },
+    voltageSwitch: { color: '#22c55e', icon: '⏻' },
+    timeSwitch: { color: '#6366f1', icon: '⏱' },
+    andGate: { color: '#0891b2', icon: '&' },
+    orGate: { color: '#0891b2', icon: '≥1' },
+    notGate: { color: '#0891b2', icon: '¬' },
+    nandGate: { color: '#0e7490', icon: '⊼' },
+    norGate: { color: '#0e7490', icon: '⊽' },
+    xorGate: { color: '#0e7490', icon: '⊕' },
+    dFlipFlop: { color: '#7c3aed', icon: 'D' },
+    clock: { color: '#db2777', icon: '⎍' },
+    constant: { color: '#475569', icon: '1' },
+    adBridge: { color: '#059669', icon: 'A⇢D' },
+    daBridge: { color: '#059669', icon: 'D⇢A' },
+    subcircuit: { color: '#64748b', icon: '▣' }
   };
+  const customStyle = { color: '#0ea5e9', icon: '◇' };
+  const styleOf = (type) => componentTypes[type] || customStyle;
+
+  // The server's library includes user-defined parts; merged into the shared
+  // library so property validation and hints cover them too
+  useEffect(() => {
+    fetch('/api/components')
+      .then(response => response.json())
+      .then(library => {
+        const custom = Object.entries(library).filter(([, definition]) => definition.custom);
+        custom.forEach(([type, definition]) => { componentLibrary[type] = definition; });
+        setCustomTypes(custom.map(([type]) => type));
+      })
+      .catch(() => setMessages(['Could not load the component library']));
+  }, []);
 
   useEffect(() => {
     drawCanvas();
-  }, [components, connections, selectedComponent]);
+  }, [components, nets, selectedComponent, findings]);
+
+  const severityColors = { error: '#ef4444', warning: '#f97316', info: '#38bdf8' };
+
+  // Most severe finding per component id
+  const findingSeverity = (comp) => ['error', 'warning', 'info'].find(severity =>
+    findings.some(finding => finding.severity === severity && finding.components.some(id => String(id) === String(comp.id)))
+  );
 
   const drawCanvas = () => {
     const canvas = canvasRef.current;
@@ -53,24 +113,28 @@ const VelocityChip = () => {
       ctx.stroke();
     }
 
-    // Draw connections
+    // Draw nets as a star from the first pin's component
     ctx.strokeStyle = '#fbbf24';
     ctx.lineWidth = 2;
-    connections.forEach(conn => {
-      const fromComp = components.find(c => c.id === conn.from);
-      const toComp = components.find(c => c.id === conn.to);
-      if (fromComp && toComp) {
+    nets.forEach(net => {
+      const netComponents = net.pins
+        .map(pin => components.find(c => String(c.id) === pin.slice(0, pin.lastIndexOf('.'))))
+        .filter(Boolean);
+      const [hub, ...rest] = netComponents;
+      rest.forEach(comp => {
+        if (comp === hub) return;
         ctx.beginPath();
-        ctx.moveTo(fromComp.x + 25, fromComp.y + 25);
-        ctx.lineTo(toComp.x + 25, toComp.y + 25);
+        ctx.moveTo(hub.x + 25, hub.y + 25);
+        ctx.lineTo(comp.x + 25, comp.y + 25);
         ctx.stroke();
-      }
+      });
     });
 
     // Draw components
     components.forEach(comp => {
-      const type = componentTypes[comp.type];
+      const type = styleOf(comp.type);
       const isSelected = selectedComponent?.id === comp.id;
+      const severity = findingSeverity(comp);
       
       // Component body
       ctx.fillStyle = isSelected ? type.color : type.color + '80';
@@ -79,6 +143,19 @@ const VelocityChip = () => {
       
       ctx.fillRect(comp.x, comp.y, 50, 50);
       ctx.strokeRect(comp.x, comp.y, 50, 50);
+
+      // Rule check highlight
+      if (severity) {
+        ctx.strokeStyle = severityColors[severity];
+        ctx.lineWidth = 3;
+        ctx.setLineDash([6, 4]);
+        ctx.strokeRect(comp.x - 5, comp.y - 5, 60, 60);
+        ctx.setLineDash([]);
+        ctx.fillStyle = severityColors[severity];
+        ctx.font = 'bold 14px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText('!', comp.x + 52, comp.y - 2);
+      }
       
       // Component icon
       ctx.fillStyle = '#ffffff';
@@ -104,6 +181,74 @@ const VelocityChip = () => {
     );
     
     setSelectedComponent(clickedComponent || null);
+    setPropertyErrors({});
+  };
+
+  // Double-clicking an instance opens the design it instantiates. Edits made
+  // there change the block, and so every instance of it
+  const handleCanvasDoubleClick = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+    const instance = components.find(comp =>
+      comp.type === 'subcircuit' && x >= comp.x && x <= comp.x + 50 && y >= comp.y && y <= comp.y + 50
+    );
+    if (instance) descend(instance);
+  };
+
+  const descend = async (instance) => {
+    const response = await fetch(`/api/designs/${instance.subcircuit}`);
+    const block = await response.json();
+    if (!response.ok) {
+      setMessages([`${instance.name}: ${block.error}`]);
+      return;
+    }
+    setHierarchy([...hierarchy, { designId, designName, components, nets, instance }]);
+    loadDesign(block);
+  };
+
+  // Back to the enclosing design as it was left
+  const ascend = () => {
+    const parent = hierarchy[hierarchy.length - 1];
+    setHierarchy(hierarchy.slice(0, -1));
+    setDesignId(parent.designId);
+    setDesignName(parent.designName);
+    setComponents(parent.components);
+    setNets(parent.nets);
+    setSelectedComponent(parent.instance);
+    setFindings([]);
+  };
+
+  const loadDesign = (design) => {
+    setDesignId(design.id);
+    setDesignName(design.name);
+    setComponents(design.components);
+    setNets(design.nets);
+    setSelectedComponent(null);
+    setFindings([]);
+  };
+
+  // Keep whatever was typed, flag it if the shared parser rejects it
+  const updateProperty = (key, value) => {
+    const updated = { ...selectedComponent, properties: { ...selectedComponent.properties, [key]: value } };
+    const [error] = validateProperties({ type: updated.type, properties: { [key]: value } });
+    setPropertyErrors({ ...propertyErrors, [key]: error ? error.message : null });
+    setComponents(components.map(comp => comp.id === updated.id ? updated : comp));
+    setSelectedComponent(updated);
+  };
+
+  // Per-instance parameter override, checked by the server on save
+  const updateParameter = (key, value) => {
+    const updated = { ...selectedComponent, parameters: { ...selectedComponent.parameters, [key]: value } };
+    setComponents(components.map(comp => comp.id === updated.id ? updated : comp));
+    setSelectedComponent(updated);
+  };
+
+  // Parsed value echoed back in canonical form, e.g. '1000' -> '1kΩ'
+  const propertyHint = (component, key) => {
+    const definition = componentLibrary[component.type]?.properties[key];
+    if (!definition || definition.type !== 'number' || propertyErrors[key]) return null;
+    return formatValue(propertyValue(component, key), definition.unit);
   };
 
   const startSimulation = async () => {
@@ -147,15 +292,96 @@ const VelocityChip = () => {
     setComponents([...components, newComponent]);
   };
 
+  // Send a .cir file to the SPICE importer and load the resulting design
+  const importNetlist = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const response = await fetch('/api/designs/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: await file.text()
+    });
+    const result = await response.json();
+    const format = ({ line, path, message }) => (line ? `Line ${line}: ${message}` : `${path}: ${message}`);
+    if (!response.ok) {
+      setMessages([result.error, ...(result.details || []).map(format)]);
+      return;
+    }
+
+    loadDesign(result);
+    setHierarchy([]);
+    setMessages(result.warnings.map(format));
+  };
+
+  // Create the design on first save, update it afterwards
+  const saveDesign = async () => {
+    const response = await fetch(designId ? `/api/designs/${designId}` : '/api/designs', {
+      method: designId ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: designName, components, nets })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      setMessages([result.error, ...(result.details || []).map(({ path, message }) => `${path}: ${message}`)]);
+      return;
+    }
+    setDesignId(result.id);
+    setMessages([]);
+    return result.id;
+  };
+
+  // Save, then run the electrical/design rule check on the saved revision
+  const runCheck = async () => {
+    const id = await saveDesign();
+    if (!id) return;
+    const response = await fetch(`/api/designs/${id}/check`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({})
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      setMessages([result.error]);
+      return;
+    }
+    setFindings(result.findings);
+  };
+
   const getDefaultProperties = (type) => {
     const defaults = {
-      transistor: { width: '10μm', length: '0.5μm', threshold: '0.7V' },
+      transistor: { width: '10μm', length: '0.5μm', threshold: '0.7V', polarity: 'nmos' },
       resistor: { resistance: '1kΩ', power: '0.25W', tolerance: '5%' },
       capacitor: { capacitance: '1pF', voltage: '5V', type: 'ceramic' },
       inductor: { inductance: '1μH', current: '1A', core: 'air' },
-      diode: { forwardVoltage: '0.7V', current: '1A', type: 'silicon' }
+      diode: { forwardVoltage: '0.7V', current: '1A', type: 'silicon' },
+      voltageSource: { waveform: 'dc', dc: '3.3V' },
+      currentSource: { waveform: 'dc', dc: '1mA' },
+      vcvs: { gain: '1' },
+      vccs: { transconductance: '1mS' },
+      ccvs: { transresistance: '1kΩ' },
+      cccs: { gain: '1' },
+      opamp: { model: 'singlePole', gain: '100k', gbw: '1MHz', slewRate: '1MV/s', vHigh: '5V', vLow: '-5V' },
+      comparator: { vHigh: '5V', vLow: '0V', hysteresis: '10mV' },
+      voltageSwitch: { ron: '1Ω', roff: '1GΩ', threshold: '2.5V', hysteresis: '0V' },
+      timeSwitch: { ron: '1Ω', roff: '1GΩ', initial: 'open', switchTime: '1μs' },
+      andGate: { riseDelay: '1ns', fallDelay: '1ns' },
+      orGate: { riseDelay: '1ns', fallDelay: '1ns' },
+      notGate: { riseDelay: '1ns', fallDelay: '1ns' },
+      nandGate: { riseDelay: '1ns', fallDelay: '1ns' },
+      norGate: { riseDelay: '1ns', fallDelay: '1ns' },
+      xorGate: { riseDelay: '1ns', fallDelay: '1ns' },
+      dFlipFlop: { delay: '1ns', initial: '0' },
+      clock: { period: '10ns', dutyCycle: '50%', delay: '0s' },
+      constant: { value: '0' },
+      adBridge: { thresholdLow: '1V', thresholdHigh: '2V', inputResistance: '1GΩ', riseDelay: '1ns', fallDelay: '1ns' },
+      daBridge: { outputLow: '0V', outputHigh: '5V', riseTime: '1ns', fallTime: '1ns', outputResistance: '50Ω' }
     };
-    return defaults[type] || {};
+    if (defaults[type]) return defaults[type];
+    // User-defined parts start from their schema defaults
+    const definition = componentLibrary[type];
+    return definition ? Object.fromEntries(Object.entries(definition.properties).map(([key, property]) => [key, property.default])) : {};
   };
 
   const latestData = simulationData[simulationData.length - 1];
@@ -180,14 +406,34 @@ const VelocityChip = () => {
           </div>
           
           <div className="flex items-center space-x-2">
-            <button className="flex items-center space-x-1 bg-gray-700 hover:bg-gray-600 px-3 py-2 rounded transition-colors">
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".cir,.sp,.spice,.net"
+              onChange={importNetlist}
+              className="hidden"
+            />
+            <button
+              onClick={() => importInputRef.current.click()}
+              className="flex items-center space-x-1 bg-gray-700 hover:bg-gray-600 px-3 py-2 rounded transition-colors"
+            >
               <Upload className="w-4 h-4" />
               <span>Import</span>
             </button>
-            <button className="flex items-center space-x-1 bg-gray-700 hover:bg-gray-600 px-3 py-2 rounded transition-colors">
+            <button
+              onClick={saveDesign}
+              className="flex items-center space-x-1 bg-gray-700 hover:bg-gray-600 px-3 py-2 rounded transition-colors"
+            >
               <Save className="w-4 h-4" />
               <span>Save</span>
             </button>
+            <button
+              onClick={runCheck}
+              className="flex items-center space-x-1 bg-gray-700 hover:bg-gray-600 px-3 py-2 rounded transition-colors"
+            >
+              <ShieldCheck className="w-4 h-4" />
+              <span>Check</span>
+            </button>
             <button className="flex items-center space-x-1 bg-blue-600 hover:bg-blue-500 px-3 py-2 rounded transition-colors">
               <Download className="w-4 h-4" />
               <span>Export</span>
@@ -206,20 +452,42 @@ const VelocityChip = () => {
               Components
             </h3>
             <div className="grid grid-cols-2 gap-2">
-              {Object.entries(componentTypes).map(([type, config]) => (
+              {/* Instances are created by promoting a design, not from the palette */}
+              {[...Object.keys(componentTypes).filter(type => type !== 'subcircuit'), ...customTypes].map(type => (
                 <button
                   key={type}
                   onClick={() => addComponent(type)}
                   className="flex flex-col items-center p-3 bg-gray-700/50 hover:bg-gray-600/50 rounded-lg transition-colors border border-gray-600"
-                  style={{ borderColor: config.color + '40' }}
+                  style={{ borderColor: styleOf(type).color + '40' }}
+                  title={componentLibrary[type]?.name}
                 >
-                  <span className="text-2xl mb-1">{config.icon}</span>
+                  <span className="text-2xl mb-1">{styleOf(type).icon}</span>
                   <span className="text-sm capitalize">{type}</span>
                 </button>
               ))}
             </div>
           </div>
 
+          {/* Import warnings, import and save errors */}
+          {messages.length > 0 && (
+            <div className="mb-6 bg-yellow-900/30 border border-yellow-700 rounded-lg p-3 text-xs text-yellow-200">
+              {messages.map((message, index) => (
+                <p key={index}>{message}</p>
+              ))}
+            </div>
+          )}
+
+          {/* Rule check findings */}
+          {findings.length > 0 && (
+            <div className="mb-6 bg-gray-900/40 border border-gray-700 rounded-lg p-3 text-xs space-y-1">
+              {findings.map((finding, index) => (
+                <p key={index} style={{ color: severityColors[finding.severity] }}>
+                  [{finding.rule}] {finding.message}
+                </p>
+              ))}
+            </div>
+          )}
+
           {/* Properties Panel */}
           {selectedComponent && (
             <div className="mb-6">
@@ -240,10 +508,36 @@ const VelocityChip = () => {
                     <label className="text-sm text-gray-300 capitalize">{key}</label>
                     <input 
                       value={value}
+                      onChange={(e) => updateProperty(key, e.target.value)}
+                      className={`w-full bg-gray-600 px-2 py-1 rounded mt-1 text-sm focus:outline-none focus:ring-2 ${propertyErrors[key] ? 'ring-2 ring-red-500' : 'focus:ring-blue-400'}`}
+                    />
+                    {propertyErrors[key] ? (
+                      <p className="text-xs text-red-400 mt-1">{propertyErrors[key]}</p>
+                    ) : (
+                      propertyHint(selectedComponent, key) && (
+                        <p className="text-xs text-gray-400 mt-1">= {propertyHint(selectedComponent, key)}</p>
+                      )
+                    )}
+                  </div>
+                ))}
+                {selectedComponent.type === 'subcircuit' && Object.entries(selectedComponent.parameters || {}).map(([key, value]) => (
+                  <div key={key} className="mb-2">
+                    <label className="text-sm text-gray-300">{key}</label>
+                    <input
+                      value={value}
+                      onChange={(e) => updateParameter(key, e.target.value)}
                       className="w-full bg-gray-600 px-2 py-1 rounded mt-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-400"
                     />
                   </div>
                 ))}
+                {selectedComponent.type === 'subcircuit' && (
+                  <button
+                    onClick={() => descend(selectedComponent)}
+                    className="w-full mt-2 bg-gray-600 hover:bg-gray-500 px-2 py-1 rounded text-sm transition-colors"
+                  >
+                    Open subcircuit
+                  </button>
+                )}
               </div>
             </div>
           )}
@@ -314,9 +608,26 @@ const VelocityChip = () => {
               width={800}
               height={600}
               onClick={handleCanvasClick}
+              onDoubleClick={handleCanvasDoubleClick}
               className="absolute inset-0 w-full h-full cursor-crosshair bg-gray-900/50"
             />
             
+            {/* Path into the hierarchy while inside a subcircuit */}
+            {hierarchy.length > 0 && (
+              <div className="absolute top-4 left-4 flex items-center space-x-2 bg-black/70 backdrop-blur-sm rounded-lg px-3 py-2 text-sm">
+                <button
+                  onClick={ascend}
+                  className="flex items-center space-x-1 bg-gray-700 hover:bg-gray-600 px-2 py-1 rounded transition-colors"
+                >
+                  <ArrowUp className="w-4 h-4" />
+                  <span>Up</span>
+                </button>
+                <span className="text-gray-300">
+                  {[...hierarchy.map(level => level.designName), designName].join(' / ')}
+                </span>
+              </div>
+            )}
+
             {/* Performance Overlay */}
             {isRunning && (
               <div className="absolute top-4 right-4 bg-black/70 backdrop-blur-sm rounded-lg p-4 border border-green-400/30">
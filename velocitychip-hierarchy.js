@@ -0,0 +1,188 @@
+// Hierarchical designs. Any design can be used as a block: its ports are the
+// nets that have a direction, and its optional `parameters` object declares
+// parameter defaults. A property value written as '{name}' takes the value
+// of that parameter. An instance is a component of type 'subcircuit'
+// referencing the block's design id, with per-instance overrides in
+// `parameters`. Library parts whose device model has an `expand` hook are
+// blocks too, with their pins as ports. The simulator, rule checks and HDL
+// exporters all see the flattened design
+
+const { GROUND_NET, normalizeNets, formatEndpoint, parseEndpoint, getPins } = require('./velocitychip-netlist');
+const { deviceModel } = require('./velocitychip-registry');
+
+const MAX_HIERARCHY_DEPTH = 20;
+// Joins instance and inner ids, '.' already separates the pin
+const PATH_SEPARATOR = '/';
+
+// Broken hierarchy: missing block, recursion, unknown parameter or port.
+// `component` is the flattened id of the instance at fault
+class HierarchyError extends Error {
+  constructor(message, component) {
+    super(message);
+    this.name = 'HierarchyError';
+    this.component = component;
+  }
+}
+
+function isInstance(comp) {
+  return Boolean(comp) && comp.type === 'subcircuit';
+}
+
+function parameterReference(value) {
+  const match = typeof value === 'string' && /^\{\s*([A-Za-z_]\w*)\s*\}$/.exec(value);
+  return match ? match[1] : null;
+}
+
+// Port names of a block, in net order. Ground is global and never a port
+function designPorts(design) {
+  return normalizeNets(design.nets || [])
+    .filter(net => net.direction && net.name !== GROUND_NET)
+    .map(net => net.name);
+}
+
+// Parameter values of one instance of `block`: its defaults with the
+// instance's overrides on top
+function instanceParameters(block, overrides = {}, path = '') {
+  const values = { ...(block.parameters || {}) };
+  Object.entries(overrides || {}).forEach(([name, value]) => {
+    if (!(name in values)) {
+      throw new HierarchyError(`${path}: ${block.name || block.id} has no parameter '${name}'`, path);
+    }
+    values[name] = value;
+  });
+  return values;
+}
+
+// Copies of `components` with every '{name}' property value, and every
+// '{name}' override of a nested instance, replaced from `values`
+function applyParameters(components, values = {}, prefix = '') {
+  const substitute = (value, comp) => {
+    const name = parameterReference(value);
+    if (name === null) return value;
+    if (!(name in values)) {
+      throw new HierarchyError(`${prefix}${comp.id}: unknown parameter '${name}'`, `${prefix}${comp.id}`);
+    }
+    return values[name];
+  };
+  return components.map(comp => {
+    const copy = { ...comp, properties: {} };
+    Object.entries(comp.properties || {}).forEach(([key, value]) => {
+      copy.properties[key] = substitute(value, comp);
+    });
+    if (isInstance(comp) && comp.parameters) {
+      copy.parameters = {};
+      Object.entries(comp.parameters).forEach(([key, value]) => {
+        copy.parameters[key] = substitute(value, comp);
+      });
+    }
+    return copy;
+  });
+}
+
+// Record each instance's current ports on it, which are its pins
+function attachPorts(components, lookup) {
+  return components.map(comp => {
+    if (!isInstance(comp)) return comp;
+    const block = typeof comp.subcircuit === 'string' ? lookup(comp.subcircuit) : null;
+    return block ? { ...comp, ports: designPorts(block) } : comp;
+  });
+}
+
+function isExpandable(comp) {
+  return Boolean(comp) && typeof deviceModel(comp.type).expand === 'function';
+}
+
+function hasHierarchy(design) {
+  return (design.components || []).some(comp => isInstance(comp) || isExpandable(comp)) ||
+    Object.keys(design.parameters || {}).length > 0;
+}
+
+// Expand every instance, recursively. Inner components and nets are named
+// '<instance>/<id>'; a block's port nets join the nets its instance pins are
+// on, and GND stays global. A port left unconnected becomes an internal net.
+// `lookup(id)` returns a design or nothing. An optional `transform` maps a
+// copy of each component before it is placed or expanded, except those inside
+// a part's expansion, which the part's own properties stand for. Designs without
+// instances or parameters are returned as they are
+function flattenDesign(design, lookup, transform) {
+  if (!hasHierarchy(design)) {
+    if (!transform) return design;
+    return { ...design, components: (design.components || []).map(comp => transform({ ...comp, properties: { ...comp.properties } })) };
+  }
+
+  const components = [];
+  const netOf = new Map(); // flattened endpoint -> flattened net
+
+  const expand = (current, values, prefix, outerNet, stack, inPart = false) => {
+    const localNet = new Map();
+    normalizeNets(current.nets || []).forEach(net => net.pins.forEach(pin => localNet.set(pin, net.name)));
+
+    applyParameters(current.components || [], values, prefix).forEach(parameterized => {
+      const comp = transform && !inPart ? transform(parameterized) : parameterized;
+      const id = `${prefix}${comp.id}`;
+      if (!isInstance(comp) && !isExpandable(comp)) {
+        components.push({ ...comp, id });
+        getPins(comp).forEach(pin => {
+          const net = localNet.get(formatEndpoint(comp.id, pin));
+          if (net !== undefined) netOf.set(formatEndpoint(id, pin), outerNet(net));
+        });
+        return;
+      }
+
+      // A part's expansion is named after its type and needs the flattened id for its errors
+      const block = isInstance(comp)
+        ? (typeof comp.subcircuit === 'string' ? lookup(comp.subcircuit) : null)
+        : { id: comp.type, ...deviceModel(comp.type).expand({ ...comp, id }) };
+      if (!block) throw new HierarchyError(`${id}: subcircuit '${comp.subcircuit}' not found`, id);
+      if (stack.includes(String(block.id))) {
+        throw new HierarchyError(`${id}: ${block.name || block.id} instantiates itself`, id);
+      }
+      if (stack.length > MAX_HIERARCHY_DEPTH) throw new HierarchyError(`${id}: subcircuits nested too deeply`, id);
+
+      const ports = designPorts(block);
+      localNet.forEach((net, endpoint) => {
+        const { componentId, pin } = parseEndpoint(endpoint) || {};
+        if (componentId === String(comp.id) && !ports.includes(pin)) {
+          throw new HierarchyError(`${id}: ${block.name || block.id} has no port '${pin}'`, id);
+        }
+      });
+      const inner = `${id}${PATH_SEPARATOR}`;
+      const portNets = new Map(ports.map(port => {
+        const net = localNet.get(formatEndpoint(comp.id, port));
+        return [port, net === undefined ? `${inner}${port}` : outerNet(net)];
+      }));
+      expand(
+        block,
+        instanceParameters(block, comp.parameters, id),
+        inner,
+        net => net === GROUND_NET ? net : portNets.get(net) || `${inner}${net}`,
+        [...stack, String(block.id)],
+        inPart || isExpandable(comp)
+      );
+    });
+  };
+  expand(design, design.parameters || {}, '', net => net, [String(design.id)]);
+
+  // Top-level nets keep their order and direction, inner nets follow. A net
+  // that only reached into instances with nothing behind the port is dropped
+  const nets = new Map(normalizeNets(design.nets || []).map(net => [net.name, { ...net, pins: [] }]));
+  netOf.forEach((net, endpoint) => {
+    if (!nets.has(net)) nets.set(net, { name: net, pins: [] });
+    nets.get(net).pins.push(endpoint);
+  });
+  return { ...design, components, nets: Array.from(nets.values()).filter(net => net.pins.length > 0) };
+}
+
+module.exports = {
+  MAX_HIERARCHY_DEPTH,
+  PATH_SEPARATOR,
+  HierarchyError,
+  isInstance,
+  isExpandable,
+  parameterReference,
+  designPorts,
+  instanceParameters,
+  applyParameters,
+  attachPorts,
+  flattenDesign
+};
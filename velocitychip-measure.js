@@ -0,0 +1,333 @@
+// Measurements on simulation results, after SPICE .measure. A design keeps a
+// list of named measurements, each evaluated on the waveforms of the
+// analysis it names: x is time for 'tran', frequency for 'ac' and the inner
+// sweep value for 'dc'; 'op' is a single point.
+//   { type: 'trig_targ', trig: crossing, targ: crossing }   x(targ) - x(trig)
+//   { type: 'min' | 'max' | 'pp' | 'avg' | 'rms' | 'integ', signal, from?, to? }
+//   { type: 'find' | 'deriv', signal, at }   or with when: crossing instead of at
+// A crossing is { signal, value, edge: 'rise' | 'fall' | 'cross', occurrence, delay },
+// occurrence counting from 1 or 'last'. Signals are V(net), V(net,net), I(id),
+// P(id) and T(id), the temperature, plus VM/VDB/VP(net) in AC
+
+const { normalizeNetName, GROUND_NET } = require('./velocitychip-netlist');
+
+const MEASUREMENT_ANALYSES = ['op', 'tran', 'ac', 'dc'];
+const MEASUREMENT_TYPES = ['trig_targ', 'min', 'max', 'pp', 'avg', 'rms', 'integ', 'find', 'deriv'];
+const EDGES = ['rise', 'fall', 'cross'];
+const WINDOW_TYPES = ['min', 'max', 'pp', 'avg', 'rms', 'integ'];
+
+const SIGNAL_PATTERN = /^\s*(V|VM|VDB|VP|I|P|T)\s*\(\s*([^,()]+?)\s*(?:,\s*([^,()]+?)\s*)?\)\s*$/i;
+const AC_ONLY = ['VM', 'VDB', 'VP'];
+const COMPONENT_SIGNALS = ['I', 'P', 'T'];
+
+// A measurement that cannot be taken on these results, e.g. a crossing that
+// never happens. Reported with the measurement instead of failing the run
+class MeasurementError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MeasurementError';
+  }
+}
+
+// { kind, args } of a signal expression, or null if it does not parse
+function parseSignal(text) {
+  const match = typeof text === 'string' && text.match(SIGNAL_PATTERN);
+  if (!match) return null;
+  const args = match[3] === undefined ? [match[2]] : [match[2], match[3]];
+  return { kind: match[1].toUpperCase(), args };
+}
+
+// Problems with one signal for `analysis`. Net and component names are
+// checked when the design's are known
+function signalErrors(text, path, analysis, { netNames, componentIds }) {
+  const signal = parseSignal(text);
+  if (!signal) {
+    return [{ path, message: `'${text}' is not a signal, expected e.g. V(out), V(a,b), I(R1), P(R1), T(R1) or VDB(out)` }];
+  }
+  const errors = [];
+  const { kind, args } = signal;
+  if (AC_ONLY.includes(kind) && analysis !== 'ac') {
+    errors.push({ path, message: `${kind}() is only available in AC analysis` });
+  }
+  if (COMPONENT_SIGNALS.includes(kind)) {
+    if (args.length > 1) errors.push({ path, message: `${kind}() takes one component` });
+    if (analysis === 'ac') errors.push({ path, message: `${kind}() is not available in AC analysis` });
+    if (componentIds && !componentIds.has(args[0])) errors.push({ path, message: `unknown component '${args[0]}'` });
+  } else {
+    if (args.length > 1 && analysis === 'ac') {
+      errors.push({ path, message: 'differential voltages are not available in AC analysis' });
+    }
+    if (netNames) {
+      args.map(normalizeNetName)
+        .filter(name => name !== GROUND_NET && !netNames.has(name))
+        .forEach(name => errors.push({ path, message: `unknown net '${name}'` }));
+    }
+  }
+  return errors;
+}
+
+function crossingErrors(crossing, path, analysis, names) {
+  if (!crossing || typeof crossing !== 'object') return [{ path, message: 'must be an object' }];
+  const errors = signalErrors(crossing.signal, `${path}/signal`, analysis, names);
+  if (!Number.isFinite(crossing.value)) errors.push({ path: `${path}/value`, message: 'must be a number' });
+  if (crossing.edge !== undefined && !EDGES.includes(crossing.edge)) {
+    errors.push({ path: `${path}/edge`, message: `must be one of ${EDGES.join(', ')}` });
+  }
+  const { occurrence } = crossing;
+  if (occurrence !== undefined && occurrence !== 'last' && !(Number.isInteger(occurrence) && occurrence >= 1)) {
+    errors.push({ path: `${path}/occurrence`, message: "must be a positive integer or 'last'" });
+  }
+  if (crossing.delay !== undefined && !Number.isFinite(crossing.delay)) {
+    errors.push({ path: `${path}/delay`, message: 'must be a number' });
+  }
+  return errors;
+}
+
+// JSON-pointer errors for a design's measurement list. `nets` may be
+// omitted when net names are not known yet
+function validateMeasurements(measurements, components = [], nets) {
+  if (!Array.isArray(measurements)) return [{ path: '/measurements', message: 'measurements must be an array' }];
+  const names = {
+    netNames: nets ? new Set(nets.map(net => normalizeNetName(net.name))) : null,
+    componentIds: new Set(components.filter(comp => comp && typeof comp === 'object').map(comp => String(comp.id)))
+  };
+  const errors = [];
+  const seen = new Set();
+  measurements.forEach((measurement, i) => {
+    const path = `/measurements/${i}`;
+    if (!measurement || typeof measurement !== 'object') {
+      errors.push({ path, message: 'must be an object' });
+      return;
+    }
+    const { name, analysis, type } = measurement;
+    if (typeof name !== 'string' || name.trim() === '') {
+      errors.push({ path: `${path}/name`, message: 'must be a non-empty string' });
+    } else if (seen.has(name)) {
+      errors.push({ path: `${path}/name`, message: `duplicate measurement name '${name}'` });
+    } else {
+      seen.add(name);
+    }
+    if (!MEASUREMENT_ANALYSES.includes(analysis)) {
+      errors.push({ path: `${path}/analysis`, message: `must be one of ${MEASUREMENT_ANALYSES.join(', ')}` });
+      return;
+    }
+    if (!MEASUREMENT_TYPES.includes(type)) {
+      errors.push({ path: `${path}/type`, message: `must be one of ${MEASUREMENT_TYPES.join(', ')}` });
+      return;
+    }
+
+    if (type === 'trig_targ') {
+      errors.push(...crossingErrors(measurement.trig, `${path}/trig`, analysis, names));
+      errors.push(...crossingErrors(measurement.targ, `${path}/targ`, analysis, names));
+      return;
+    }
+    errors.push(...signalErrors(measurement.signal, `${path}/signal`, analysis, names));
+    if (WINDOW_TYPES.includes(type)) {
+      ['from', 'to'].forEach(bound => {
+        if (measurement[bound] !== undefined && !Number.isFinite(measurement[bound])) {
+          errors.push({ path: `${path}/${bound}`, message: 'must be a number' });
+        }
+      });
+      if (Number.isFinite(measurement.from) && Number.isFinite(measurement.to) && measurement.from >= measurement.to) {
+        errors.push({ path: `${path}/to`, message: 'must be greater than from' });
+      }
+    } else if (measurement.when !== undefined) {
+      errors.push(...crossingErrors(measurement.when, `${path}/when`, analysis, names));
+    } else if (!Number.isFinite(measurement.at)) {
+      errors.push({ path: `${path}/at`, message: 'must be a number, or give a when crossing instead' });
+    }
+  });
+  return errors;
+}
+
+// Waveforms of an operating point or transient run, one frame per x
+function framesDataset(frames) {
+  return {
+    x: frames.map(frame => frame.time),
+    signal({ kind, args }) {
+      if (kind === 'V') {
+        const net = name => {
+          const normalized = normalizeNetName(name);
+          return frame => {
+            if (normalized === GROUND_NET) return 0;
+            if (!(normalized in frame.nets)) throw new MeasurementError(`unknown net '${normalized}'`);
+            return frame.nets[normalized];
+          };
+        };
+        const [a, b] = args.map(net);
+        return frames.map(frame => (b ? a(frame) - b(frame) : a(frame)));
+      }
+      const quantity = { I: 'current', P: 'power', T: 'temperature' }[kind];
+      return frames.map(frame => {
+        const node = frame.nodes[args[0]];
+        if (!node) throw new MeasurementError(`unknown component '${args[0]}'`);
+        return node[quantity];
+      });
+    }
+  };
+}
+
+// Magnitude and phase of an AC sweep; V() and VM() are the linear magnitude
+function acDataset(ac) {
+  return {
+    x: ac.frequencies,
+    signal({ kind, args }) {
+      const name = normalizeNetName(args[0]);
+      const response = name === GROUND_NET
+        ? { magnitudeDb: ac.frequencies.map(() => -Infinity), phase: ac.frequencies.map(() => 0) }
+        : ac.nets[name];
+      if (!response) throw new MeasurementError(`unknown net '${name}'`);
+      if (kind === 'VDB') return response.magnitudeDb;
+      if (kind === 'VP') return response.phase;
+      return response.magnitudeDb.map(db => Math.pow(10, db / 20));
+    }
+  };
+}
+
+// One curve of a DC sweep over the inner sweep `values`
+function dcDataset(values, curve) {
+  return {
+    x: values,
+    signal({ kind, args }) {
+      if (kind === 'V') {
+        const net = name => {
+          const normalized = normalizeNetName(name);
+          if (normalized === GROUND_NET) return values.map(() => 0);
+          if (!curve.nets[normalized]) throw new MeasurementError(`unknown net '${normalized}'`);
+          return curve.nets[normalized];
+        };
+        const [a, b] = args.map(net);
+        return b ? a.map((value, i) => value - b[i]) : a;
+      }
+      const entry = curve.components[args[0]];
+      if (!entry) throw new MeasurementError(`unknown component '${args[0]}'`);
+      return entry[{ I: 'current', P: 'power', T: 'temperature' }[kind]];
+    }
+  };
+}
+
+// Linear interpolation of y at x = at
+function valueAt(x, y, at) {
+  if (x.length === 1 && at === x[0]) return y[0];
+  for (let i = 1; i < x.length; i++) {
+    if (at >= x[i - 1] && at <= x[i]) {
+      if (x[i] === x[i - 1]) return y[i];
+      return y[i - 1] + (y[i] - y[i - 1]) * (at - x[i - 1]) / (x[i] - x[i - 1]);
+    }
+  }
+  throw new MeasurementError(`x = ${at} is outside the results (${x[0]} to ${x[x.length - 1]})`);
+}
+
+// Slope of the segment containing x = at
+function slopeAt(x, y, at) {
+  if (x.length < 2) throw new MeasurementError('a derivative needs at least two points');
+  for (let i = 1; i < x.length; i++) {
+    if (at >= x[i - 1] && at <= x[i] && x[i] > x[i - 1]) {
+      return (y[i] - y[i - 1]) / (x[i] - x[i - 1]);
+    }
+  }
+  throw new MeasurementError(`x = ${at} is outside the results (${x[0]} to ${x[x.length - 1]})`);
+}
+
+// x of the requested crossing of y through `value`
+function crossingX(dataset, crossing) {
+  const { x } = dataset;
+  const y = dataset.signal(parseSignal(crossing.signal));
+  const edge = crossing.edge || 'cross';
+  const delay = crossing.delay || 0;
+  const found = [];
+  for (let i = 1; i < x.length; i++) {
+    const before = y[i - 1] - crossing.value;
+    const after = y[i] - crossing.value;
+    const rising = before < 0 && after >= 0;
+    const falling = before > 0 && after <= 0;
+    if ((edge !== 'fall' && rising) || (edge !== 'rise' && falling)) {
+      const at = x[i - 1] + (x[i] - x[i - 1]) * before / (before - after);
+      if (at >= delay) found.push(at);
+    }
+  }
+  const occurrence = crossing.occurrence || 1;
+  const at = occurrence === 'last' ? found[found.length - 1] : found[occurrence - 1];
+  if (at === undefined) {
+    const which = occurrence === 'last' ? 'any' : `occurrence ${occurrence} of the`;
+    throw new MeasurementError(`${crossing.signal} has no ${which} ${edge} crossing of ${crossing.value}`);
+  }
+  return at;
+}
+
+// Points of y within [from, to], with interpolated end points
+function windowOf(x, y, from = x[0], to = x[x.length - 1]) {
+  const xs = [];
+  const ys = [];
+  const add = (xi, yi) => { xs.push(xi); ys.push(yi); };
+  if (from > x[0]) add(from, valueAt(x, y, from));
+  x.forEach((xi, i) => { if (xi >= from && xi <= to) add(xi, y[i]); });
+  if (to < x[x.length - 1] && to > from) add(to, valueAt(x, y, to));
+  if (xs.length === 0) throw new MeasurementError(`window ${from} to ${to} holds no results`);
+  return { xs, ys };
+}
+
+function integral(xs, ys) {
+  let sum = 0;
+  for (let i = 1; i < xs.length; i++) sum += (ys[i] + ys[i - 1]) / 2 * (xs[i] - xs[i - 1]);
+  return sum;
+}
+
+function evaluate(measurement, dataset) {
+  const { type } = measurement;
+  if (type === 'trig_targ') {
+    return crossingX(dataset, measurement.targ) - crossingX(dataset, measurement.trig);
+  }
+
+  const y = dataset.signal(parseSignal(measurement.signal));
+  const { x } = dataset;
+  if (x.length === 0) throw new MeasurementError('no results to measure');
+  if (WINDOW_TYPES.includes(type)) {
+    const { xs, ys } = windowOf(x, y, measurement.from, measurement.to);
+    const span = xs[xs.length - 1] - xs[0];
+    switch (type) {
+      case 'min':
+        return Math.min(...ys);
+      case 'max':
+        return Math.max(...ys);
+      case 'pp':
+        return Math.max(...ys) - Math.min(...ys);
+      case 'integ':
+        return integral(xs, ys);
+      case 'avg':
+        return span > 0 ? integral(xs, ys) / span : ys[0];
+      case 'rms':
+        return span > 0 ? Math.sqrt(integral(xs, ys.map(v => v * v)) / span) : Math.abs(ys[0]);
+    }
+  }
+
+  const at = measurement.when !== undefined ? crossingX(dataset, measurement.when) : measurement.at;
+  return type === 'deriv' ? slopeAt(x, y, at) : valueAt(x, y, at);
+}
+
+// Results of every measurement meant for `analysis`, in design order. A
+// measurement that cannot be taken has a null value and an error
+function evaluateMeasurements(measurements, analysis, dataset) {
+  return (measurements || [])
+    .filter(measurement => measurement.analysis === analysis)
+    .map(measurement => {
+      try {
+        return { name: measurement.name, type: measurement.type, value: evaluate(measurement, dataset) };
+      } catch (error) {
+        if (!(error instanceof MeasurementError)) throw error;
+        return { name: measurement.name, type: measurement.type, value: null, error: error.message };
+      }
+    });
+}
+
+module.exports = {
+  MEASUREMENT_ANALYSES,
+  MEASUREMENT_TYPES,
+  MeasurementError,
+  parseSignal,
+  validateMeasurements,
+  framesDataset,
+  acDataset,
+  dcDataset,
+  evaluateMeasurements
+};
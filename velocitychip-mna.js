@@ -0,0 +1,273 @@
+// Sparse linear algebra and modified nodal analysis (MNA) system assembly
+
+// Pivots smaller than this are treated as zero
+const PIVOT_EPSILON = 1e-300;
+// Partial pivoting threshold: prefer sparser rows whose pivot is within this factor of the largest
+const PIVOT_THRESHOLD = 1e-3;
+
+// Row-oriented sparse matrix, each row is a Map of column -> value
+class SparseMatrix {
+  constructor(size) {
+    this.size = size;
+    this.rows = Array.from({ length: size }, () => new Map());
+  }
+
+  // Negative indices address the ground node and are silently dropped
+  add(row, col, value) {
+    if (row < 0 || col < 0 || value === 0) return;
+    const r = this.rows[row];
+    r.set(col, (r.get(col) || 0) + value);
+  }
+
+  get(row, col) {
+    return this.rows[row].get(col) || 0;
+  }
+
+  multiply(x) {
+    const y = new Float64Array(this.size);
+    this.rows.forEach((row, i) => {
+      let sum = 0;
+      row.forEach((value, j) => { sum += value * x[j]; });
+      y[i] = sum;
+    });
+    return y;
+  }
+}
+
+// Sparse LU factorization with threshold partial pivoting.
+// Rows are eliminated in place; fill-in is tracked through per-column row sets
+class LUFactorization {
+  constructor(matrix) {
+    const n = matrix.size;
+    const rows = matrix.rows.map(row => new Map(row));
+    const columns = Array.from({ length: n }, () => new Set());
+    rows.forEach((row, i) => row.forEach((_, j) => columns[j].add(i)));
+
+    const lower = rows.map(() => new Map());
+    const pivotRows = new Int32Array(n);
+    const eliminated = new Uint8Array(n);
+
+    for (let k = 0; k < n; k++) {
+      let largest = 0;
+      columns[k].forEach(i => {
+        if (!eliminated[i]) largest = Math.max(largest, Math.abs(rows[i].get(k)));
+      });
+      if (largest < PIVOT_EPSILON) {
+        throw new SingularMatrixError(k);
+      }
+
+      let pivot = -1;
+      columns[k].forEach(i => {
+        if (eliminated[i] || Math.abs(rows[i].get(k)) < largest * PIVOT_THRESHOLD) return;
+        if (pivot < 0 || rows[i].size < rows[pivot].size) pivot = i;
+      });
+
+      eliminated[pivot] = 1;
+      pivotRows[k] = pivot;
+      const pivotRow = rows[pivot];
+      const pivotValue = pivotRow.get(k);
+
+      columns[k].forEach(i => {
+        if (eliminated[i]) return;
+        const factor = rows[i].get(k) / pivotValue;
+        rows[i].delete(k);
+        lower[i].set(k, factor);
+        pivotRow.forEach((value, j) => {
+          if (j === k) return;
+          const updated = (rows[i].get(j) || 0) - factor * value;
+          rows[i].set(j, updated);
+          columns[j].add(i);
+        });
+      });
+      columns[k].clear();
+    }
+
+    this.size = n;
+    this.rows = rows;
+    this.lower = lower;
+    this.pivotRows = pivotRows;
+  }
+
+  solve(b) {
+    const n = this.size;
+    const z = new Float64Array(n);
+    for (let k = 0; k < n; k++) {
+      const i = this.pivotRows[k];
+      let sum = b[i];
+      this.lower[i].forEach((factor, j) => { sum -= factor * z[this.pivotRows[j]]; });
+      z[i] = sum;
+    }
+
+    const x = new Float64Array(n);
+    for (let k = n - 1; k >= 0; k--) {
+      const row = this.rows[this.pivotRows[k]];
+      let sum = z[this.pivotRows[k]];
+      row.forEach((value, j) => { if (j !== k) sum -= value * x[j]; });
+      x[k] = sum / row.get(k);
+    }
+    return x;
+  }
+}
+
+class SingularMatrixError extends Error {
+  constructor(index) {
+    super(`Singular matrix: no usable pivot for unknown ${index}`);
+    this.name = 'SingularMatrixError';
+    this.index = index;
+  }
+}
+
+// MNA system: unknowns are node voltages followed by branch currents.
+// Node index -1 is ground and never appears in the matrix
+class MnaSystem {
+  constructor(nodeCount, branchCount) {
+    this.nodeCount = nodeCount;
+    this.branchCount = branchCount;
+    this.size = nodeCount + branchCount;
+    this.matrix = new SparseMatrix(this.size);
+    this.rhs = new Float64Array(this.size);
+  }
+
+  branchIndex(branch) {
+    return this.nodeCount + branch;
+  }
+
+  // Conductance g between nodes a and b
+  stampConductance(a, b, g) {
+    this.matrix.add(a, a, g);
+    this.matrix.add(b, b, g);
+    this.matrix.add(a, b, -g);
+    this.matrix.add(b, a, -g);
+  }
+
+  // Independent current i flowing from node a through the element into node b
+  stampCurrent(a, b, i) {
+    if (a >= 0) this.rhs[a] -= i;
+    if (b >= 0) this.rhs[b] += i;
+  }
+
+  // Ideal voltage source V(a) - V(b) = v whose current is the given branch unknown
+  stampVoltageSource(branch, a, b, v) {
+    const k = this.branchIndex(branch);
+    this.matrix.add(a, k, 1);
+    this.matrix.add(b, k, -1);
+    this.matrix.add(k, a, 1);
+    this.matrix.add(k, b, -1);
+    this.rhs[k] += v;
+  }
+
+  // Series resistance in a branch equation: V(a) - V(b) - r * i = v
+  stampBranchResistance(branch, r) {
+    const k = this.branchIndex(branch);
+    this.matrix.add(k, k, -r);
+  }
+
+  // Voltage-controlled voltage source: V(a) - V(b) = gain * (V(c) - V(d))
+  stampVCVS(branch, a, b, c, d, gain) {
+    const k = this.branchIndex(branch);
+    this.stampVoltageSource(branch, a, b, 0);
+    this.matrix.add(k, c, -gain);
+    this.matrix.add(k, d, gain);
+  }
+
+  // Voltage-controlled current source: gm * (V(c) - V(d)) flows from a through the element into b
+  stampVCCS(a, b, c, d, gm) {
+    this.matrix.add(a, c, gm);
+    this.matrix.add(a, d, -gm);
+    this.matrix.add(b, c, -gm);
+    this.matrix.add(b, d, gm);
+  }
+
+  // Current-controlled current source: gain times the current of the sense branch, from a into b
+  stampCCCS(a, b, senseBranch, gain) {
+    const k = this.branchIndex(senseBranch);
+    this.matrix.add(a, k, gain);
+    this.matrix.add(b, k, -gain);
+  }
+
+  // Current-controlled voltage source: V(a) - V(b) = r * I(senseBranch)
+  stampCCVS(branch, a, b, senseBranch, r) {
+    this.stampVoltageSource(branch, a, b, 0);
+    this.matrix.add(this.branchIndex(branch), this.branchIndex(senseBranch), -r);
+  }
+
+  solve() {
+    return new LUFactorization(this.matrix).solve(this.rhs);
+  }
+}
+
+// Small-signal MNA system at one angular frequency. Real-valued stamps are
+// inherited and land in `matrix`; reactive parts go into `imaginary`. The
+// complex system is solved through its real equivalent [[G, -B], [B, G]]
+class ComplexMnaSystem extends MnaSystem {
+  constructor(nodeCount, branchCount) {
+    super(nodeCount, branchCount);
+    this.imaginary = new SparseMatrix(this.size);
+    this.rhsImaginary = new Float64Array(this.size);
+  }
+
+  // Susceptance b (admittance j*b) between nodes a and b
+  stampSusceptance(a, b, susceptance) {
+    this.imaginary.add(a, a, susceptance);
+    this.imaginary.add(b, b, susceptance);
+    this.imaginary.add(a, b, -susceptance);
+    this.imaginary.add(b, a, -susceptance);
+  }
+
+  // Series reactance in a branch equation: V(a) - V(b) - j * x * i = v
+  stampBranchReactance(branch, x) {
+    const k = this.branchIndex(branch);
+    this.imaginary.add(k, k, -x);
+  }
+
+  // Complex excitation phasors, magnitude and phase in degrees
+  stampCurrentPhasor(a, b, magnitude, phase) {
+    const re = magnitude * Math.cos(phase * Math.PI / 180);
+    const im = magnitude * Math.sin(phase * Math.PI / 180);
+    this.stampCurrent(a, b, re);
+    if (a >= 0) this.rhsImaginary[a] -= im;
+    if (b >= 0) this.rhsImaginary[b] += im;
+  }
+
+  stampVoltagePhasor(branch, a, b, magnitude, phase) {
+    this.stampVoltageSource(branch, a, b, magnitude * Math.cos(phase * Math.PI / 180));
+    this.rhsImaginary[this.branchIndex(branch)] += magnitude * Math.sin(phase * Math.PI / 180);
+  }
+
+  // Returns { real, imag } solution vectors
+  solve() {
+    return this.factor()(this.rhs, this.rhsImaginary);
+  }
+
+  // Factor the matrix once; the returned function solves it for any
+  // right-hand side (real part, optional imaginary part)
+  factor() {
+    const n = this.size;
+    const expanded = new SparseMatrix(2 * n);
+    this.matrix.rows.forEach((row, i) => row.forEach((value, j) => {
+      expanded.add(i, j, value);
+      expanded.add(n + i, n + j, value);
+    }));
+    this.imaginary.rows.forEach((row, i) => row.forEach((value, j) => {
+      expanded.add(i, n + j, -value);
+      expanded.add(n + i, j, value);
+    }));
+
+    const lu = new LUFactorization(expanded);
+    return (real, imaginary) => {
+      const rhs = new Float64Array(2 * n);
+      rhs.set(real, 0);
+      if (imaginary) rhs.set(imaginary, n);
+      const x = lu.solve(rhs);
+      return { real: x.slice(0, n), imag: x.slice(n) };
+    };
+  }
+}
+
+module.exports = {
+  SparseMatrix,
+  LUFactorization,
+  SingularMatrixError,
+  MnaSystem,
+  ComplexMnaSystem
+};
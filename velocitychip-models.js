@@ -0,0 +1,912 @@
+// Device models of the built-in component types. A model is an object of
+// optional hooks that the simulator, the rule checks and the exporters call
+// for a component of its type; velocitychip-registry.js maps each type to its
+// model. Hooks get a device context `d` built by the simulator:
+//   d.comp, d.sim, d.netlist, d.temperature (K)
+//   d.node(pin)           matrix index of the net on a pin, -1 for ground
+//   d.branch(name)        index of one of the model's `branches`, 'main' by default
+//   d.context             the solve: analysis ('dc' or 'tran'), time, h, method, state, noise
+//   d.guess(a, b)         pin-to-pin voltage in the current Newton iterate
+//   d.guessBranch(name)   a branch unknown in the current Newton iterate
+//   d.across(a, b), d.branchCurrent(name)   read from d.solution
+//   d.system, d.omega, d.device, d.excitation()   while stamping
+// Hooks:
+//   branches                      extra MNA unknowns the model stamps into
+//   stamp(d)                      DC and transient stamp, around d.context.guess when `nonlinear`
+//   linearize(d)                  small-signal parameters at the operating point, passed back as d.device
+//   stampAc(d)                    complex stamp at d.omega
+//   noise(d)                      uncorrelated noise currents [{ pins, mechanism, density(f) }]
+//   sampledNoise(d)               white noise density (A²/Hz) drawn into every solution when noise is on
+//   initialState(d), updateState(d), stateVariables(state)   transient integration state
+//   voltage(terminals), current(d), analyze(d), frequency(comp)   reported results
+//   breakpoint(comp, time, sim)   next waveform corner after `time`
+//   source                        'independent' or 'controlled'
+//   dcPaths(pins), voltageBranches(pins)   net pairs for the rule checks
+//   expand(comp)                  { components, nets } replacing the component before simulation
+//   spiceSubcircuit               { name, text } written to SPICE exports
+//   digital                       event-driven logic hooks, see velocitychip-digital.js
+
+const { propertyValue, pwlProperty } = require('./velocitychip-components');
+const { GROUND_NET } = require('./velocitychip-netlist');
+const { logicNot, logicAnd, logicOr, logicXor } = require('./velocitychip-digital');
+const {
+  diodeParameters,
+  evaluateDiode,
+  limitJunction,
+  mosfetParameters,
+  evaluateMosfet,
+  mosfetCapacitances,
+  limitMosfet,
+  resistorValue,
+  resistorNoise,
+  diodeNoise,
+  mosfetNoise
+} = require('./velocitychip-devices');
+
+// Value of an independent source's waveform at the given time (SPICE semantics)
+function evaluateWaveform(component, time) {
+  const p = name => propertyValue(component, name);
+
+  switch (component.properties.waveform) {
+    case 'pulse': {
+      const initial = p('initial');
+      const pulsed = p('pulsed');
+      const rise = p('rise');
+      const fall = p('fall');
+      const width = p('width');
+      const period = p('period');
+      if (time < p('delay')) return initial;
+
+      let t = time - p('delay');
+      if (period > 0) t %= period;
+      if (t < rise) return initial + (pulsed - initial) * t / rise;
+      if (t < rise + width) return pulsed;
+      if (t < rise + width + fall) return pulsed + (initial - pulsed) * (t - rise - width) / fall;
+      return initial;
+    }
+
+    case 'sin': {
+      const phase = p('phase') * Math.PI / 180;
+      const t = time - p('delay');
+      if (t < 0) return p('offset') + p('amplitude') * Math.sin(phase);
+      return p('offset') + p('amplitude') * Math.exp(-t * p('damping')) *
+        Math.sin(2 * Math.PI * p('frequency') * t + phase);
+    }
+
+    case 'pwl': {
+      const points = pwlProperty(component);
+      if (points.length === 0) return 0;
+      if (time <= points[0][0]) return points[0][1];
+
+      for (let i = 1; i < points.length; i++) {
+        const [t0, v0] = points[i - 1];
+        const [t1, v1] = points[i];
+        if (time <= t1) return t1 === t0 ? v1 : v0 + (v1 - v0) * (time - t0) / (t1 - t0);
+      }
+      return points[points.length - 1][1];
+    }
+
+    default:
+      return p('dc');
+  }
+}
+
+// First corner of a source waveform strictly after `time`, null if there is none
+function waveformBreakpoint(component, time) {
+  const p = name => propertyValue(component, name);
+
+  switch (component.properties.waveform) {
+    case 'pulse': {
+      const delay = p('delay');
+      if (time < delay) return delay;
+
+      const corners = [0, p('rise'), p('rise') + p('width'), p('rise') + p('width') + p('fall')];
+      const period = p('period');
+      const cycle = period > 0 ? Math.floor((time - delay) / period) : 0;
+      for (const n of [cycle, cycle + 1]) {
+        if (n > 0 && !(period > 0)) break;
+        const corner = corners.map(offset => delay + n * period + offset).find(t => t > time);
+        if (corner !== undefined) return corner;
+      }
+      return null;
+    }
+
+    case 'sin':
+      return time < p('delay') ? p('delay') : null;
+
+    case 'pwl': {
+      const corner = pwlProperty(component).find(([t]) => t > time);
+      return corner ? corner[0] : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+// Diode current and conductance at the limited junction voltage
+function linearizeDiode(d) {
+  const params = diodeParameters(d.comp, d.temperature);
+  const iteration = d.context.iteration || { previous: new Map(), limited: false };
+  const vnew = d.guess('anode', 'cathode');
+  const previous = iteration.previous.get(d.comp.id);
+  const vd = previous ? limitJunction(vnew, previous.vd, params) : vnew;
+  if (previous && vd !== vnew) iteration.limited = true;
+  iteration.previous.set(d.comp.id, { vd });
+  return { vd, ...evaluateDiode(params, vd) };
+}
+
+// MOSFET drain current, gm and gds at the limited terminal voltages
+function linearizeMosfet(d) {
+  const params = mosfetParameters(d.comp, d.temperature);
+  const iteration = d.context.iteration || { previous: new Map(), limited: false };
+  let vgs = d.guess('gate', 'source');
+  let vds = d.guess('drain', 'source');
+  const previous = iteration.previous.get(d.comp.id);
+  if (previous) {
+    const limited = limitMosfet(vgs, vds, previous.vgs, previous.vds);
+    if (limited.vgs !== vgs || limited.vds !== vds) iteration.limited = true;
+    ({ vgs, vds } = limited);
+  }
+  iteration.previous.set(d.comp.id, { vgs, vds });
+  return { vgs, vds, ...evaluateMosfet(params, vgs, vds) };
+}
+
+// Companion model i = G * v + Ieq for a capacitor over one integration step
+function capacitorCompanion(component, context) {
+  const capacitance = propertyValue(component, 'capacitance');
+  const previous = context.state.devices.get(component.id);
+  if (context.method === 'trap') {
+    const conductance = 2 * capacitance / context.h;
+    return { conductance, current: -(conductance * previous.voltage + previous.current) };
+  }
+  const conductance = capacitance / context.h;
+  return { conductance, current: -conductance * previous.voltage };
+}
+
+// Companion model V = Req * i + Veq for an inductor over one integration step
+function inductorCompanion(component, context) {
+  const inductance = propertyValue(component, 'inductance');
+  const previous = context.state.devices.get(component.id);
+  if (context.method === 'trap') {
+    const resistance = 2 * inductance / context.h;
+    return { resistance, voltage: -(resistance * previous.current + previous.voltage) };
+  }
+  const resistance = inductance / context.h;
+  return { resistance, voltage: -resistance * previous.current };
+}
+
+// Dependent sources are linear, so DC, transient and AC share one stamp
+function controlledSource(stampSource, current, paths) {
+  return {
+    source: 'controlled',
+    stamp: stampSource,
+    stampAc: stampSource,
+    current,
+    dcPaths: paths.dc,
+    voltageBranches: paths.voltage
+  };
+}
+
+function sourceAnalysis({ comp, sim, voltage, current }) {
+  return {
+    characteristics: {
+      waveform: comp.properties.waveform || 'dc',
+      value: evaluateWaveform(comp, sim.time),
+      // Negative absorbed power means the source delivers energy to the circuit
+      powerDelivered: -voltage * current
+    }
+  };
+}
+
+// Width (V) of the smooth transitions of the behavioral models: rail
+// limiting, comparator and switch thresholds. Sharp corners stall Newton
+const TRANSITION = 0.01;
+
+const logistic = z => 1 / (1 + Math.exp(-z));
+// log(1 + e^z) without overflow
+const softplus = z => (z > 0 ? z + Math.log1p(Math.exp(-z)) : Math.log1p(Math.exp(z)));
+
+// x held between the rails with rounded corners, and its slope
+function softClamp(x, low, high) {
+  const w = TRANSITION;
+  return {
+    value: x - w * softplus((x - high) / w) + w * softplus((low - x) / w),
+    slope: 1 - logistic((x - high) / w) - logistic((low - x) / w)
+  };
+}
+
+// Threshold offset of a hysteretic input: +h/2 while off, -h/2 while on. DC
+// and AC have no history and use the centre
+function hysteresisOffset(hysteresis, previous) {
+  if (!previous) return 0;
+  return previous.on ? -hysteresis / 2 : hysteresis / 2;
+}
+
+const previousState = (comp, context) => (context.state ? context.state.devices.get(comp.id) : undefined);
+const reportedState = (comp, sim) => (sim.transient ? sim.transient.devices.get(comp.id) : undefined);
+
+// Op-amp internal (pre-rail) output x: the pole branch. DC and the ideal model
+// solve x = A·vd; the single-pole model integrates
+//   dx/dt = S·tanh((A·vd - x) / (τ·S)),  τ = A / (2π·GBW)
+// which is the pole for small signals and slews at S for large ones
+function opampParameters(comp) {
+  const gain = propertyValue(comp, 'gain');
+  const slewRate = propertyValue(comp, 'slewRate');
+  return {
+    ideal: comp.properties.model === 'ideal',
+    gain,
+    slewRate,
+    tau: gain / (2 * Math.PI * propertyValue(comp, 'gbw')),
+    vHigh: propertyValue(comp, 'vHigh'),
+    vLow: propertyValue(comp, 'vLow')
+  };
+}
+
+const opampRate = (params, u) => params.slewRate * Math.tanh(u / (params.tau * params.slewRate));
+
+function opampOutput(params, x) {
+  return params.ideal ? { value: x, slope: 1 } : softClamp(x, params.vLow, params.vHigh);
+}
+
+// Output between the rails for a differential input, and its slope
+function comparatorOutput(comp, vd, offset) {
+  const vHigh = propertyValue(comp, 'vHigh');
+  const vLow = propertyValue(comp, 'vLow');
+  const s = logistic((vd - offset) / TRANSITION);
+  return { value: vLow + (vHigh - vLow) * s, slope: (vHigh - vLow) * s * (1 - s) / TRANSITION };
+}
+
+// Switch conductance, interpolated on a log scale between 1/roff and 1/ron,
+// and its slope with respect to the control voltage
+function switchConductance(comp, control, offset) {
+  const on = Math.log(1 / propertyValue(comp, 'ron'));
+  const off = Math.log(1 / propertyValue(comp, 'roff'));
+  const s = logistic((control - propertyValue(comp, 'threshold') - offset) / TRANSITION);
+  const conductance = Math.exp(off + (on - off) * s);
+  return { conductance, slope: conductance * (on - off) * s * (1 - s) / TRANSITION };
+}
+
+function timeSwitchClosed(comp, time) {
+  return (time >= propertyValue(comp, 'switchTime')) !== (comp.properties.initial === 'closed');
+}
+
+const timeSwitchConductance = (comp, time) =>
+  1 / propertyValue(comp, timeSwitchClosed(comp, time) ? 'ron' : 'roff');
+
+// Rise delay for outputs going to 1, fall delay to 0, the shorter to x or z
+function gateDelay(comp, from, to) {
+  if (to === '1') return propertyValue(comp, 'riseDelay');
+  if (to === '0') return propertyValue(comp, 'fallDelay');
+  return Math.min(propertyValue(comp, 'riseDelay'), propertyValue(comp, 'fallDelay'));
+}
+
+function logicGate(inputs, logic) {
+  return {
+    digital: {
+      inputs,
+      outputs: ['y'],
+      evaluate: d => ({ y: logic(...inputs.map(pin => d.inputs[pin])) }),
+      delay: gateDelay
+    }
+  };
+}
+
+// Next q of a rising-edge flip-flop. Edges to or from x clock in x unless d
+// already equals q; an unknown reset keeps only a q that is already 0
+function flipFlopState(q, clk, { d, clk: next, reset }) {
+  const data = d === '0' || d === '1' ? d : 'x';
+  if (reset === '1') return '0';
+  if (reset === 'x') return q === '0' ? '0' : 'x';
+  if (clk === '0' && next === '1') return data;
+  const uncertain = (clk === '0' && (next === 'x' || next === 'z')) || ((clk === 'x' || clk === 'z') && next === '1');
+  return uncertain && data !== q ? 'x' : q;
+}
+
+// A/D output level for its input voltage: 1 from thresholdHigh up, 0 from
+// thresholdLow down, unchanged in between and before any voltage is known
+function bridgeLevel(comp, voltage, level) {
+  if (voltage === undefined) return level;
+  if (voltage >= propertyValue(comp, 'thresholdHigh')) return '1';
+  if (voltage <= propertyValue(comp, 'thresholdLow')) return '0';
+  return level;
+}
+
+// D/A output voltage of a level: x is midway, z drives nothing (null)
+function bridgeVoltage(comp, level) {
+  if (level === '0') return propertyValue(comp, 'outputLow');
+  if (level === '1') return propertyValue(comp, 'outputHigh');
+  if (level === 'x') return (propertyValue(comp, 'outputLow') + propertyValue(comp, 'outputHigh')) / 2;
+  return null;
+}
+
+function rampVoltage(state, time) {
+  if (state.duration === 0 || time >= state.start + state.duration) return state.to;
+  return state.from + (state.to - state.from) * (time - state.start) / state.duration;
+}
+
+// D/A ramp from wherever the output is at `time` to the voltage of the new
+// level. A full swing takes riseTime or fallTime, a partial one its share;
+// z holds the voltage last driven
+function bridgeRamp(comp, state, level, time) {
+  const current = state.level === null ? null : rampVoltage(state, time);
+  const target = bridgeVoltage(comp, level);
+  const to = target !== null ? target : (current !== null ? current : propertyValue(comp, 'outputLow'));
+  const from = current !== null ? current : to;
+  const swing = Math.abs(propertyValue(comp, 'outputHigh') - propertyValue(comp, 'outputLow'));
+  const edge = propertyValue(comp, to > from ? 'riseTime' : 'fallTime');
+  return { level, from, to, start: time, duration: swing > 0 ? edge * Math.abs(to - from) / swing : 0 };
+}
+
+// Logic-side state of a bridge, kept by the event scheduler
+const bridgeState = (comp, sim) => (sim.digital ? sim.digital.states.get(comp.id) : undefined);
+// The D/A output drives nothing until its input has a level other than z
+const bridgeDriving = state => Boolean(state) && state.level !== null && state.level !== 'z';
+
+const outputBranch = pins => [[pins.positive, pins.negative]];
+const senseBranch = pins => [[pins.controlPositive, pins.controlNegative]];
+// Behavioral outputs are sources to ground
+const groundedOutput = pins => [[pins.output, GROUND_NET]];
+const switchPath = pins => [[pins.pin1, pins.pin2]];
+
+const BUILTIN_MODELS = {
+  resistor: {
+    stamp({ comp, system, node, context, temperature }) {
+      system.stampConductance(node('pin1'), node('pin2'), 1 / resistorValue(comp, temperature));
+      if (context.noise) system.stampCurrent(node('pin1'), node('pin2'), context.noise.get(comp.id));
+    },
+    stampAc({ comp, system, node, temperature }) {
+      system.stampConductance(node('pin1'), node('pin2'), 1 / resistorValue(comp, temperature));
+    },
+    noise: ({ comp, temperature }) => resistorNoise(resistorValue(comp, temperature), temperature),
+    // Johnson-Nyquist current, 4kT/R
+    sampledNoise: ({ comp, temperature }) => resistorNoise(resistorValue(comp, temperature), temperature)[0].density(),
+    current: ({ comp, voltage, temperature }) => voltage / resistorValue(comp, temperature),
+    analyze({ comp, voltage, current, temperature }) {
+      const resistance = resistorValue(comp, temperature);
+      const maxPower = propertyValue(comp, 'power');
+      const actualPower = voltage * current;
+      return {
+        characteristics: {
+          resistance: resistance,
+          powerDissipation: actualPower,
+          powerRating: maxPower,
+          efficiency: (actualPower / maxPower) * 100
+        },
+        status: actualPower > maxPower ? 'overpower' : 'normal'
+      };
+    },
+    dcPaths: pins => [[pins.pin1, pins.pin2]]
+  },
+
+  capacitor: {
+    // Open at DC
+    stamp({ comp, system, node, context }) {
+      if (context.analysis !== 'tran') return;
+      const companion = capacitorCompanion(comp, context);
+      system.stampConductance(node('positive'), node('negative'), companion.conductance);
+      system.stampCurrent(node('positive'), node('negative'), companion.current);
+    },
+    stampAc({ comp, system, node, omega }) {
+      system.stampSusceptance(node('positive'), node('negative'), omega * propertyValue(comp, 'capacitance'));
+    },
+    initialState: ({ across }) => ({ voltage: across('positive', 'negative'), current: 0 }),
+    updateState({ comp, context, across }) {
+      const voltage = across('positive', 'negative');
+      const companion = capacitorCompanion(comp, context);
+      return { voltage, current: companion.conductance * voltage + companion.current };
+    },
+    stateVariables: state => [{ value: state.voltage, tolerance: 'vntol' }],
+    // No DC current through an ideal capacitor
+    current: ({ comp, sim }) => (sim.transient ? sim.transient.devices.get(comp.id).current : 0),
+    frequency: comp => 1 / (2 * Math.PI * 1000 * propertyValue(comp, 'capacitance')),
+    analyze({ comp, voltage }) {
+      const capacitance = propertyValue(comp, 'capacitance');
+      return {
+        characteristics: {
+          capacitance: capacitance,
+          chargeStored: capacitance * voltage,
+          energy: 0.5 * capacitance * voltage * voltage,
+          impedance: 1 / (2 * Math.PI * 1000 * capacitance)
+        },
+        status: voltage > propertyValue(comp, 'voltage') ? 'overvoltage' : 'normal'
+      };
+    }
+  },
+
+  inductor: {
+    branches: ['main'],
+    // Short circuit at DC, the branch unknown carries its current. Both ends
+    // on one net leave the current undetermined, pin it to zero
+    stamp({ comp, system, node, branch, context }) {
+      if (context.analysis === 'tran') {
+        const companion = inductorCompanion(comp, context);
+        system.stampVoltageSource(branch(), node('pin1'), node('pin2'), companion.voltage);
+        system.stampBranchResistance(branch(), companion.resistance);
+      } else if (node('pin1') === node('pin2')) {
+        const k = system.branchIndex(branch());
+        system.matrix.add(k, k, 1);
+      } else {
+        system.stampVoltageSource(branch(), node('pin1'), node('pin2'), 0);
+      }
+    },
+    stampAc({ comp, system, node, branch, omega }) {
+      if (node('pin1') === node('pin2')) {
+        const k = system.branchIndex(branch());
+        system.matrix.add(k, k, 1);
+      } else {
+        system.stampVoltageSource(branch(), node('pin1'), node('pin2'), 0);
+        system.stampBranchReactance(branch(), omega * propertyValue(comp, 'inductance'));
+      }
+    },
+    initialState: ({ branchCurrent }) => ({ voltage: 0, current: branchCurrent() }),
+    updateState: ({ across, branchCurrent }) => ({ voltage: across('pin1', 'pin2'), current: branchCurrent() }),
+    stateVariables: state => [{ value: state.current, tolerance: 'abstol' }],
+    current: ({ branchCurrent }) => branchCurrent(),
+    dcPaths: pins => [[pins.pin1, pins.pin2]],
+    voltageBranches: pins => [[pins.pin1, pins.pin2]]
+  },
+
+  voltageSource: {
+    source: 'independent',
+    branches: ['main'],
+    stamp({ comp, system, node, branch, context }) {
+      system.stampVoltageSource(branch(), node('positive'), node('negative'), evaluateWaveform(comp, context.time));
+    },
+    stampAc({ system, node, branch, excitation }) {
+      const { magnitude, phase } = excitation();
+      system.stampVoltagePhasor(branch(), node('positive'), node('negative'), magnitude, phase);
+    },
+    current: ({ branchCurrent }) => branchCurrent(),
+    breakpoint: waveformBreakpoint,
+    analyze: sourceAnalysis,
+    dcPaths: outputBranch,
+    voltageBranches: outputBranch
+  },
+
+  currentSource: {
+    source: 'independent',
+    stamp({ comp, system, node, context }) {
+      system.stampCurrent(node('positive'), node('negative'), evaluateWaveform(comp, context.time));
+    },
+    stampAc({ system, node, excitation }) {
+      const { magnitude, phase } = excitation();
+      system.stampCurrentPhasor(node('positive'), node('negative'), magnitude, phase);
+    },
+    current: ({ comp, sim }) => evaluateWaveform(comp, sim.time),
+    breakpoint: waveformBreakpoint,
+    analyze: sourceAnalysis
+  },
+
+  vcvs: {
+    branches: ['main'],
+    ...controlledSource(
+      ({ comp, system, node, branch }) => system.stampVCVS(branch(), node('positive'), node('negative'),
+        node('controlPositive'), node('controlNegative'), propertyValue(comp, 'gain')),
+      ({ branchCurrent }) => branchCurrent(),
+      { dc: outputBranch, voltage: outputBranch }
+    )
+  },
+
+  vccs: controlledSource(
+    ({ comp, system, node }) => system.stampVCCS(node('positive'), node('negative'),
+      node('controlPositive'), node('controlNegative'), propertyValue(comp, 'transconductance')),
+    ({ comp, terminals }) => propertyValue(comp, 'transconductance') *
+      (terminals.controlPositive - terminals.controlNegative),
+    { dc: () => [], voltage: () => [] }
+  ),
+
+  cccs: {
+    branches: ['sense'],
+    ...controlledSource(
+      ({ comp, system, node, branch }) => {
+        system.stampVoltageSource(branch('sense'), node('controlPositive'), node('controlNegative'), 0);
+        system.stampCCCS(node('positive'), node('negative'), branch('sense'), propertyValue(comp, 'gain'));
+      },
+      ({ comp, branchCurrent }) => propertyValue(comp, 'gain') * branchCurrent('sense'),
+      { dc: senseBranch, voltage: senseBranch }
+    )
+  },
+
+  ccvs: {
+    branches: ['sense', 'main'],
+    ...controlledSource(
+      ({ comp, system, node, branch }) => {
+        system.stampVoltageSource(branch('sense'), node('controlPositive'), node('controlNegative'), 0);
+        system.stampCCVS(branch(), node('positive'), node('negative'), branch('sense'),
+          propertyValue(comp, 'transresistance'));
+      },
+      ({ branchCurrent }) => branchCurrent(),
+      { dc: pins => [...outputBranch(pins), ...senseBranch(pins)], voltage: pins => [...outputBranch(pins), ...senseBranch(pins)] }
+    )
+  },
+
+  diode: {
+    nonlinear: true,
+    stamp(d) {
+      const anode = d.node('anode');
+      const cathode = d.node('cathode');
+      const op = linearizeDiode(d);
+      d.system.stampConductance(anode, cathode, op.conductance);
+      d.system.stampCurrent(anode, cathode, op.current - op.conductance * op.vd);
+    },
+    linearize: linearizeDiode,
+    stampAc({ system, node, device }) {
+      system.stampConductance(node('anode'), node('cathode'), device.conductance);
+    },
+    noise: ({ device }) => diodeNoise(device),
+    current: ({ comp, voltage, temperature }) => evaluateDiode(diodeParameters(comp, temperature), voltage).current,
+    analyze({ comp, voltage, current, temperature }) {
+      const diode = diodeParameters(comp, temperature);
+      return {
+        characteristics: {
+          saturationCurrent: diode.saturationCurrent,
+          emission: diode.emission,
+          smallSignalConductance: evaluateDiode(diode, voltage).conductance,
+          bias: voltage >= 0 ? 'forward' : 'reverse'
+        },
+        status: current > propertyValue(comp, 'current') ? 'overcurrent' : 'normal'
+      };
+    },
+    dcPaths: pins => [[pins.anode, pins.cathode]]
+  },
+
+  transistor: {
+    nonlinear: true,
+    stamp(d) {
+      const drain = d.node('drain');
+      const gate = d.node('gate');
+      const source = d.node('source');
+      const op = linearizeMosfet(d);
+      d.system.stampVCCS(drain, source, gate, source, op.gm);
+      d.system.stampConductance(drain, source, op.gds);
+      d.system.stampCurrent(drain, source, op.current - op.gm * op.vgs - op.gds * op.vds);
+    },
+    linearize(d) {
+      const op = linearizeMosfet(d);
+      return { ...op, ...mosfetCapacitances(mosfetParameters(d.comp, d.temperature), op) };
+    },
+    stampAc({ system, node, device, omega }) {
+      const drain = node('drain');
+      const gate = node('gate');
+      const source = node('source');
+      system.stampVCCS(drain, source, gate, source, device.gm);
+      system.stampConductance(drain, source, device.gds);
+      system.stampSusceptance(gate, source, omega * device.cgs);
+      system.stampSusceptance(gate, drain, omega * device.cgd);
+    },
+    noise: ({ comp, device, temperature }) => mosfetNoise(mosfetParameters(comp, temperature), device, temperature),
+    voltage: terminals => terminals.drain - terminals.source,
+    current: ({ comp, voltage, terminals, temperature }) =>
+      evaluateMosfet(mosfetParameters(comp, temperature), terminals.gate - terminals.source, voltage).current,
+    frequency: () => 10000,
+    analyze({ comp, voltage, current, terminals, temperature }) {
+      const params = mosfetParameters(comp, temperature);
+      const vgs = terminals.gate - terminals.source;
+      const mosfet = evaluateMosfet(params, vgs, voltage);
+      const gateCapacitance = mosfetCapacitances(params, mosfet);
+      const totalGateCapacitance = gateCapacitance.cgs + gateCapacitance.cgd;
+      let status = 'normal';
+      if (Math.abs(voltage) > 5) status = 'overvoltage';
+      if (Math.abs(current) > 0.1) status = 'overcurrent';
+      return {
+        characteristics: {
+          polarity: params.polarity > 0 ? 'nmos' : 'pmos',
+          region: mosfet.region,
+          threshold: params.threshold,
+          vgs: vgs,
+          transconductance: mosfet.gm,
+          outputResistance: mosfet.gds > 0 ? 1 / mosfet.gds : Infinity,
+          // Transition frequency fT = gm / 2π(Cgs + Cgd), zero in cutoff
+          gainBandwidth: totalGateCapacitance > 0 ? Math.abs(mosfet.gm) / (2 * Math.PI * totalGateCapacitance) : 0
+        },
+        status
+      };
+    },
+    dcPaths: pins => [[pins.drain, pins.source]]
+  },
+
+  opamp: {
+    nonlinear: true,
+    branches: ['main', 'pole'],
+    stamp(d) {
+      const { comp, system, node, branch, context } = d;
+      const params = opampParameters(comp);
+      const k = system.branchIndex(branch('pole'));
+      const inPositive = node('inPositive');
+      const inNegative = node('inNegative');
+      if (params.ideal || context.analysis !== 'tran') {
+        system.matrix.add(k, k, 1);
+        system.matrix.add(k, inPositive, -params.gain);
+        system.matrix.add(k, inNegative, params.gain);
+      } else {
+        // Backward Euler or trapezoidal step of dx/dt = f(u), u = A·vd - x,
+        // linearized around the current iterate
+        const previous = previousState(comp, context);
+        const c = context.method === 'trap' ? context.h / 2 : context.h;
+        const x0 = d.guessBranch('pole');
+        const u0 = params.gain * d.guess('inPositive', 'inNegative') - x0;
+        const f0 = opampRate(params, u0);
+        const t = Math.tanh(u0 / (params.tau * params.slewRate));
+        const slope = (1 - t * t) / params.tau;
+        system.matrix.add(k, k, 1 + c * slope);
+        system.matrix.add(k, inPositive, -c * slope * params.gain);
+        system.matrix.add(k, inNegative, c * slope * params.gain);
+        system.rhs[k] += previous.x + c * (f0 - slope * u0) + (context.method === 'trap' ? c * previous.rate : 0);
+      }
+      // V(output) = rails(x), linearized in x
+      const output = opampOutput(params, d.guessBranch('pole'));
+      const m = system.branchIndex(branch());
+      system.stampVoltageSource(branch(), node('output'), -1, output.value - output.slope * d.guessBranch('pole'));
+      system.matrix.add(m, k, -output.slope);
+    },
+    linearize: d => ({ slope: opampOutput(opampParameters(d.comp), d.guessBranch('pole')).slope }),
+    stampAc({ comp, system, node, branch, omega, device }) {
+      const params = opampParameters(comp);
+      const k = system.branchIndex(branch('pole'));
+      system.matrix.add(k, k, 1);
+      system.matrix.add(k, node('inPositive'), -params.gain);
+      system.matrix.add(k, node('inNegative'), params.gain);
+      // x·(1 + jωτ) = A·vd
+      if (!params.ideal) system.stampBranchReactance(branch('pole'), -omega * params.tau);
+      system.stampVoltageSource(branch(), node('output'), -1, 0);
+      system.matrix.add(system.branchIndex(branch()), k, -device.slope);
+    },
+    initialState: ({ comp, branchCurrent }) => ({ ideal: opampParameters(comp).ideal, x: branchCurrent('pole'), rate: 0 }),
+    updateState({ comp, across, branchCurrent }) {
+      const params = opampParameters(comp);
+      const x = branchCurrent('pole');
+      const rate = params.ideal ? 0 : opampRate(params, params.gain * across('inPositive', 'inNegative') - x);
+      return { ideal: params.ideal, x, rate };
+    },
+    // The ideal output follows its input instantly, there is nothing to integrate
+    stateVariables: state => (state.ideal ? [] : [{ value: state.x, tolerance: 'vntol' }]),
+    voltage: terminals => terminals.output,
+    current: ({ branchCurrent }) => branchCurrent(),
+    frequency: comp => propertyValue(comp, 'gbw'),
+    analyze({ comp, voltage, terminals }) {
+      const params = opampParameters(comp);
+      const margin = 10 * TRANSITION;
+      const saturated = !params.ideal && (voltage > params.vHigh - margin || voltage < params.vLow + margin);
+      return {
+        characteristics: {
+          model: params.ideal ? 'ideal' : 'singlePole',
+          gain: params.gain,
+          differentialInput: terminals.inPositive - terminals.inNegative,
+          dominantPole: params.ideal ? Infinity : 1 / (2 * Math.PI * params.tau),
+          slewRate: params.ideal ? Infinity : params.slewRate
+        },
+        status: saturated ? 'saturated' : 'normal'
+      };
+    },
+    dcPaths: groundedOutput,
+    voltageBranches: groundedOutput
+  },
+
+  comparator: {
+    nonlinear: true,
+    branches: ['main'],
+    stamp({ comp, system, node, branch, context, guess }) {
+      const offset = hysteresisOffset(propertyValue(comp, 'hysteresis'), previousState(comp, context));
+      const vd = guess('inPositive', 'inNegative');
+      const output = comparatorOutput(comp, vd, offset);
+      system.stampVCVS(branch(), node('output'), -1, node('inPositive'), node('inNegative'), output.slope);
+      system.rhs[system.branchIndex(branch())] += output.value - output.slope * vd;
+    },
+    linearize: ({ comp, guess }) => comparatorOutput(comp, guess('inPositive', 'inNegative'), 0),
+    stampAc({ system, node, branch, device }) {
+      system.stampVCVS(branch(), node('output'), -1, node('inPositive'), node('inNegative'), device.slope);
+    },
+    initialState: ({ across }) => ({ on: across('inPositive', 'inNegative') > 0 }),
+    updateState({ comp, context, across }) {
+      const offset = hysteresisOffset(propertyValue(comp, 'hysteresis'), previousState(comp, context));
+      return { on: across('inPositive', 'inNegative') > offset };
+    },
+    voltage: terminals => terminals.output,
+    current: ({ branchCurrent }) => branchCurrent(),
+    analyze({ comp, sim, terminals }) {
+      const state = reportedState(comp, sim);
+      const vd = terminals.inPositive - terminals.inNegative;
+      return {
+        characteristics: {
+          output: (state ? state.on : vd > 0) ? 'high' : 'low',
+          differentialInput: vd,
+          hysteresis: propertyValue(comp, 'hysteresis')
+        }
+      };
+    },
+    dcPaths: groundedOutput,
+    voltageBranches: groundedOutput
+  },
+
+  voltageSwitch: {
+    nonlinear: true,
+    // i = g(vc)·v around (v0, vc0): g0·v + v0·g'·vc - v0·g'·vc0
+    stamp({ comp, system, node, context, guess }) {
+      const offset = hysteresisOffset(propertyValue(comp, 'hysteresis'), previousState(comp, context));
+      const v0 = guess('pin1', 'pin2');
+      const vc0 = guess('controlPositive', 'controlNegative');
+      const g = switchConductance(comp, vc0, offset);
+      system.stampConductance(node('pin1'), node('pin2'), g.conductance);
+      system.stampVCCS(node('pin1'), node('pin2'), node('controlPositive'), node('controlNegative'), v0 * g.slope);
+      system.stampCurrent(node('pin1'), node('pin2'), -v0 * g.slope * vc0);
+    },
+    linearize: ({ comp, guess }) => ({
+      voltage: guess('pin1', 'pin2'),
+      ...switchConductance(comp, guess('controlPositive', 'controlNegative'), 0)
+    }),
+    stampAc({ system, node, device }) {
+      system.stampConductance(node('pin1'), node('pin2'), device.conductance);
+      system.stampVCCS(node('pin1'), node('pin2'), node('controlPositive'), node('controlNegative'),
+        device.voltage * device.slope);
+    },
+    initialState: ({ comp, across }) => ({
+      on: across('controlPositive', 'controlNegative') > propertyValue(comp, 'threshold')
+    }),
+    updateState({ comp, context, across }) {
+      const offset = hysteresisOffset(propertyValue(comp, 'hysteresis'), previousState(comp, context));
+      return { on: across('controlPositive', 'controlNegative') > propertyValue(comp, 'threshold') + offset };
+    },
+    current({ comp, sim, voltage, terminals }) {
+      const offset = hysteresisOffset(propertyValue(comp, 'hysteresis'), reportedState(comp, sim));
+      return voltage * switchConductance(comp, terminals.controlPositive - terminals.controlNegative, offset).conductance;
+    },
+    analyze({ comp, voltage, current }) {
+      const resistance = current !== 0 ? voltage / current : null;
+      return {
+        characteristics: {
+          state: resistance !== null && resistance < Math.sqrt(propertyValue(comp, 'ron') * propertyValue(comp, 'roff')) ? 'closed' : 'open',
+          resistance
+        }
+      };
+    },
+    dcPaths: switchPath
+  },
+
+  timeSwitch: {
+    stamp({ comp, system, node, context }) {
+      system.stampConductance(node('pin1'), node('pin2'), timeSwitchConductance(comp, context.time));
+    },
+    stampAc({ comp, sim, system, node }) {
+      system.stampConductance(node('pin1'), node('pin2'), timeSwitchConductance(comp, sim.time));
+    },
+    current: ({ comp, sim, voltage }) => voltage * timeSwitchConductance(comp, sim.time),
+    breakpoint: (comp, time) => (time < propertyValue(comp, 'switchTime') ? propertyValue(comp, 'switchTime') : null),
+    analyze: ({ comp, sim }) => ({
+      characteristics: {
+        state: timeSwitchClosed(comp, sim.time) ? 'closed' : 'open',
+        resistance: 1 / timeSwitchConductance(comp, sim.time)
+      }
+    }),
+    dcPaths: switchPath
+  },
+
+  andGate: logicGate(['a', 'b'], logicAnd),
+  orGate: logicGate(['a', 'b'], logicOr),
+  notGate: logicGate(['a'], logicNot),
+  nandGate: logicGate(['a', 'b'], (a, b) => logicNot(logicAnd(a, b))),
+  norGate: logicGate(['a', 'b'], (a, b) => logicNot(logicOr(a, b))),
+  xorGate: logicGate(['a', 'b'], logicXor),
+
+  // An unconnected reset floats at z and never resets
+  dFlipFlop: {
+    digital: {
+      inputs: ['d', 'clk', 'reset'],
+      outputs: ['q'],
+      initialState: comp => ({ clk: 'x', q: comp.properties.initial || 'x' }),
+      update: ({ inputs, state }) => ({ clk: inputs.clk, q: flipFlopState(state.q, state.clk, inputs) }),
+      evaluate: ({ state }) => ({ q: state.q }),
+      delay: comp => propertyValue(comp, 'delay')
+    }
+  },
+
+  // Wakes at every edge; edges are counted from `delay` so they do not drift
+  clock: {
+    digital: {
+      inputs: [],
+      outputs: ['y'],
+      initialState: comp => ({ high: false, cycle: 0, next: propertyValue(comp, 'delay') }),
+      wake({ comp, state }) {
+        const start = propertyValue(comp, 'delay') + state.cycle * propertyValue(comp, 'period');
+        if (state.high) return { high: false, cycle: state.cycle + 1, next: start + propertyValue(comp, 'period') };
+        return { high: true, cycle: state.cycle, next: start + propertyValue(comp, 'period') * propertyValue(comp, 'dutyCycle') / 100 };
+      },
+      wakeAt: state => state.next,
+      evaluate: ({ state }) => ({ y: state.high ? '1' : '0' }),
+      delay: () => 0
+    }
+  },
+
+  constant: {
+    digital: {
+      inputs: [],
+      outputs: ['y'],
+      evaluate: ({ comp }) => ({ y: comp.properties.value || '0' }),
+      delay: () => 0
+    }
+  },
+
+  // The analog input loads its net with inputResistance; the simulator hands
+  // the logic its voltage after every solve
+  adBridge: {
+    stamp({ comp, system, node }) {
+      system.stampConductance(node('in'), -1, 1 / propertyValue(comp, 'inputResistance'));
+    },
+    stampAc({ comp, system, node }) {
+      system.stampConductance(node('in'), -1, 1 / propertyValue(comp, 'inputResistance'));
+    },
+    voltage: terminals => terminals.in,
+    current: ({ comp, terminals }) => terminals.in / propertyValue(comp, 'inputResistance'),
+    analyze({ comp, sim }) {
+      const state = bridgeState(comp, sim);
+      return {
+        characteristics: {
+          output: state ? state.level : 'x',
+          thresholdLow: propertyValue(comp, 'thresholdLow'),
+          thresholdHigh: propertyValue(comp, 'thresholdHigh')
+        }
+      };
+    },
+    dcPaths: pins => [[pins.in, GROUND_NET]],
+    digital: {
+      inputs: [],
+      outputs: ['out'],
+      initialState: () => ({ level: 'x' }),
+      update: ({ comp, state, voltages }) => ({ level: bridgeLevel(comp, voltages.in, state.level) }),
+      evaluate: ({ state }) => ({ out: state.level }),
+      delay: gateDelay
+    }
+  },
+
+  // The ramp voltage behind outputResistance as a Norton equivalent. DC sees
+  // the ramp finished; the ramp's end is a breakpoint, its start a digital event
+  daBridge: {
+    stamp({ comp, sim, system, node, context }) {
+      const state = bridgeState(comp, sim);
+      if (!bridgeDriving(state)) return;
+      const g = 1 / propertyValue(comp, 'outputResistance');
+      const voltage = context.analysis === 'dc' ? state.to : rampVoltage(state, context.time);
+      system.stampConductance(node('out'), -1, g);
+      system.stampCurrent(-1, node('out'), g * voltage);
+    },
+    stampAc({ comp, sim, system, node }) {
+      if (bridgeDriving(bridgeState(comp, sim))) {
+        system.stampConductance(node('out'), -1, 1 / propertyValue(comp, 'outputResistance'));
+      }
+    },
+    breakpoint(comp, time, sim) {
+      const state = bridgeState(comp, sim);
+      return state && time < state.start + state.duration ? state.start + state.duration : null;
+    },
+    voltage: terminals => terminals.out,
+    // Current out of the output pin
+    current({ comp, sim, terminals }) {
+      const state = bridgeState(comp, sim);
+      if (!bridgeDriving(state)) return 0;
+      return (rampVoltage(state, sim.time) - terminals.out) / propertyValue(comp, 'outputResistance');
+    },
+    analyze({ comp, sim }) {
+      const state = bridgeState(comp, sim);
+      return {
+        characteristics: {
+          input: state && state.level !== null ? state.level : 'x',
+          target: bridgeDriving(state) ? state.to : null
+        }
+      };
+    },
+    dcPaths: pins => [[pins.out, GROUND_NET]],
+    digital: {
+      inputs: ['in'],
+      outputs: [],
+      initialState: () => ({ level: null }),
+      update: ({ comp, inputs, state, time }) =>
+        (inputs.in === state.level ? state : bridgeRamp(comp, state, inputs.in, time)),
+      // The operating point has no ramp in progress
+      settled: state => ({ ...state, from: state.to, duration: 0 }),
+      evaluate: () => ({}),
+      delay: () => 0
+    }
+  }
+};
+
+module.exports = { BUILTIN_MODELS, evaluateWaveform, waveformBreakpoint };
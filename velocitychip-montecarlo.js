@@ -0,0 +1,307 @@
+// Statistical analyses on the DC operating point. Monte Carlo draws every
+// toleranced component value from its distribution and counts the trials
+// that meet the measurement specs; corner analysis moves all MOSFETs to a
+// named process corner. Both are reproducible: the same seed gives the same
+// trials
+
+const { CircuitSimulator, SimulationError } = require('./velocitychip-simulator');
+const { SingularMatrixError } = require('./velocitychip-mna');
+const { componentLibrary, propertyValue, setPropertyValue } = require('./velocitychip-components');
+const { GROUND_NET, normalizeNetName } = require('./velocitychip-netlist');
+const { flattenDesign } = require('./velocitychip-hierarchy');
+const { createRandom } = require('./velocitychip-random');
+
+const DISTRIBUTIONS = ['uniform', 'gaussian'];
+const QUANTITIES = ['voltage', 'current', 'power'];
+const MAX_TRIALS = 10000;
+const DEFAULT_BINS = 20;
+
+// Threshold and mobility move together: a fast device has a lower |Vth| and
+// a higher mobility
+const CORNER_SHIFTS = {
+  typical: { threshold: 1, mobility: 1 },
+  fast: { threshold: 0.9, mobility: 1.1 },
+  slow: { threshold: 1.1, mobility: 0.9 }
+};
+
+// Corner names give the NMOS speed first, then the PMOS
+const CORNERS = {
+  TT: { nmos: 'typical', pmos: 'typical' },
+  FF: { nmos: 'fast', pmos: 'fast' },
+  SS: { nmos: 'slow', pmos: 'slow' },
+  FS: { nmos: 'fast', pmos: 'slow' },
+  SF: { nmos: 'slow', pmos: 'fast' }
+};
+
+// Invalid analysis request, reported as a 400 with `details`
+class AnalysisError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'AnalysisError';
+    this.details = details;
+  }
+}
+
+function copyComponents(components) {
+  return JSON.parse(JSON.stringify(components));
+}
+
+// Properties of `type` that vary, with the percentage property the library
+// declares as each one's `tolerance`
+function tolerancedProperties(type) {
+  const definition = componentLibrary[type];
+  if (!definition) return [];
+  return Object.entries(definition.properties)
+    .filter(([, property]) => property.tolerance !== undefined)
+    .map(([name, property]) => [name, property.tolerance]);
+}
+
+// Vary a component's toleranced values in place. A tolerance of t% bounds a
+// uniform deviation either way and is three sigma of a Gaussian one
+function varyComponent(comp, random, distribution = 'uniform') {
+  tolerancedProperties(comp.type).forEach(([property, percent]) => {
+    const nominal = propertyValue(comp, property);
+    const tolerance = propertyValue(comp, percent) / 100;
+    const deviation = distribution === 'gaussian'
+      ? random.gaussian(0, tolerance / 3)
+      : random.uniform(-tolerance, tolerance);
+    setPropertyValue(comp, property, nominal * (1 + deviation));
+  });
+  return comp;
+}
+
+// Vary every toleranced value in place. Components are visited in order, so
+// a seed always maps to the same values
+function applyTolerances(components, random, distribution = 'uniform') {
+  components.forEach(comp => varyComponent(comp, random, distribution));
+  return components;
+}
+
+// Move every MOSFET to `corner` in place
+function applyCorner(components, corner) {
+  const speeds = CORNERS[corner];
+  components.forEach(comp => {
+    if (comp.type !== 'transistor') return;
+    const shift = CORNER_SHIFTS[speeds[comp.properties.polarity === 'pmos' ? 'pmos' : 'nmos']];
+    setPropertyValue(comp, 'threshold', propertyValue(comp, 'threshold') * shift.threshold);
+    setPropertyValue(comp, 'mobility', propertyValue(comp, 'mobility') * shift.mobility);
+  });
+  return components;
+}
+
+// Check specs against the design. A spec measures a net voltage
+// ({ net }) or a component's voltage, current or power
+// ({ component, quantity }) and passes between its optional min and max
+function validateSpecs(specs, design) {
+  if (!Array.isArray(specs) || specs.length === 0) {
+    return [{ path: '/specs', message: 'must be a non-empty array' }];
+  }
+  const netNames = new Set((design.nets || []).map(net => normalizeNetName(net.name)));
+  const errors = [];
+  specs.forEach((spec, i) => {
+    const path = `/specs/${i}`;
+    if (!spec || typeof spec !== 'object') {
+      errors.push({ path, message: 'must be an object' });
+      return;
+    }
+    if (spec.net !== undefined) {
+      const net = normalizeNetName(spec.net);
+      if (net !== GROUND_NET && !netNames.has(net)) errors.push({ path: `${path}/net`, message: `unknown net '${spec.net}'` });
+    } else if (spec.component !== undefined) {
+      if (!design.components.some(comp => String(comp.id) === String(spec.component))) {
+        errors.push({ path: `${path}/component`, message: `unknown component '${spec.component}'` });
+      }
+      if (!QUANTITIES.includes(spec.quantity || 'voltage')) {
+        errors.push({ path: `${path}/quantity`, message: `must be one of ${QUANTITIES.join(', ')}` });
+      }
+    } else {
+      errors.push({ path, message: 'must name a net or a component' });
+    }
+    ['min', 'max'].forEach(bound => {
+      if (spec[bound] !== undefined && !Number.isFinite(spec[bound])) {
+        errors.push({ path: `${path}/${bound}`, message: 'must be a number' });
+      }
+    });
+    if (Number.isFinite(spec.min) && Number.isFinite(spec.max) && spec.min > spec.max) {
+      errors.push({ path: `${path}/max`, message: 'must not be less than min' });
+    }
+  });
+  return errors;
+}
+
+function specName(spec) {
+  if (spec.name) return spec.name;
+  return spec.net !== undefined ? `V(${normalizeNetName(spec.net)})` : `${spec.quantity || 'voltage'}(${spec.component})`;
+}
+
+function measure(spec, results) {
+  if (spec.net !== undefined) {
+    const net = normalizeNetName(spec.net);
+    return net === GROUND_NET ? 0 : results.nets[net];
+  }
+  const node = results.nodes[spec.component];
+  return node ? node[spec.quantity || 'voltage'] : undefined;
+}
+
+function meetsSpec(spec, value) {
+  if (!Number.isFinite(value)) return false;
+  if (spec.min !== undefined && value < spec.min) return false;
+  if (spec.max !== undefined && value > spec.max) return false;
+  return true;
+}
+
+// Operating point of `components`, or null when it does not converge or has
+// no unique solution
+function operatingPoint(design, components) {
+  const simulator = new CircuitSimulator(design.id, components, design.nets);
+  try {
+    return simulator.simulate();
+  } catch (error) {
+    if (error instanceof SimulationError || error instanceof SingularMatrixError) return null;
+    throw error;
+  }
+}
+
+// Equal-width bins between the smallest and largest finite value
+function histogram(values, bins = DEFAULT_BINS) {
+  const finite = values.filter(Number.isFinite);
+  if (finite.length === 0) return { edges: [], counts: [] };
+  const low = Math.min(...finite);
+  const high = Math.max(...finite);
+  // All equal: one bin holding everything
+  if (high === low) return { edges: [low, high], counts: [finite.length] };
+  const width = (high - low) / bins;
+  const edges = Array.from({ length: bins + 1 }, (_, i) => low + i * width);
+  const counts = new Array(bins).fill(0);
+  finite.forEach(value => {
+    counts[Math.min(bins - 1, Math.floor((value - low) / width))]++;
+  });
+  return { edges, counts };
+}
+
+function statistics(values) {
+  const finite = values.filter(Number.isFinite);
+  if (finite.length === 0) return { mean: null, sigma: null, min: null, max: null };
+  const mean = finite.reduce((sum, value) => sum + value, 0) / finite.length;
+  const variance = finite.reduce((sum, value) => sum + (value - mean) ** 2, 0) / finite.length;
+  return { mean, sigma: Math.sqrt(variance), min: Math.min(...finite), max: Math.max(...finite) };
+}
+
+function validateOptions({ trials, distribution, corner, bins }) {
+  const errors = [];
+  if (!Number.isInteger(trials) || trials < 1 || trials > MAX_TRIALS) {
+    errors.push({ path: '/trials', message: `must be an integer from 1 to ${MAX_TRIALS}` });
+  }
+  if (!DISTRIBUTIONS.includes(distribution)) {
+    errors.push({ path: '/distribution', message: `must be one of ${DISTRIBUTIONS.join(', ')}` });
+  }
+  if (corner !== undefined && !CORNERS[corner]) {
+    errors.push({ path: '/corner', message: `must be one of ${Object.keys(CORNERS).join(', ')}` });
+  }
+  if (!Number.isInteger(bins) || bins < 1 || bins > 1000) {
+    errors.push({ path: '/bins', message: 'must be an integer from 1 to 1000' });
+  }
+  return errors;
+}
+
+// `trials` operating points with toleranced values drawn from `seed`,
+// optionally at a process corner. A trial that fails to solve fails every
+// spec and measures null. `design` is flattened with `lookup` once per trial,
+// so user-defined parts vary by their own tolerances before they expand
+function runMonteCarlo(design, { lookup = () => null, trials = 100, seed, distribution = 'uniform', corner, specs, bins = DEFAULT_BINS } = {}) {
+  const errors = [...validateOptions({ trials, distribution, corner, bins }), ...validateSpecs(specs, flattenDesign(design, lookup))];
+  if (errors.length > 0) throw new AnalysisError('Invalid Monte Carlo analysis', errors);
+
+  const random = createRandom(seed);
+  const values = specs.map(() => []);
+  const passes = specs.map(() => 0);
+  let passed = 0;
+  let unsolved = 0;
+
+  for (let trial = 0; trial < trials; trial++) {
+    const circuit = flattenDesign(design, lookup, comp => varyComponent(comp, random, distribution));
+    if (corner) applyCorner(circuit.components, corner);
+    const results = operatingPoint(circuit, circuit.components);
+    if (!results) unsolved++;
+
+    let all = true;
+    specs.forEach((spec, i) => {
+      const value = results ? measure(spec, results) : undefined;
+      values[i].push(Number.isFinite(value) ? value : null);
+      if (meetsSpec(spec, value)) {
+        passes[i]++;
+      } else {
+        all = false;
+      }
+    });
+    if (all) passed++;
+  }
+
+  return {
+    seed: random.seed,
+    trials,
+    distribution,
+    corner: corner || null,
+    passed,
+    yield: passed / trials,
+    unsolved,
+    specs: specs.map((spec, i) => ({
+      name: specName(spec),
+      limits: { min: spec.min === undefined ? null : spec.min, max: spec.max === undefined ? null : spec.max },
+      ...statistics(values[i]),
+      histogram: histogram(values[i], bins),
+      passed: passes[i],
+      yield: passes[i] / trials,
+      values: values[i]
+    }))
+  };
+}
+
+// Nominal operating point at each named corner
+function runCorners(design, { corners = Object.keys(CORNERS), specs } = {}) {
+  const errors = validateSpecs(specs, design);
+  if (!Array.isArray(corners) || corners.length === 0) {
+    errors.push({ path: '/corners', message: 'must be a non-empty array' });
+  } else {
+    corners.forEach((corner, i) => {
+      if (!CORNERS[corner]) {
+        errors.push({ path: `/corners/${i}`, message: `must be one of ${Object.keys(CORNERS).join(', ')}` });
+      }
+    });
+  }
+  if (errors.length > 0) throw new AnalysisError('Invalid corner analysis', errors);
+
+  const results = corners.map(corner => {
+    const point = operatingPoint(design, applyCorner(copyComponents(design.components), corner));
+    const measurements = specs.map(spec => {
+      const value = point ? measure(spec, point) : undefined;
+      return {
+        name: specName(spec),
+        value: Number.isFinite(value) ? value : null,
+        passed: meetsSpec(spec, value)
+      };
+    });
+    return {
+      corner,
+      ...CORNERS[corner],
+      solved: point !== null,
+      measurements,
+      passed: measurements.every(measurement => measurement.passed)
+    };
+  });
+
+  return { corners: results, passed: results.every(result => result.passed) };
+}
+
+module.exports = {
+  DISTRIBUTIONS,
+  CORNERS,
+  CORNER_SHIFTS,
+  MAX_TRIALS,
+  AnalysisError,
+  applyTolerances,
+  applyCorner,
+  histogram,
+  runMonteCarlo,
+  runCorners
+};
@@ -0,0 +1,263 @@
+const { componentLibrary } = require('./velocitychip-components');
+
+// Pin-level connectivity. A design's `nets` is a list of
+// { name, pins: ['<componentId>.<pin>', ...] }, every pin belongs to at most
+// one net and pins that appear in no net are left floating
+const GROUND_NET = 'GND';
+// Net names that always refer to the ground node
+const GROUND_ALIASES = ['0', 'GND', 'gnd', 'ground'];
+// Optional port direction of a net, used by the HDL exporters
+const NET_DIRECTIONS = ['input', 'output', 'inout'];
+
+function normalizeNetName(name) {
+  const trimmed = String(name).trim();
+  return GROUND_ALIASES.includes(trimmed) ? GROUND_NET : trimmed;
+}
+
+function isGroundNet(name) {
+  return normalizeNetName(name) === GROUND_NET;
+}
+
+// Component ids may themselves contain dots, the pin is whatever follows the last one
+function parseEndpoint(endpoint) {
+  if (typeof endpoint !== 'string') return null;
+  const split = endpoint.lastIndexOf('.');
+  if (split <= 0 || split === endpoint.length - 1) return null;
+  return { componentId: endpoint.slice(0, split), pin: endpoint.slice(split + 1) };
+}
+
+function formatEndpoint(componentId, pin) {
+  return `${componentId}.${pin}`;
+}
+
+function getPins(component) {
+  // Subcircuit instances carry the ports of the design they instantiate
+  if (component.type === 'subcircuit') return component.ports || [];
+  const definition = componentLibrary[component.type];
+  return definition ? definition.pins : [];
+}
+
+// Pins joined by the legacy component-to-component `connections` model
+function getLegacyTerminals(component) {
+  switch (component.type) {
+    case 'transistor':
+      return { input: 'gate', output: 'drain' };
+    default:
+      const pins = getPins(component);
+      return { input: pins[0], output: pins[pins.length - 1] };
+  }
+}
+
+// Convert legacy `{ from, to, signal }` connections into pin-level nets.
+// A connection joins the output pin of `from` with the input pin of `to`.
+// Connections never said where the other pins go, and the simulator of the
+// time ignored the topology altogether, so pins left on no net are placed on
+// GND, which keeps every migrated circuit solvable
+function migrateConnections(components, connections) {
+  const parent = new Map();
+  const find = key => {
+    while (parent.get(key) !== key) {
+      parent.set(key, parent.get(parent.get(key)));
+      key = parent.get(key);
+    }
+    return key;
+  };
+
+  components.forEach(comp => {
+    getPins(comp).forEach(pin => {
+      const key = formatEndpoint(comp.id, pin);
+      parent.set(key, key);
+    });
+  });
+
+  const signals = [];
+  (connections || []).forEach(conn => {
+    const from = components.find(c => String(c.id) === String(conn.from));
+    const to = components.find(c => String(c.id) === String(conn.to));
+    if (!from || !to) return;
+
+    const a = formatEndpoint(from.id, getLegacyTerminals(from).output);
+    const b = formatEndpoint(to.id, getLegacyTerminals(to).input);
+    if (!parent.has(a) || !parent.has(b)) return;
+    parent.set(find(a), find(b));
+    if (conn.signal) signals.push([a, conn.signal]);
+  });
+
+  const names = new Map();
+  signals.forEach(([key, signal]) => {
+    if (!names.has(find(key))) names.set(find(key), normalizeNetName(signal));
+  });
+
+  const nets = new Map();
+  const addPin = (name, pin) => {
+    if (!nets.has(name)) nets.set(name, []);
+    nets.get(name).push(pin);
+  };
+
+  const memberCount = new Map();
+  parent.forEach((_, key) => memberCount.set(find(key), (memberCount.get(find(key)) || 0) + 1));
+
+  parent.forEach((_, key) => {
+    const root = find(key);
+    if (names.has(root)) {
+      addPin(names.get(root), key);
+    } else if (memberCount.get(root) > 1) {
+      addPin(`N${root.replace(/\./g, '_')}`, key);
+    } else {
+      addPin(GROUND_NET, key);
+    }
+  });
+
+  return Array.from(nets.entries()).map(([name, pins]) => ({ name, pins }));
+}
+
+// Bring a design stored with the legacy model onto pin-level nets
+function migrateDesign(design) {
+  if (!Array.isArray(design.nets)) {
+    design.nets = migrateConnections(design.components || [], design.connections || []);
+  }
+  delete design.connections;
+  return design;
+}
+
+// Canonical form: trimmed names, ground aliases folded onto GND, nets sharing
+// a name merged. The first direction given for a net is kept
+function normalizeNets(nets) {
+  const merged = new Map();
+  nets.forEach(net => {
+    const name = normalizeNetName(net.name);
+    if (!merged.has(name)) merged.set(name, { name, pins: [] });
+    const entry = merged.get(name);
+    if (net.direction && !entry.direction) entry.direction = net.direction;
+    net.pins.forEach(pin => {
+      if (!entry.pins.includes(pin)) entry.pins.push(pin);
+    });
+  });
+  return Array.from(merged.values());
+}
+
+// Returns a list of { path, message } errors, empty when the nets are valid
+function validateNets(components, nets) {
+  const errors = [];
+  if (!Array.isArray(nets)) {
+    return [{ path: '/nets', message: 'nets must be an array' }];
+  }
+
+  const byId = new Map(components.map(comp => [String(comp.id), comp]));
+  const owner = new Map();
+
+  nets.forEach((net, i) => {
+    if (!net || typeof net.name !== 'string' || !net.name.trim()) {
+      errors.push({ path: `/nets/${i}/name`, message: 'net name is required' });
+    }
+    if (net && net.direction !== undefined && !NET_DIRECTIONS.includes(net.direction)) {
+      errors.push({ path: `/nets/${i}/direction`, message: `direction must be one of ${NET_DIRECTIONS.join(', ')}` });
+    }
+    if (!net || !Array.isArray(net.pins)) {
+      errors.push({ path: `/nets/${i}/pins`, message: 'pins must be an array' });
+      return;
+    }
+
+    net.pins.forEach((pin, j) => {
+      const path = `/nets/${i}/pins/${j}`;
+      const endpoint = parseEndpoint(pin);
+      if (!endpoint) {
+        errors.push({ path, message: `'${pin}' is not a <componentId>.<pin> endpoint` });
+        return;
+      }
+      const component = byId.get(endpoint.componentId);
+      if (!component) {
+        errors.push({ path, message: `unknown component '${endpoint.componentId}'` });
+        return;
+      }
+      if (!getPins(component).includes(endpoint.pin)) {
+        errors.push({ path, message: `${component.type} has no pin '${endpoint.pin}'` });
+        return;
+      }
+
+      const name = net.name && normalizeNetName(net.name);
+      if (owner.has(pin) && owner.get(pin) !== name) {
+        errors.push({ path, message: `pin '${pin}' is already on net '${owner.get(pin)}'` });
+      } else {
+        owner.set(pin, name);
+      }
+    });
+  });
+
+  return errors;
+}
+
+// Legacy connections must name existing components, otherwise
+// migrateConnections would silently drop them
+function validateConnections(components, connections) {
+  if (!Array.isArray(connections)) {
+    return [{ path: '/connections', message: 'connections must be an array' }];
+  }
+  const ids = new Set(components.map(comp => String(comp.id)));
+  const errors = [];
+  connections.forEach((conn, i) => {
+    if (!conn || typeof conn !== 'object') {
+      errors.push({ path: `/connections/${i}`, message: 'connection must be an object' });
+      return;
+    }
+    ['from', 'to'].forEach(end => {
+      if (!ids.has(String(conn[end]))) {
+        errors.push({ path: `/connections/${i}/${end}`, message: `unknown component '${conn[end]}'` });
+      }
+    });
+  });
+  return errors;
+}
+
+// Assign matrix indices to nets. Ground is -1; floating pins get a private
+// node named after the pin so they stay visible in results, with a numeric
+// suffix when a net or another node has that name already. `pinsOf` limits
+// the pins mapped, e.g. to the electrical pins of a mixed-signal bridge
+function buildNodeMap(components, nets, pinsOf = getPins) {
+  const netOf = new Map();
+  normalizeNets(nets || []).forEach(net => {
+    net.pins.forEach(pin => netOf.set(pin, net.name));
+  });
+
+  const named = new Set(netOf.values());
+  const indices = new Map([[GROUND_NET, -1]]);
+  const terminals = new Map();
+  let nodeCount = 0;
+
+  const floatingNode = (comp, pin) => {
+    const base = `NC_${comp.id}_${pin}`;
+    let name = base;
+    for (let n = 2; named.has(name) || indices.has(name); n++) name = `${base}_${n}`;
+    return name;
+  };
+
+  components.forEach(comp => {
+    const pins = {};
+    pinsOf(comp).forEach(pin => {
+      const endpoint = formatEndpoint(comp.id, pin);
+      const name = netOf.get(endpoint) || floatingNode(comp, pin);
+      if (!indices.has(name)) indices.set(name, nodeCount++);
+      pins[pin] = name;
+    });
+    terminals.set(comp.id, pins);
+  });
+
+  return { nets: indices, terminals, nodeCount };
+}
+
+module.exports = {
+  GROUND_NET,
+  GROUND_ALIASES,
+  NET_DIRECTIONS,
+  normalizeNetName,
+  isGroundNet,
+  parseEndpoint,
+  formatEndpoint,
+  getPins,
+  migrateConnections,
+  migrateDesign,
+  normalizeNets,
+  validateNets,
+  validateConnections,
+  buildNodeMap
+};
@@ -0,0 +1,221 @@
+// User-defined parts for the component library, registered through
+// POST /api/components and stored like designs. A part is
+//   { type, name, category, pins, properties, model }
+// where `properties` is a schema of number ({ unit, default, min, max }) and
+// select ({ options, default }) properties, and `model` is either
+//   { subcircuit: '<SPICE .subckt text>' }  expanded into built-in devices
+//   { plugin: '<name>' }                     a stamp plugin loaded on the server
+// The first .subckt in the text is the part; its ports connect to the pins in
+// order and every number property is passed to it as a parameter by name
+
+const { componentLibrary, propertyValue } = require('./velocitychip-components');
+const { GROUND_NET, normalizeNetName, formatEndpoint, parseEndpoint } = require('./velocitychip-netlist');
+const { parseValue, formatSpiceNumber, UnitError } = require('./velocitychip-units');
+const { parseSpiceNetlist } = require('./velocitychip-spice');
+const { HierarchyError } = require('./velocitychip-hierarchy');
+const { registerComponent, unregisterComponent, pluginModel, pluginNames } = require('./velocitychip-registry');
+
+const TYPE_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const PIN_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const PROPERTY_TYPES = ['number', 'select'];
+const DEFAULT_CATEGORY = 'Custom';
+// Element name of the part's own instance in the deck it is expanded from
+const INSTANCE = 'XPART';
+
+// Name and ports of the first .subckt card, continuation lines included
+function subcircuitHeader(text) {
+  const lines = String(text).split(/\r?\n/);
+  const start = lines.findIndex(line => /^\s*\.subckt\s/i.test(line));
+  if (start < 0) return null;
+  let card = lines[start];
+  for (let i = start + 1; i < lines.length && /^\s*\+/.test(lines[i]); i++) {
+    card += ' ' + lines[i].replace(/^\s*\+/, '');
+  }
+  const fields = card.trim().split(/\s+/).slice(1)
+    .filter(token => token.toLowerCase() !== 'params:' && !token.includes('='));
+  return fields.length > 0 ? { name: fields[0], ports: fields.slice(1) } : null;
+}
+
+function validateSchema(properties) {
+  if (properties === undefined) return [];
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+    return [{ path: '/properties', message: 'properties must be an object' }];
+  }
+  const errors = [];
+  Object.entries(properties).forEach(([name, definition]) => {
+    const path = `/properties/${name}`;
+    if (!PIN_PATTERN.test(name)) errors.push({ path, message: 'must be an identifier' });
+    if (!definition || typeof definition !== 'object' || !PROPERTY_TYPES.includes(definition.type)) {
+      errors.push({ path: `${path}/type`, message: `must be one of ${PROPERTY_TYPES.join(', ')}` });
+      return;
+    }
+    if (definition.type === 'select') {
+      if (!Array.isArray(definition.options) || definition.options.length === 0 ||
+        !definition.options.every(option => typeof option === 'string')) {
+        errors.push({ path: `${path}/options`, message: 'must be a non-empty array of strings' });
+      } else if (!definition.options.includes(definition.default)) {
+        errors.push({ path: `${path}/default`, message: 'must be one of the options' });
+      }
+      return;
+    }
+    if (definition.unit !== undefined && typeof definition.unit !== 'string') {
+      errors.push({ path: `${path}/unit`, message: 'must be a string' });
+      return;
+    }
+    ['default', 'min', 'max'].forEach(field => {
+      const value = definition[field];
+      if (value === undefined && field !== 'default') return;
+      try {
+        if (typeof value !== 'number' && typeof value !== 'string') throw new UnitError('must be a number or a string with a unit');
+        parseValue(value, definition.unit || '');
+      } catch (error) {
+        if (!(error instanceof UnitError)) throw error;
+        errors.push({ path: `${path}/${field}`, message: error.message });
+      }
+    });
+    if (definition.tolerance !== undefined) {
+      const percent = properties[definition.tolerance];
+      if (typeof definition.tolerance !== 'string' || definition.tolerance === name || !percent || percent.type !== 'number') {
+        errors.push({ path: `${path}/tolerance`, message: 'must name another number property' });
+      }
+    }
+  });
+  return errors;
+}
+
+function validateModel(model, pins) {
+  if (!model || typeof model !== 'object' || Array.isArray(model)) {
+    return [{ path: '/model', message: 'model must be an object' }];
+  }
+  if ((model.subcircuit === undefined) === (model.plugin === undefined)) {
+    return [{ path: '/model', message: 'model needs exactly one of subcircuit or plugin' }];
+  }
+  if (model.plugin !== undefined) {
+    return pluginModel(model.plugin) ? [] : [{
+      path: '/model/plugin',
+      message: `unknown plugin '${model.plugin}'` + (pluginNames().length ? `, expected one of ${pluginNames().join(', ')}` : '')
+    }];
+  }
+  if (typeof model.subcircuit !== 'string') return [{ path: '/model/subcircuit', message: 'must be SPICE text' }];
+  const header = subcircuitHeader(model.subcircuit);
+  if (!header) return [{ path: '/model/subcircuit', message: 'has no .subckt card' }];
+  if (Array.isArray(pins) && header.ports.length !== pins.length) {
+    return [{ path: '/model/subcircuit', message: `${header.name} has ${header.ports.length} ports for ${pins.length} pins` }];
+  }
+  return [];
+}
+
+// Field-level errors of a part definition, empty when it is valid
+function validatePart(part) {
+  if (!part || typeof part !== 'object' || Array.isArray(part)) {
+    return [{ path: '', message: 'component must be an object' }];
+  }
+  const errors = [];
+  const { type, name, category, pins, properties, model } = part;
+  if (typeof type !== 'string' || !TYPE_PATTERN.test(type)) {
+    errors.push({ path: '/type', message: 'type must be an identifier' });
+  }
+  if (typeof name !== 'string' || name.trim() === '') {
+    errors.push({ path: '/name', message: 'name must be a non-empty string' });
+  }
+  if (category !== undefined && (typeof category !== 'string' || category.trim() === '')) {
+    errors.push({ path: '/category', message: 'category must be a non-empty string' });
+  }
+  if (!Array.isArray(pins) || pins.length === 0) {
+    errors.push({ path: '/pins', message: 'pins must be a non-empty array' });
+  } else {
+    pins.forEach((pin, i) => {
+      if (typeof pin !== 'string' || !PIN_PATTERN.test(pin)) {
+        errors.push({ path: `/pins/${i}`, message: 'must be an identifier' });
+      } else if (normalizeNetName(pin) === GROUND_NET) {
+        errors.push({ path: `/pins/${i}`, message: 'must not be a ground name' });
+      } else if (pins.indexOf(pin) !== i) {
+        errors.push({ path: `/pins/${i}`, message: `duplicate pin '${pin}'` });
+      }
+    });
+  }
+  return [...errors, ...validateSchema(properties), ...validateModel(model, pins)];
+}
+
+// Library entry of a part, the shape of the built-in entries
+function partDefinition(part) {
+  return {
+    name: part.name,
+    category: part.category || DEFAULT_CATEGORY,
+    properties: part.properties || {},
+    pins: part.pins,
+    custom: true,
+    model: part.model
+  };
+}
+
+// Built-in components replacing one instance of a subcircuit part, named
+// relative to it, with a port net per pin
+function expandSubcircuit(part, header, comp) {
+  const parameters = Object.entries(part.properties || {})
+    .filter(([, definition]) => definition.type === 'number')
+    .map(([name]) => `${name}=${formatSpiceNumber(propertyValue(comp, name))}`);
+  const deck = [
+    part.type,
+    part.model.subcircuit,
+    `${INSTANCE} ${part.pins.join(' ')} ${header.name}` + (parameters.length ? ` params: ${parameters.join(' ')}` : ''),
+    '.end'
+  ].join('\n');
+
+  const { design, errors } = parseSpiceNetlist(deck);
+  const prefix = `${INSTANCE}.`;
+  if (errors.length === 0 && !design.components.every(inner => inner.id.startsWith(prefix))) {
+    errors.push({ message: 'elements outside the .subckt' });
+  }
+  if (errors.length > 0) {
+    throw new HierarchyError(`${comp.id}: ${part.name} subcircuit: ${errors[0].message}`, comp.id);
+  }
+
+  const local = text => (text.startsWith(prefix) ? text.slice(prefix.length) : text);
+  const nets = new Map(part.pins.map(pin => [pin, { name: pin, pins: [], direction: 'inout' }]));
+  design.nets.forEach(net => {
+    const name = local(net.name);
+    if (!nets.has(name)) nets.set(name, { name, pins: [] });
+    net.pins.forEach(endpoint => {
+      const { componentId, pin } = parseEndpoint(endpoint);
+      nets.get(name).pins.push(formatEndpoint(local(componentId), pin));
+    });
+  });
+  return {
+    name: part.name,
+    components: design.components.map(inner => ({ ...inner, id: local(inner.id) })),
+    nets: Array.from(nets.values())
+  };
+}
+
+function partModel(part) {
+  if (part.model.plugin !== undefined) return pluginModel(part.model.plugin);
+  const header = subcircuitHeader(part.model.subcircuit);
+  return {
+    expand: comp => expandSubcircuit(part, header, comp),
+    spiceSubcircuit: {
+      name: header.name,
+      text: part.model.subcircuit.trim(),
+      parameters: Object.keys(part.properties || {}).filter(name => part.properties[name].type === 'number')
+    }
+  };
+}
+
+// Add a validated part to the library. A subcircuit part is expanded once
+// with its defaults, so a deck that does not parse is rejected here with a
+// HierarchyError rather than at simulation time
+function registerPart(part) {
+  const model = partModel(part);
+  registerComponent(part.type, partDefinition(part), model);
+  if (model.expand) {
+    try {
+      model.expand({ id: part.type, type: part.type, properties: {} });
+    } catch (error) {
+      unregisterComponent(part.type);
+      throw error;
+    }
+  }
+  return componentLibrary[part.type];
+}
+
+module.exports = { DEFAULT_CATEGORY, subcircuitHeader, validatePart, partDefinition, registerPart };
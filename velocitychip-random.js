@@ -0,0 +1,58 @@
+// Seeded pseudo-random numbers for reproducible statistical analyses. The
+// same seed always yields the same sequence on every platform, which
+// Math.random cannot promise
+
+// 32-bit hash of a string seed (cyrb53's mixing, truncated)
+function hashSeed(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  return h1 >>> 0;
+}
+
+// Integer seeds are used as given, anything else is hashed
+function normalizeSeed(seed) {
+  return Number.isInteger(seed) ? seed >>> 0 : hashSeed(String(seed));
+}
+
+// Generator with uniform and Gaussian draws. The core is mulberry32, small
+// and fast with a full 2^32 period, plenty for circuit statistics
+function createRandom(seed) {
+  let state = normalizeSeed(seed);
+  let spare = null;
+
+  // Uniform in [0, 1)
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const uniform = (low = 0, high = 1) => low + (high - low) * next();
+
+  // Box-Muller, keeping the second value of each pair for the next call
+  const gaussian = (mean = 0, sigma = 1) => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return mean + sigma * value;
+    }
+    let u = 0;
+    while (u === 0) u = next();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    const angle = 2 * Math.PI * next();
+    spare = radius * Math.sin(angle);
+    return mean + sigma * radius * Math.cos(angle);
+  };
+
+  return { seed: normalizeSeed(seed), next, uniform, gaussian };
+}
+
+module.exports = { createRandom, normalizeSeed };
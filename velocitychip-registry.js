@@ -0,0 +1,104 @@
+// Component registry: every component type's definition (name, category,
+// property schema and pins, kept in the shared componentLibrary) and the
+// device model the simulator, rule checks and exporters dispatch to. The
+// built-in types register themselves at load; user-defined parts add types
+// backed by a stamp plugin or a SPICE subcircuit (velocitychip-parts.js)
+
+const fs = require('fs');
+const path = require('path');
+const { componentLibrary } = require('./velocitychip-components');
+const { BUILTIN_MODELS } = require('./velocitychip-models');
+const { getPins } = require('./velocitychip-netlist');
+
+// Types without a model, such as hierarchy instances, get no hooks at all
+const NO_MODEL = Object.freeze({});
+
+const models = new Map(Object.entries(BUILTIN_MODELS));
+const builtins = new Set(Object.keys(componentLibrary));
+const plugins = new Map();
+
+class RegistryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RegistryError';
+  }
+}
+
+function deviceModel(type) {
+  return models.get(type) || NO_MODEL;
+}
+
+// Digital hooks put a component on the event-driven scheduler, anything else
+// in the MNA system; the A/D and D/A bridges have both and live in each
+const isDigital = comp => Boolean(deviceModel(comp.type).digital);
+const isAnalog = comp => !isDigital(comp) || Boolean(deviceModel(comp.type).stamp);
+
+// Pins on electrical nodes: none of a logic component's, all but the logic
+// pins of a bridge
+function analogPins(comp) {
+  const digital = deviceModel(comp.type).digital;
+  if (!digital) return getPins(comp);
+  if (!isAnalog(comp)) return [];
+  return getPins(comp).filter(pin => !digital.inputs.includes(pin) && !digital.outputs.includes(pin));
+}
+
+function isBuiltin(type) {
+  return builtins.has(type);
+}
+
+function registerComponent(type, definition, model = NO_MODEL) {
+  if (isBuiltin(type)) throw new RegistryError(`'${type}' is a built-in component`);
+  componentLibrary[type] = definition;
+  models.set(type, model);
+}
+
+function unregisterComponent(type) {
+  if (isBuiltin(type)) throw new RegistryError(`'${type}' is a built-in component`);
+  delete componentLibrary[type];
+  models.delete(type);
+}
+
+// Stamp plugins are server-side modules exporting model hooks. They run with
+// the server's privileges, so they are only loaded from disk and never
+// accepted over the API
+function registerPlugin(name, model) {
+  if (!model || typeof model !== 'object' || typeof model.stamp !== 'function') {
+    throw new RegistryError(`Plugin '${name}' must export a model with a stamp function`);
+  }
+  plugins.set(name, model);
+}
+
+function pluginModel(name) {
+  return plugins.get(name) || null;
+}
+
+function pluginNames() {
+  return Array.from(plugins.keys());
+}
+
+// Register every .js module in `directory` as a plugin named after its file
+function loadPlugins(directory) {
+  if (!directory || !fs.existsSync(directory)) return [];
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.js'))
+    .map(file => {
+      const name = path.basename(file, '.js');
+      registerPlugin(name, require(path.resolve(directory, file)));
+      return name;
+    });
+}
+
+module.exports = {
+  RegistryError,
+  deviceModel,
+  isDigital,
+  isAnalog,
+  analogPins,
+  isBuiltin,
+  registerComponent,
+  unregisterComponent,
+  registerPlugin,
+  pluginModel,
+  pluginNames,
+  loadPlugins
+};
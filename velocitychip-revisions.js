@@ -0,0 +1,150 @@
+// Design revisions and the structural diff between two of them. A revision
+// is an immutable snapshot of everything that describes the circuit; ids,
+// timestamps and the revision counter itself stay on the design
+
+const { componentLibrary } = require('./velocitychip-components');
+const { parseValueOr } = require('./velocitychip-units');
+
+// Design fields captured by a revision and put back by a restore
+const SNAPSHOT_FIELDS = ['name', 'components', 'nets', 'analyses', 'measurements', 'parameters', 'metadata'];
+
+function snapshotOf(design) {
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach(field => {
+    if (design[field] !== undefined) snapshot[field] = JSON.parse(JSON.stringify(design[field]));
+  });
+  return snapshot;
+}
+
+function createRevision(design, number, { author, message } = {}) {
+  return {
+    designId: design.id,
+    revision: number,
+    created: design.modified,
+    author: author || (design.metadata && design.metadata.author) || null,
+    message: message || null,
+    snapshot: snapshotOf(design)
+  };
+}
+
+// Listing entry, without the snapshot
+function revisionSummary(revision) {
+  const { snapshot, ...summary } = revision;
+  return {
+    ...summary,
+    name: snapshot.name,
+    componentCount: (snapshot.components || []).length,
+    netCount: (snapshot.nets || []).length
+  };
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Changed properties of one component. Number properties also carry the
+// difference in SI units when both sides parse
+function propertyChanges(before, after) {
+  const definitions = (componentLibrary[after.type] || {}).properties || {};
+  const names = new Set([...Object.keys(before.properties || {}), ...Object.keys(after.properties || {})]);
+  const changes = [];
+  names.forEach(name => {
+    const from = (before.properties || {})[name];
+    const to = (after.properties || {})[name];
+    if (same(from, to)) return;
+    const change = { property: name, from: from === undefined ? null : from, to: to === undefined ? null : to };
+    const definition = definitions[name];
+    if (definition && definition.type === 'number' && before.type === after.type) {
+      const a = parseValueOr(from, definition.unit, NaN);
+      const b = parseValueOr(to, definition.unit, NaN);
+      if (Number.isFinite(a) && Number.isFinite(b)) change.delta = b - a;
+    }
+    changes.push(change);
+  });
+  return changes;
+}
+
+function describeComponent(comp) {
+  return { id: comp.id, type: comp.type, name: comp.name };
+}
+
+// Components added, removed and changed, matched by id. Canvas position is
+// layout, not structure, and is not reported
+function diffComponents(before, after) {
+  const key = comp => String(comp.id);
+  const old = new Map(before.map(comp => [key(comp), comp]));
+  const current = new Map(after.map(comp => [key(comp), comp]));
+
+  const changed = [];
+  after.forEach(comp => {
+    const previous = old.get(key(comp));
+    if (!previous) return;
+    const change = { id: comp.id };
+    if (previous.type !== comp.type) change.type = { from: previous.type, to: comp.type };
+    if (previous.name !== comp.name) change.name = { from: previous.name, to: comp.name };
+    // Subcircuit instances: the design instantiated and its overrides
+    if (!same(previous.subcircuit, comp.subcircuit)) {
+      change.subcircuit = { from: previous.subcircuit || null, to: comp.subcircuit || null };
+    }
+    if (!same(previous.parameters || {}, comp.parameters || {})) {
+      change.parameters = { from: previous.parameters || {}, to: comp.parameters || {} };
+    }
+    const properties = propertyChanges(previous, comp);
+    if (properties.length > 0) change.properties = properties;
+    if (Object.keys(change).length > 1) changed.push(change);
+  });
+
+  return {
+    added: after.filter(comp => !old.has(key(comp))).map(describeComponent),
+    removed: before.filter(comp => !current.has(key(comp))).map(describeComponent),
+    changed
+  };
+}
+
+// Nets added, removed and rewired, matched by name
+function diffNets(before, after) {
+  const old = new Map(before.map(net => [net.name, net]));
+  const current = new Map(after.map(net => [net.name, net]));
+
+  const rewired = [];
+  after.forEach(net => {
+    const previous = old.get(net.name);
+    if (!previous) return;
+    const change = {
+      name: net.name,
+      connected: net.pins.filter(pin => !previous.pins.includes(pin)),
+      disconnected: previous.pins.filter(pin => !net.pins.includes(pin))
+    };
+    if ((previous.direction || null) !== (net.direction || null)) {
+      change.direction = { from: previous.direction || null, to: net.direction || null };
+    }
+    if (change.connected.length > 0 || change.disconnected.length > 0 || change.direction) rewired.push(change);
+  });
+
+  return {
+    added: after.filter(net => !old.has(net.name)),
+    removed: before.filter(net => !current.has(net.name)),
+    rewired
+  };
+}
+
+// Structural diff from snapshot `before` to snapshot `after`
+function diffSnapshots(before, after) {
+  const components = diffComponents(before.components || [], after.components || []);
+  const nets = diffNets(before.nets || [], after.nets || []);
+  const diff = { components, nets };
+  if (before.name !== after.name) diff.name = { from: before.name, to: after.name };
+  ['analyses', 'measurements'].forEach(field => {
+    if (!same(before[field] || [], after[field] || [])) {
+      diff[field] = { from: before[field] || [], to: after[field] || [] };
+    }
+  });
+
+  if (!same(before.parameters || {}, after.parameters || {})) {
+    diff.parameters = { from: before.parameters || {}, to: after.parameters || {} };
+  }
+
+  diff.identical = !diff.name && !diff.analyses && !diff.measurements && !diff.parameters &&
+    [components.added, components.removed, components.changed, nets.added, nets.removed, nets.rewired].every(list => list.length === 0);
+  return diff;
+}
+
+module.exports = { SNAPSHOT_FIELDS, snapshotOf, createRevision, revisionSummary, diffSnapshots };
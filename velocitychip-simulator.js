@@ -0,0 +1,1145 @@
+const { MnaSystem, ComplexMnaSystem } = require('./velocitychip-mna');
+const { buildNodeMap, getPins } = require('./velocitychip-netlist');
+const { deviceModel, isDigital, isAnalog, analogPins } = require('./velocitychip-registry');
+const { evaluateWaveform } = require('./velocitychip-models');
+const { componentLibrary, propertyValue, setPropertyValue } = require('./velocitychip-components');
+const { parseValue, UnitError } = require('./velocitychip-units');
+const { createRandom } = require('./velocitychip-random');
+const { DigitalSimulator, DigitalError } = require('./velocitychip-digital');
+
+// Minimum conductance from every node to ground, keeps floating nodes solvable
+const GMIN = 1e-12;
+
+// Alternations of analog and digital operating point before the A/D bridges
+// count as never agreeing
+const MAX_BRIDGE_PASSES = 20;
+
+// Key of a model's branch unknown: the main branch is the component id,
+// others such as a CCCS's sense short are '<id>:<name>'
+function branchKey(comp, name = 'main') {
+  return name === 'main' ? comp.id : `${comp.id}:${name}`;
+}
+
+// Newton-Raphson and integration tolerances, overridable per simulation
+const DEFAULT_OPTIONS = {
+  reltol: 1e-3,
+  vntol: 1e-6, // V
+  abstol: 1e-12, // A
+  maxIterations: 100, // DC operating point (SPICE ITL1)
+  transientIterations: 20, // Per timepoint before the step is cut (SPICE ITL4)
+  gminStepping: true,
+  // Results are deterministic unless noise is turned on, and even then a
+  // given seed reproduces the same run
+  noise: false, // Thermal (Johnson-Nyquist) noise current in every resistor
+  noiseBandwidth: 1e6, // Hz
+  seed: 0,
+  temperature: 27, // °C ambient; device parameters are specified at 27 °C
+  // Self-heating: device temperatures follow dissipated power through each
+  // component's thermal resistance and feed back into its parameters
+  thermal: false,
+  thermalTolerance: 0.01, // °C between electro-thermal iterations
+  thermalIterations: 50
+};
+
+// AC sweep frequencies. `points` is per decade/octave for 'dec'/'oct' and the
+// total count for 'lin'; the last point is clamped to fstop
+function acFrequencies({ sweep = 'dec', points = 10, fstart, fstop }) {
+  if (sweep === 'lin') {
+    if (points === 1) return [fstart];
+    return Array.from({ length: points }, (_, k) => fstart + k * (fstop - fstart) / (points - 1));
+  }
+  const base = sweep === 'oct' ? 2 : 10;
+  const count = Math.ceil(points * Math.log(fstop / fstart) / Math.log(base) - 1e-9);
+  return Array.from({ length: count + 1 }, (_, k) => Math.min(fstart * Math.pow(base, k / points), fstop));
+}
+
+// Values of one DC/parametric sweep in SI units. Limits are parsed in the
+// swept property's `unit`. Spacing is 'lin' (start/stop with a signed `step`
+// or a total `points`), 'log' (`points` per decade from start to stop, both
+// positive) or 'list' (explicit `values`)
+function sweepValues({ spacing = 'lin', start, stop, step, points, values }, unit = '') {
+  const invalid = message => new SimulationError(message, 'INVALID_SWEEP');
+  const parse = (value, name) => {
+    try {
+      return parseValue(value, unit);
+    } catch (error) {
+      if (error instanceof UnitError) throw invalid(`${name}: ${error.message}`);
+      throw error;
+    }
+  };
+
+  if (spacing === 'list') {
+    if (!Array.isArray(values) || values.length === 0) throw invalid('A list sweep needs a non-empty values array');
+    return values.map((value, i) => parse(value, `values[${i}]`));
+  }
+  if (start === undefined || stop === undefined) throw invalid('A sweep needs start and stop');
+  const from = parse(start, 'start');
+  const to = parse(stop, 'stop');
+
+  if (spacing === 'log') {
+    if (!(from > 0) || !(to > from) || !Number.isInteger(points) || points < 1) {
+      throw invalid('A log sweep needs 0 < start < stop and an integer points per decade >= 1');
+    }
+    return acFrequencies({ sweep: 'dec', points, fstart: from, fstop: to });
+  }
+  if (spacing !== 'lin') throw invalid(`Unknown sweep spacing '${spacing}'`);
+
+  if (step !== undefined) {
+    // SPICE .dc semantics: the step's sign must carry start towards stop
+    const increment = parse(step, 'step');
+    const count = Math.floor((to - from) / increment + 1e-9);
+    if (!(increment !== 0) || !(count >= 0) || !Number.isFinite(count)) {
+      throw invalid('The step must be non-zero and lead from start to stop');
+    }
+    return Array.from({ length: count + 1 }, (_, k) => from + k * increment);
+  }
+  if (!Number.isInteger(points) || points < 1) throw invalid('A linear sweep needs a step or an integer points >= 1');
+  if (points === 1) return [from];
+  return Array.from({ length: points }, (_, k) => from + k * (to - from) / (points - 1));
+}
+
+// Phase in degrees without the ±360° jumps atan2 introduces between points
+function unwrapPhase(phases) {
+  const unwrapped = [];
+  phases.forEach((phase, i) => {
+    if (i === 0) {
+      unwrapped.push(phase);
+      return;
+    }
+    const previous = unwrapped[i - 1];
+    unwrapped.push(phase + 360 * Math.round((previous - phase) / 360));
+  });
+  return unwrapped;
+}
+
+// First point where `values` crosses `level`, interpolated on a log frequency
+// axis. Returns the frequency and the fraction between the bracketing points
+function findCrossing(frequencies, values, level) {
+  for (let i = 0; i + 1 < values.length; i++) {
+    const a = values[i] - level;
+    const b = values[i + 1] - level;
+    if (a === 0) return { frequency: frequencies[i], index: i, fraction: 0 };
+    if (a * b < 0 || b === 0) {
+      const fraction = a / (a - b);
+      const logF = Math.log(frequencies[i]) + fraction * (Math.log(frequencies[i + 1]) - Math.log(frequencies[i]));
+      return { frequency: Math.exp(logF), index: i, fraction };
+    }
+  }
+  return null;
+}
+
+function interpolateAt(values, crossing) {
+  const { index, fraction } = crossing;
+  return fraction === 0 ? values[index] : values[index] + fraction * (values[index + 1] - values[index]);
+}
+
+// Stability and bandwidth figures of a transfer function sampled over a sweep.
+// Margins assume the transfer is a loop gain: phase margin is read at the
+// 0 dB crossing and gain margin at the -180° phase crossing. Bandwidth is the
+// first -3 dB point relative to the gain at the lowest frequency
+function bodeMetrics(frequencies, magnitudeDb, phase) {
+  const unityGain = findCrossing(frequencies, magnitudeDb, 0);
+  const phaseCrossover = findCrossing(frequencies, phase, -180);
+  const corner = findCrossing(frequencies, magnitudeDb, magnitudeDb[0] - 3);
+
+  return {
+    dcGainDb: magnitudeDb[0],
+    bandwidth: corner ? corner.frequency : null,
+    unityGainFrequency: unityGain ? unityGain.frequency : null,
+    phaseMargin: unityGain ? 180 + interpolateAt(phase, unityGain) : null,
+    phaseCrossoverFrequency: phaseCrossover ? phaseCrossover.frequency : null,
+    gainMargin: phaseCrossover ? -interpolateAt(magnitudeDb, phaseCrossover) : null
+  };
+}
+
+// Analysis failures caused by the circuit or the analysis settings rather than the server
+class SimulationError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SimulationError';
+    this.code = code;
+  }
+}
+
+// Newton-Raphson gave up; `details` names the analysis, time and the unknowns still moving
+class ConvergenceError extends SimulationError {
+  constructor(message, details) {
+    super(message, 'NO_CONVERGENCE');
+    this.name = 'ConvergenceError';
+    this.details = details;
+  }
+}
+
+// Circuit simulation engine
+class CircuitSimulator {
+  // `options.random` injects a generator from velocitychip-random in place
+  // of one seeded with `options.seed`
+  constructor(designId, components, nets, options = {}) {
+    const { random, ...settings } = options;
+    this.designId = designId;
+    // Digital components run on the event-driven scheduler, the rest in MNA
+    // and the A/D and D/A bridges in both
+    this.components = (components || []).filter(isAnalog);
+    this.digitalComponents = (components || []).filter(isDigital);
+    this.bridges = this.digitalComponents.filter(isAnalog);
+    this.nets = nets || [];
+    this.options = { ...DEFAULT_OPTIONS, ...settings };
+    this.random = random || createRandom(this.options.seed);
+    this.isRunning = false;
+    this.timeStep = 0;
+    this.simulationSpeed = 1; // 1x real-time
+    this.time = 0; // Simulation time at which source waveforms are evaluated
+    this.transient = null; // Integration state while a transient analysis is running
+    this.temperatures = new Map(); // Component id -> temperature (°C) of its thermal node
+    this.digital = null; // Event scheduler of the digital components while simulating
+  }
+
+  // DC operating point via modified nodal analysis. Digital logic settles
+  // with clocks held at their initial level
+  simulate() {
+    if (this.components.length === 0 && this.digitalComponents.length === 0) {
+      return this.emptyResults();
+    }
+
+    this.transient = null;
+    this.startDigital();
+    const netlist = this.buildNetlist();
+    const solution = this.solveMixedOperatingPoint(netlist);
+    return this.buildResults(netlist, solution);
+  }
+
+  // Fresh event scheduler at the current time, null without digital
+  // components. `voltages` carries the bridge inputs over from an earlier one
+  startDigital(voltages) {
+    this.digital = null;
+    if (this.digitalComponents.length === 0) return;
+    this.digital = new DigitalSimulator(this.digitalComponents, this.nets, type => deviceModel(type).digital);
+    if (voltages) this.digital.voltages = voltages;
+    this.runDigital(() => this.digital.start(this.time));
+  }
+
+  // Operating point of the analog circuit and the logic together. The
+  // bridges couple them, so the two are solved in turn until no logic level
+  // changes. Options: settle (brings the logic to rest), guess, and
+  // oscillate to keep the last pass when they never agree, as a transient
+  // starting an oscillator wants
+  solveMixedOperatingPoint(netlist, options = {}) {
+    const settle = options.settle || (() => this.digital.settle());
+    let guess = options.guess;
+    if (this.digital) this.runDigital(settle);
+    if (this.components.length === 0) return new Float64Array(0);
+    for (let pass = 1; ; pass++) {
+      const solution = this.solveOperatingPoint(netlist, { analysis: 'dc', time: this.time, guess });
+      if (!this.digital || this.bridges.length === 0) return solution;
+      const levels = this.digital.snapshot();
+      this.sampleBridges(netlist, solution);
+      this.runDigital(settle);
+      const settled = this.digital.snapshot();
+      if (Object.keys(settled).every(net => settled[net] === levels[net])) return solution;
+      if (pass >= MAX_BRIDGE_PASSES) {
+        if (options.oscillate) return solution;
+        throw new SimulationError('Analog and digital operating points do not agree, the A/D bridges keep switching', 'DIGITAL_LOOP');
+      }
+      guess = solution;
+    }
+  }
+
+  // Hand the voltages on the bridges' analog pins to the logic, which
+  // evaluates the bridges again at its current time
+  sampleBridges(netlist, solution) {
+    this.bridges.forEach(comp => {
+      const voltages = {};
+      Object.entries(netlist.terminals.get(comp.id)).forEach(([pin, net]) => {
+        const index = netlist.nets.get(net);
+        voltages[pin] = index < 0 ? 0 : solution[index];
+      });
+      this.digital.voltages.set(comp.id, voltages);
+      this.digital.evaluate(comp);
+    });
+  }
+
+  // Logic that never settles is a failure of the circuit, like non-convergence
+  runDigital(run) {
+    try {
+      run();
+    } catch (error) {
+      if (!(error instanceof DigitalError)) throw error;
+      throw new SimulationError(error.message, 'DIGITAL_LOOP');
+    }
+  }
+
+  emptyResults() {
+    return {
+      time: this.time,
+      timeStep: this.timeStep++,
+      nets: {},
+      nodes: {},
+      components: {},
+      performance: {
+        totalPower: 0,
+        maxVoltage: 0,
+        maxCurrent: 0,
+        efficiency: 0
+      }
+    };
+  }
+
+  buildResults(netlist, solution) {
+    const results = {
+      time: this.time,
+      timeStep: this.timeStep++,
+      nets: {},
+      nodes: {},
+      components: {},
+      performance: {}
+    };
+
+    const netVoltage = name => {
+      const index = netlist.nets.get(name);
+      return index < 0 ? 0 : solution[index];
+    };
+
+    netlist.nets.forEach((index, name) => {
+      results.nets[name] = netVoltage(name);
+    });
+
+    this.components.forEach(comp => {
+      const terminals = {};
+      Object.entries(netlist.terminals.get(comp.id)).forEach(([pin, net]) => {
+        terminals[pin] = netVoltage(net);
+      });
+
+      const voltage = this.calculateBranchVoltage(comp, terminals);
+      const current = this.calculateCurrent(comp, voltage, netlist, solution, terminals);
+      const power = voltage * current;
+
+      results.nodes[comp.id] = {
+        voltage: voltage,
+        current: current,
+        power: power,
+        temperature: this.componentTemperature(comp),
+        frequency: this.calculateFrequency(comp)
+      };
+
+      results.components[comp.id] = this.analyzeComponent(comp, voltage, current, terminals);
+    });
+
+    // Performance metrics with safe calculations
+    const nodeValues = Object.values(results.nodes);
+    results.performance = {
+      totalPower: nodeValues.reduce((sum, node) => sum + (node.power || 0), 0),
+      maxVoltage: nodeValues.length > 0 ? Math.max(...nodeValues.map(n => n.voltage || 0)) : 0,
+      maxCurrent: nodeValues.length > 0 ? Math.max(...nodeValues.map(n => n.current || 0)) : 0,
+      efficiency: this.calculateEfficiency(results.nodes)
+    };
+
+    // Logic levels of the digital nets, with each digital component's pin
+    // levels; the bridges report through their analog model
+    if (this.digital) {
+      results.digital = this.digital.snapshot();
+      this.digitalComponents.filter(comp => !this.bridges.includes(comp)).forEach(comp => {
+        results.components[comp.id] = this.digital.analyze(comp);
+      });
+    }
+
+    return results;
+  }
+
+  // Node map plus the extra MNA branch unknowns each component needs
+  buildNetlist() {
+    const netlist = buildNodeMap(this.components, this.nets, analogPins);
+    const branches = new Map();
+    let branchCount = 0;
+
+    this.components.forEach(comp => {
+      (deviceModel(comp.type).branches || []).forEach(name => {
+        branches.set(branchKey(comp, name), branchCount++);
+      });
+    });
+
+    netlist.branches = branches;
+    netlist.branchCount = branchCount;
+    return netlist;
+  }
+
+  // Assemble and solve the MNA system, returns node voltages followed by branch
+  // currents. `context.analysis` is 'dc' (capacitors open, inductors shorted) or
+  // 'tran', where reactive elements use the companion model for `context.method`
+  solve(netlist, context) {
+    const system = new MnaSystem(netlist.nodeCount, netlist.branchCount);
+
+    // context.gmin is the extra shunt conductance applied while gmin stepping
+    for (let i = 0; i < netlist.nodeCount; i++) {
+      system.matrix.add(i, i, GMIN + (context.gmin || 0));
+    }
+
+    this.components.forEach(comp => {
+      const model = deviceModel(comp.type);
+      if (model.stamp) model.stamp(this.device(comp, netlist, { system, context }));
+    });
+
+    return system.solve();
+  }
+
+  // Device context handed to the model hooks, see velocitychip-models.js.
+  // `extras` adds the system, solve context or solution of the caller
+  device(comp, netlist, extras = {}) {
+    const terminals = netlist.terminals.get(comp.id);
+    const node = pin => netlist.nets.get(terminals[pin]);
+    const branch = (name = 'main') => netlist.branches.get(branchKey(comp, name));
+    const read = (vector, pin) => {
+      const index = node(pin);
+      return index < 0 || !vector ? 0 : vector[index];
+    };
+    const d = {
+      sim: this,
+      comp,
+      netlist,
+      temperature: this.deviceTemperature(comp),
+      context: {},
+      node,
+      branch,
+      guess: (a, b) => read(d.context.guess, a) - read(d.context.guess, b),
+      guessBranch: name => (d.context.guess ? d.context.guess[netlist.nodeCount + branch(name)] : 0),
+      across: (a, b) => read(d.solution, a) - read(d.solution, b),
+      branchCurrent: name => d.solution[netlist.nodeCount + branch(name)],
+      ...extras
+    };
+    return d;
+  }
+
+  // Small-signal AC analysis. Devices are linearized at the DC operating
+  // point and the complex MNA system is solved at every sweep frequency.
+  // Options: sweep ('dec', 'oct' or 'lin'), points, fstart, fstop and input,
+  // the id of the one source to excite with 1∠0°. Without an input every
+  // source uses its acMagnitude/acPhase properties
+  runAc(options) {
+    this.transient = null;
+    this.startDigital();
+    const netlist = this.buildNetlist();
+    const operatingPoint = this.solveMixedOperatingPoint(netlist);
+    const frequencies = acFrequencies(options);
+    const devices = this.linearizeDevices(netlist, operatingPoint);
+
+    const nets = {};
+    netlist.nets.forEach((index, name) => {
+      if (index >= 0) nets[name] = { magnitudeDb: [], phase: [] };
+    });
+    frequencies.forEach(frequency => {
+      const solution = this.solveAc(netlist, devices, 2 * Math.PI * frequency, options.input);
+      netlist.nets.forEach((index, name) => {
+        if (index < 0) return;
+        nets[name].magnitudeDb.push(20 * Math.log10(Math.hypot(solution.real[index], solution.imag[index])));
+        nets[name].phase.push(Math.atan2(solution.imag[index], solution.real[index]) * 180 / Math.PI);
+      });
+    });
+    Object.values(nets).forEach(net => { net.phase = unwrapPhase(net.phase); });
+
+    return { frequencies, nets, operatingPoint: this.buildResults(netlist, operatingPoint) };
+  }
+
+  // DC sweep and .step-style parametric sweep. Each sweep is { component,
+  // property, values } with values in SI units; sweeps[0] is the inner sweep
+  // and forms the x axis, every further sweep steps an outer parameter, as in
+  // SPICE .dc. Returns one curve per combination of outer values. Each point
+  // is a DC operating point seeded with the previous point's solution
+  runDcSweep(sweeps) {
+    this.transient = null;
+    const targets = sweeps.map(sweep => {
+      const component = this.components.find(comp => String(comp.id) === String(sweep.component));
+      if (!component) throw new SimulationError(`Component '${sweep.component}' not found`, 'INVALID_SWEEP');
+      const definition = componentLibrary[component.type].properties[sweep.property];
+      if (!definition || definition.type !== 'number') {
+        throw new SimulationError(`${component.type} has no numeric property '${sweep.property}'`, 'INVALID_SWEEP');
+      }
+      return { ...sweep, component, unit: definition.unit, original: { ...component.properties } };
+    });
+    // Sweeping a source's DC value overrides its waveform, as .dc does
+    const apply = (target, value) => {
+      if (target.property === 'dc') target.component.properties.waveform = 'dc';
+      setPropertyValue(target.component, target.property, value);
+    };
+
+    const [inner, ...outer] = targets;
+    let combinations = [[]];
+    outer.forEach(target => {
+      combinations = combinations.flatMap(combination => target.values.map(value => [...combination, value]));
+    });
+
+    // The logic carries over from one point to the next, so A/D bridges with
+    // hysteresis trip at the threshold of the sweep direction
+    this.startDigital();
+    const netlist = this.buildNetlist();
+    try {
+      const curves = combinations.map(combination => {
+        const parameters = {};
+        combination.forEach((value, i) => {
+          apply(outer[i], value);
+          parameters[`${outer[i].component.id}.${outer[i].property}`] = value;
+        });
+
+        const curve = { parameters, nets: {}, power: [], components: {} };
+        let guess;
+        inner.values.forEach(value => {
+          apply(inner, value);
+          guess = this.solveMixedOperatingPoint(netlist, { guess });
+          const results = this.buildResults(netlist, guess);
+          Object.entries(results.nets).forEach(([name, voltage]) => {
+            (curve.nets[name] = curve.nets[name] || []).push(voltage);
+          });
+          Object.entries(results.nodes).forEach(([id, node]) => {
+            const entry = curve.components[id] = curve.components[id] || { current: [], power: [], temperature: [] };
+            entry.current.push(node.current);
+            entry.power.push(node.power);
+            entry.temperature.push(node.temperature);
+          });
+          // Power delivered by the independent sources, i.e. what the circuit draws
+          curve.power.push(this.components
+            .filter(comp => deviceModel(comp.type).source === 'independent')
+            .reduce((sum, comp) => sum - results.nodes[comp.id].power, 0));
+        });
+        return curve;
+      });
+
+      return {
+        sweeps: targets.map(target => ({
+          component: target.component.id,
+          property: target.property,
+          unit: target.unit,
+          values: target.values
+        })),
+        curves
+      };
+    } finally {
+      targets.forEach(target => { target.component.properties = target.original; });
+    }
+  }
+
+  // Small-signal models of the nonlinear devices at the operating point
+  linearizeDevices(netlist, operatingPoint) {
+    const devices = new Map();
+    this.components.forEach(comp => {
+      const model = deviceModel(comp.type);
+      if (model.linearize) {
+        devices.set(comp.id, model.linearize(this.device(comp, netlist, { context: { guess: operatingPoint } })));
+      }
+    });
+    return devices;
+  }
+
+  // Small-signal noise analysis (SPICE .noise). Options: sweep, points,
+  // fstart and fstop as for runAc, the `output` net measured against
+  // `reference` (ground by default) and optionally the `input` source noise
+  // is referred to. Every device noise source is an uncorrelated current
+  // whose transfer to the output is solved on the one factored matrix per
+  // frequency. Densities are in V/√Hz (A/√Hz at a current source input);
+  // `integrated` is the rms value over the sweep
+  runNoise(options) {
+    this.transient = null;
+    this.startDigital();
+    const netlist = this.buildNetlist();
+    const operatingPoint = this.solveMixedOperatingPoint(netlist);
+    const frequencies = acFrequencies(options);
+    const devices = this.linearizeDevices(netlist, operatingPoint);
+    const output = netlist.nets.get(options.output);
+    const reference = options.reference === undefined ? -1 : netlist.nets.get(options.reference);
+    const size = netlist.nodeCount + netlist.branchCount;
+
+    const sources = [];
+    this.components.forEach(comp => {
+      const model = deviceModel(comp.type);
+      if (!model.noise) return;
+      const noise = model.noise(this.device(comp, netlist, { device: devices.get(comp.id) }));
+      const terminals = netlist.terminals.get(comp.id);
+      noise.forEach(source => sources.push({
+        component: comp,
+        ...source,
+        nodes: source.pins.map(pin => netlist.nets.get(terminals[pin])),
+        contribution: []
+      }));
+    });
+
+    const outputDensity = [];
+    const gain = [];
+    frequencies.forEach(frequency => {
+      const omega = 2 * Math.PI * frequency;
+      // Only the input source is excited, so the system's own solution is the gain
+      const system = this.buildAcSystem(netlist, devices, omega, options.input || null);
+      const solve = system.factor();
+      const transfer = solution => {
+        const at = index => (index < 0 ? [0, 0] : [solution.real[index], solution.imag[index]]);
+        const [outRe, outIm] = at(output);
+        const [refRe, refIm] = at(reference);
+        return Math.hypot(outRe - refRe, outIm - refIm);
+      };
+      if (options.input) gain.push(transfer(solve(system.rhs, system.rhsImaginary)));
+
+      let total = 0;
+      sources.forEach(source => {
+        const rhs = new Float64Array(size);
+        const [a, b] = source.nodes;
+        if (a >= 0) rhs[a] -= 1;
+        if (b >= 0) rhs[b] += 1;
+        const density = transfer(solve(rhs)) ** 2 * source.density(frequency);
+        source.contribution.push(density);
+        total += density;
+      });
+      outputDensity.push(total);
+    });
+
+    // rms over the sweep by the trapezoidal rule on the power density
+    const integrate = densities => Math.sqrt(densities.reduce((sum, density, i) =>
+      i === 0 ? 0 : sum + (density + densities[i - 1]) / 2 * (frequencies[i] - frequencies[i - 1]), 0));
+    const totalNoise = integrate(outputDensity);
+
+    const contributions = [];
+    sources.forEach(source => {
+      let entry = contributions.find(item => item.component === source.component.id);
+      if (!entry) {
+        entry = {
+          component: source.component.id,
+          name: source.component.name,
+          type: source.component.type,
+          power: frequencies.map(() => 0),
+          mechanisms: []
+        };
+        contributions.push(entry);
+      }
+      source.contribution.forEach((density, i) => { entry.power[i] += density; });
+      entry.mechanisms.push({
+        mechanism: source.mechanism,
+        density: source.contribution.map(Math.sqrt),
+        integrated: integrate(source.contribution)
+      });
+    });
+    contributions.forEach(entry => {
+      entry.density = entry.power.map(Math.sqrt);
+      entry.integrated = integrate(entry.power);
+      entry.fraction = totalNoise > 0 ? entry.integrated ** 2 / totalNoise ** 2 : 0;
+      delete entry.power;
+    });
+    contributions.sort((a, b) => b.integrated - a.integrated);
+
+    const result = {
+      frequencies,
+      output: {
+        net: options.output,
+        reference: options.reference || null,
+        density: outputDensity.map(Math.sqrt),
+        integrated: totalNoise
+      },
+      contributions,
+      operatingPoint: this.buildResults(netlist, operatingPoint)
+    };
+    if (options.input) {
+      const inputPower = outputDensity.map((density, i) => density / gain[i] ** 2);
+      result.input = {
+        source: options.input,
+        gain,
+        density: inputPower.map(Math.sqrt),
+        integrated: integrate(inputPower)
+      };
+    }
+    return result;
+  }
+
+  // One frequency point of the small-signal system
+  solveAc(netlist, devices, omega, input) {
+    return this.buildAcSystem(netlist, devices, omega, input).solve();
+  }
+
+  buildAcSystem(netlist, devices, omega, input) {
+    const system = new ComplexMnaSystem(netlist.nodeCount, netlist.branchCount);
+    const excitation = comp => {
+      if (input) return String(comp.id) === String(input) ? { magnitude: 1, phase: 0 } : { magnitude: 0, phase: 0 };
+      return { magnitude: propertyValue(comp, 'acMagnitude'), phase: propertyValue(comp, 'acPhase') };
+    };
+
+    for (let i = 0; i < netlist.nodeCount; i++) {
+      system.matrix.add(i, i, GMIN);
+    }
+
+    this.components.forEach(comp => {
+      const model = deviceModel(comp.type);
+      if (!model.stampAc) return;
+      model.stampAc(this.device(comp, netlist, {
+        system,
+        omega,
+        device: devices.get(comp.id),
+        excitation: () => excitation(comp)
+      }));
+    });
+
+    return system;
+  }
+
+  hasNonlinearDevices() {
+    return this.components.some(comp => deviceModel(comp.type).nonlinear);
+  }
+
+  // Newton-Raphson: re-linearize the devices around each solution until
+  // successive iterates agree within reltol/vntol/abstol and no device voltage
+  // was limited. Linear circuits converge in a single solve
+  solveNonlinear(netlist, context) {
+    const { reltol, vntol, abstol } = this.options;
+    const maxIterations = context.maxIterations || this.options.maxIterations;
+    const size = netlist.nodeCount + netlist.branchCount;
+    const iteration = { previous: new Map(), limited: false };
+    let guess = context.guess || new Float64Array(size);
+
+    if (!this.hasNonlinearDevices()) {
+      return this.solve(netlist, { ...context, guess, iteration });
+    }
+
+    let moving = [];
+    for (let count = 1; count <= maxIterations; count++) {
+      iteration.limited = false;
+      const solution = this.solve(netlist, { ...context, guess, iteration });
+      if (!solution.every(Number.isFinite)) break;
+
+      moving = [];
+      solution.forEach((value, i) => {
+        const tolerance = reltol * Math.max(Math.abs(value), Math.abs(guess[i])) + (i < netlist.nodeCount ? vntol : abstol);
+        if (Math.abs(value - guess[i]) > tolerance) moving.push(i);
+      });
+
+      guess = solution;
+      if (count > 1 && moving.length === 0 && !iteration.limited) {
+        return solution;
+      }
+    }
+
+    const names = [];
+    netlist.nets.forEach((index, name) => { if (index >= 0) names[index] = name; });
+    netlist.branches.forEach((index, name) => { names[netlist.nodeCount + index] = `I(${name})`; });
+    throw new ConvergenceError(
+      `Newton-Raphson did not converge in ${maxIterations} iterations (${context.analysis} at t=${context.time}s)`,
+      {
+        analysis: context.analysis,
+        time: context.time,
+        iterations: maxIterations,
+        gmin: context.gmin || 0,
+        unconverged: moving.map(i => names[i]).slice(0, 10)
+      }
+    );
+  }
+
+  // DC solution, electro-thermally self-consistent when the thermal option
+  // is on: the circuit is re-solved at the temperatures its dissipation
+  // produces until they settle. Either way the thermal nodes are left at
+  // their steady-state temperatures
+  solveOperatingPoint(netlist, context) {
+    // Gmin steps solve the same circuit, so they share one noise sample
+    if (context.noise === undefined) context = { ...context, noise: this.sampleNoise(netlist) };
+    if (!this.options.thermal) {
+      const solution = this.solveWithGminStepping(netlist, context);
+      this.temperatures = this.steadyTemperatures(netlist, solution);
+      return solution;
+    }
+
+    let solution;
+    let change = Infinity;
+    for (let i = 0; i < this.options.thermalIterations; i++) {
+      solution = this.solveWithGminStepping(netlist, { ...context, guess: solution || context.guess });
+      const previous = this.temperatures;
+      this.temperatures = this.steadyTemperatures(netlist, solution);
+      change = Math.max(0, ...Array.from(this.temperatures, ([id, value]) =>
+        Math.abs(value - (previous.has(id) ? previous.get(id) : this.options.temperature))));
+      if (change < this.options.thermalTolerance) return solution;
+    }
+    throw new ConvergenceError(
+      `Electro-thermal operating point did not settle in ${this.options.thermalIterations} iterations (thermal runaway?)`,
+      { analysis: context.analysis, time: context.time, iterations: this.options.thermalIterations, temperatureChange: change }
+    );
+  }
+
+  // DC operating point, falling back to gmin stepping: solve with a large shunt
+  // conductance on every node and relax it a decade at a time, seeding each
+  // solve with the previous solution
+  solveWithGminStepping(netlist, context) {
+    try {
+      return this.solveNonlinear(netlist, context);
+    } catch (error) {
+      if (!(error instanceof ConvergenceError) || !this.options.gminStepping) throw error;
+    }
+
+    let guess;
+    for (let gmin = 1e-2; gmin > GMIN; gmin /= 10) {
+      guess = this.solveNonlinear(netlist, { ...context, guess, gmin });
+    }
+    return this.solveNonlinear(netlist, { ...context, guess });
+  }
+
+  // Noise current of every device with white noise, e.g. the Johnson-Nyquist
+  // current of a resistor, sigma = sqrt(4kTB/R), drawn once per solution so
+  // Newton-Raphson iterates on a fixed source. Null while noise is off
+  sampleNoise(netlist) {
+    if (!this.options.noise) return null;
+    const noise = new Map();
+    this.components.forEach(comp => {
+      const model = deviceModel(comp.type);
+      if (!model.sampledNoise) return;
+      const variance = model.sampledNoise(this.device(comp, netlist)) * this.options.noiseBandwidth;
+      noise.set(comp.id, this.random.gaussian(0, Math.sqrt(variance)));
+    });
+    return noise;
+  }
+
+  // Transient analysis with adaptive timestep. Options: tstop (required),
+  // tstart, tstep (print step), tmax (largest internal step), method
+  // ('trap' or 'be'), reltol, vntol (volts), abstol (amps)
+  runTransient(options) {
+    this.startTransient(options);
+    const frames = this.advanceTransient(this.transient.options.tstop)
+      .filter(frame => frame.time >= this.transient.options.tstart - this.transient.epsilon);
+    // Temperature waveform of every thermal node
+    const thermal = { time: frames.map(frame => frame.time), temperatures: {} };
+    this.components.filter(comp => this.thermalNode(comp)).forEach(comp => {
+      thermal.temperatures[comp.id] = frames.map(frame => frame.nodes[comp.id].temperature);
+    });
+    return { frames, statistics: { ...this.transient.statistics }, thermal };
+  }
+
+  // Solve the t = 0 operating point and reset the integration state
+  startTransient(options = {}) {
+    const tstop = options.tstop;
+    const tstart = options.tstart || 0;
+    const tstep = options.tstep || tstop / 100;
+    const settings = {
+      tstart,
+      tstop,
+      tstep,
+      tmax: options.tmax || Math.min(tstep, (tstop - tstart) / 50),
+      method: options.method === 'be' ? 'be' : 'trap',
+      reltol: options.reltol || this.options.reltol,
+      vntol: options.vntol || this.options.vntol,
+      abstol: options.abstol || this.options.abstol
+    };
+
+    this.time = 0;
+    this.transient = null;
+    // Logic starts settled, as the analog part starts from its operating
+    // point; logic that oscillates, such as a ring oscillator, starts unknown
+    this.startDigital();
+    const netlist = this.buildNetlist();
+    const settle = () => {
+      try {
+        this.digital.settle();
+      } catch (error) {
+        if (!(error instanceof DigitalError)) throw error;
+        this.startDigital(this.digital.voltages);
+      }
+    };
+    const solution = this.solveMixedOperatingPoint(netlist, { settle, oscillate: true });
+    if (this.digital) this.runDigital(() => this.digital.advance(0));
+    const state = {
+      options: settings,
+      netlist,
+      solution,
+      epsilon: Math.max(tstop * 1e-12, 1e-21),
+      h: Math.min(settings.tstep, settings.tmax) / 10,
+      hmin: Math.max(tstop * 1e-15, 1e-21),
+      afterBreakpoint: true,
+      devices: new Map(), // Component id -> integrated state, e.g. a capacitor's voltage and current
+      history: [],
+      statistics: { accepted: 0, rejected: 0 }
+    };
+
+    this.components.forEach(comp => {
+      const model = deviceModel(comp.type);
+      if (model.initialState) state.devices.set(comp.id, model.initialState(this.device(comp, netlist, { solution })));
+    });
+    state.history.push({ time: 0, values: this.stateVector(state) });
+
+    this.transient = state;
+    return this.buildResults(netlist, solution);
+  }
+
+  // Integrate up to `until`, returning a results frame per accepted timepoint
+  advanceTransient(until) {
+    const state = this.transient;
+    const { options, netlist, epsilon } = state;
+    const frames = [];
+    until = Math.min(until, options.tstop);
+
+    // Digital-only designs step from event to event, with a frame wherever a
+    // net changes and one at `until`
+    if (this.components.length === 0) {
+      const record = time => {
+        this.time = time;
+        frames.push(this.buildResults(netlist, state.solution));
+      };
+      this.runDigital(() => this.digital.advance(until, record));
+      if (this.time < until - epsilon) record(until);
+      return frames;
+    }
+
+    while (this.time < until - epsilon) {
+      const breakpoint = Math.min(this.nextBreakpoint(this.time, epsilon), until);
+      let h = Math.min(state.h, options.tmax, breakpoint - this.time);
+      // Avoid leaving a sliver of a step in front of the breakpoint
+      if (breakpoint - (this.time + h) < state.hmin) h = breakpoint - this.time;
+
+      // Backward Euler damps the ringing trapezoidal integration shows after a discontinuity
+      const method = state.afterBreakpoint ? 'be' : options.method;
+      const order = method === 'trap' ? 2 : 1;
+      const time = this.time + h;
+      const context = { analysis: 'tran', time, h, method, state, noise: this.sampleNoise(netlist) };
+      let solution;
+      try {
+        solution = this.solveNonlinear(netlist, {
+          ...context,
+          guess: state.solution,
+          maxIterations: this.options.transientIterations
+        });
+      } catch (error) {
+        if (!(error instanceof ConvergenceError)) throw error;
+        // Retry the timepoint with a much smaller step
+        state.statistics.rejected++;
+        state.h = h / 8;
+        state.afterBreakpoint = true;
+        if (state.h < state.hmin) {
+          throw new ConvergenceError(`Transient analysis failed to converge at t=${this.time}s`, {
+            ...error.details,
+            timestep: h
+          });
+        }
+        continue;
+      }
+      const updated = this.updateReactiveState(netlist, solution, context);
+      const values = this.stateVector(updated);
+
+      const ratio = this.truncationErrorRatio(state, time, values, order);
+      if (ratio > 1 && h > state.hmin) {
+        state.statistics.rejected++;
+        state.h = h * Math.max(0.1, 0.9 * Math.pow(ratio, -1 / (order + 1)));
+        if (state.h < state.hmin) {
+          throw new SimulationError(`Timestep too small at t=${this.time}s`, 'TIMESTEP_TOO_SMALL');
+        }
+        continue;
+      }
+
+      state.statistics.accepted++;
+      state.devices = updated.devices;
+      state.solution = solution;
+      state.history.push({ time, values });
+      if (state.history.length > 4) state.history.shift();
+      this.time = time;
+
+      const growth = ratio > 0 ? Math.min(2, 0.9 * Math.pow(ratio, -1 / (order + 1))) : 2;
+      if (Math.abs(time - breakpoint) <= epsilon && breakpoint < options.tstop) {
+        // Restart from a small step after the discontinuity
+        state.afterBreakpoint = true;
+        state.h = Math.min(h, this.nextBreakpoint(time, epsilon) - time) / 10;
+      } else {
+        state.afterBreakpoint = false;
+        state.h = h * growth;
+      }
+
+      this.advanceThermal(netlist, solution, h);
+      // The A/D bridges see every accepted timepoint, so they switch at most
+      // one step late; whatever they switch without delay happens now
+      if (this.digital) {
+        this.runDigital(() => {
+          this.digital.advance(time);
+          if (this.bridges.length === 0) return;
+          this.sampleBridges(netlist, solution);
+          this.digital.advance(time);
+        });
+      }
+      frames.push(this.buildResults(netlist, solution));
+    }
+
+    return frames;
+  }
+
+  // Integrated state of every reactive device after a step
+  updateReactiveState(netlist, solution, context) {
+    const devices = new Map();
+    this.components.forEach(comp => {
+      const model = deviceModel(comp.type);
+      if (model.updateState) devices.set(comp.id, model.updateState(this.device(comp, netlist, { solution, context })));
+    });
+    return { devices };
+  }
+
+  // Integrated quantities checked by the truncation error estimate
+  stateVector(state) {
+    return this.components
+      .filter(comp => state.devices.has(comp.id))
+      .flatMap(comp => {
+        const model = deviceModel(comp.type);
+        return model.stateVariables ? model.stateVariables(state.devices.get(comp.id)) : [];
+      });
+  }
+
+  // Local truncation error over tolerance, largest across state variables.
+  // The (order + 1)th derivative comes from divided differences over the
+  // accepted history; LTE = h^(k+1) / (k+1)! * x^(k+1) with error constants
+  // 1/2 (backward Euler) and 1/12 (trapezoidal)
+  truncationErrorRatio(state, time, values, order) {
+    const points = [{ time, values }, ...state.history.slice().reverse()].slice(0, order + 2);
+    if (points.length < order + 2 || values.length === 0) return 0;
+
+    const h = time - state.history[state.history.length - 1].time;
+    const constant = order === 2 ? 1 / 12 : 1 / 2;
+    const factorial = order === 2 ? 6 : 2;
+    const { reltol, vntol, abstol } = state.options;
+    const trtol = 7;
+
+    let ratio = 0;
+    values.forEach((variable, i) => {
+      let differences = points.map(point => point.values[i].value);
+      for (let level = 1; level <= order + 1; level++) {
+        differences = differences.slice(1).map((next, j) =>
+          (differences[j] - next) / (points[j].time - points[j + level].time));
+      }
+      const derivative = differences[0] * factorial;
+      const lte = constant * Math.pow(h, order + 1) * Math.abs(derivative);
+      const previous = state.history[state.history.length - 1].values[i].value;
+      const tolerance = reltol * Math.max(Math.abs(variable.value), Math.abs(previous)) +
+        (variable.tolerance === 'vntol' ? vntol : abstol);
+      ratio = Math.max(ratio, lte / (trtol * tolerance));
+    });
+    return ratio;
+  }
+
+  // Earliest source waveform corner or digital event after `time`, or tstop
+  nextBreakpoint(time, epsilon) {
+    let next = this.transient.options.tstop;
+    this.components.forEach(comp => {
+      const model = deviceModel(comp.type);
+      if (model.breakpoint) {
+        const breakpoint = model.breakpoint(comp, time + epsilon, this);
+        if (breakpoint !== null && breakpoint < next) next = breakpoint;
+      }
+    });
+    // Steps land on the digital events so the bridges switch on time
+    if (this.digital && this.bridges.length > 0) {
+      const event = this.digital.nextTime();
+      if (event > time + epsilon && event < next) next = event;
+    }
+    return next;
+  }
+
+  // Voltage across the component's main terminals
+  calculateBranchVoltage(component, terminals) {
+    const model = deviceModel(component.type);
+    if (model.voltage) return model.voltage(terminals);
+    const pins = getPins(component);
+    return pins.length >= 2 ? terminals[pins[0]] - terminals[pins[1]] : 0;
+  }
+
+  calculateCurrent(component, voltage, netlist, solution, terminals) {
+    const model = deviceModel(component.type);
+    if (!model.current) return voltage * GMIN;
+    return model.current(this.device(component, netlist, { solution, voltage, terminals }));
+  }
+
+  // Thermal resistance (°C/W) and capacitance (J/°C) to ambient, or null for
+  // components that are not part of the thermal network
+  thermalNode(component) {
+    const definition = componentLibrary[component.type];
+    if (!definition || !definition.properties.thermalResistance) return null;
+    return {
+      resistance: propertyValue(component, 'thermalResistance'),
+      capacitance: propertyValue(component, 'thermalCapacitance')
+    };
+  }
+
+  // Temperature in °C reported for a component
+  componentTemperature(component) {
+    return this.temperatures.has(component.id) ? this.temperatures.get(component.id) : this.options.temperature;
+  }
+
+  // Temperature in K its parameters are evaluated at: its thermal node with
+  // self-heating on, otherwise the ambient
+  deviceTemperature(component) {
+    const celsius = this.options.thermal ? this.componentTemperature(component) : this.options.temperature;
+    return celsius + 273.15;
+  }
+
+  // Thermal nodes with the power their components dissipate in a solution;
+  // delivered power does not cool a component
+  dissipation(netlist, solution) {
+    const nodes = [];
+    this.components.forEach(comp => {
+      const node = this.thermalNode(comp);
+      if (!node) return;
+      const terminals = {};
+      Object.entries(netlist.terminals.get(comp.id)).forEach(([pin, net]) => {
+        const index = netlist.nets.get(net);
+        terminals[pin] = index < 0 ? 0 : solution[index];
+      });
+      const voltage = this.calculateBranchVoltage(comp, terminals);
+      const power = Math.max(0, voltage * this.calculateCurrent(comp, voltage, netlist, solution, terminals));
+      nodes.push({ id: comp.id, ...node, power });
+    });
+    return nodes;
+  }
+
+  // T = Tambient + P·Rth for every thermal node
+  steadyTemperatures(netlist, solution) {
+    const temperatures = new Map();
+    this.dissipation(netlist, solution).forEach(node => {
+      temperatures.set(node.id, this.options.temperature + node.power * node.resistance);
+    });
+    return temperatures;
+  }
+
+  // One backward Euler step of C·dT/dt = P - (T - Tambient)/Rth per thermal
+  // node. Thermal time constants dwarf the electrical ones, so the new
+  // temperatures apply from the next timepoint on
+  advanceThermal(netlist, solution, h) {
+    const ambient = this.options.temperature;
+    this.dissipation(netlist, solution).forEach(({ id, resistance, capacitance, power }) => {
+      const previous = this.temperatures.has(id) ? this.temperatures.get(id) : ambient;
+      const tau = resistance * capacitance;
+      this.temperatures.set(id, (previous + h / capacitance * (power + ambient / resistance)) / (1 + h / tau));
+    });
+  }
+
+  calculateFrequency(component) {
+    const model = deviceModel(component.type);
+    return model.frequency ? model.frequency(component) : 1000;
+  }
+
+  analyzeComponent(component, voltage, current, terminals) {
+    const model = deviceModel(component.type);
+    const { characteristics = {}, status = 'normal' } = model.analyze
+      ? model.analyze({ sim: this, comp: component, temperature: this.deviceTemperature(component), voltage, current, terminals })
+      : {};
+    return {
+      operatingPoint: {
+        voltage: voltage,
+        current: current,
+        power: voltage * current,
+        terminals: terminals
+      },
+      characteristics,
+      status
+    };
+  }
+
+  calculateEfficiency(nodes) {
+    const totalPowerIn = Object.values(nodes)
+      .filter(node => node.power > 0)
+      .reduce((sum, node) => sum + node.power, 0);
+
+    const totalPowerOut = Object.values(nodes)
+      .filter(node => node.power < 0)
+      .reduce((sum, node) => sum + Math.abs(node.power), 0);
+
+    return totalPowerIn > 0 ? (totalPowerOut / totalPowerIn) * 100 : 0;
+  }
+}
+
+module.exports = {
+  CircuitSimulator,
+  SimulationError,
+  ConvergenceError,
+  evaluateWaveform,
+  acFrequencies,
+  sweepValues,
+  bodeMetrics
+};
@@ -0,0 +1,974 @@
+// SPICE netlist import and export. On import, element cards become library
+// components, node names become pin-level nets, subcircuit instances are
+// flattened with dotted instance prefixes ('X1.R1', net 'X1.mid') and
+// analysis directives are kept as design analyses. Export writes the design
+// back as a flat deck that ngspice and Xyce accept
+
+const { componentLibrary, propertyValue, pwlProperty } = require('./velocitychip-components');
+const { GROUND_NET, normalizeNetName, buildNodeMap } = require('./velocitychip-netlist');
+const { parseSpiceNumber, formatValue, formatSpiceNumber } = require('./velocitychip-units');
+const { thermalVoltage, diodeParameters, mosfetParameters } = require('./velocitychip-devices');
+const { designPorts, instanceParameters, applyParameters, attachPorts, flattenDesign } = require('./velocitychip-hierarchy');
+const { deviceModel } = require('./velocitychip-registry');
+
+// Deepest subcircuit nesting before an instance loop is assumed
+const MAX_SUBCIRCUIT_DEPTH = 20;
+
+// Directives read but not simulated, reported once per card
+const IGNORED_DIRECTIVES = [
+  '.options', '.option', '.ic', '.nodeset', '.temp', '.print', '.plot', '.probe', '.save',
+  '.meas', '.measure', '.four', '.tf', '.noise', '.sens', '.disto', '.pz', '.global', '.width'
+];
+
+// Problem with a single card; becomes a line-numbered error
+class SpiceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SpiceError';
+  }
+}
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  exp: Math.exp,
+  log: Math.log,
+  ln: Math.log,
+  log10: Math.log10,
+  abs: Math.abs,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow
+};
+
+// Arithmetic expression over numbers, parameters and FUNCTIONS, as written
+// between braces in `{R*2}` or quotes in `'R*2'`
+function evaluateExpression(text, params) {
+  const pattern = /\s*(\d+\.?\d*(?:e[+-]?\d+)?[a-zμµ]*|\.\d+(?:e[+-]?\d+)?[a-zμµ]*|[a-z_][\w.]*|\*\*|[-+*/^(),])/iy;
+  const tokens = [];
+  let match;
+  while (pattern.lastIndex < text.length && (match = pattern.exec(text))) tokens.push(match[1]);
+  if (text.slice(pattern.lastIndex).trim() !== '') {
+    throw new SpiceError(`Cannot parse expression '${text}'`);
+  }
+
+  let position = 0;
+  const peek = () => tokens[position];
+  const expect = token => {
+    if (tokens[position] !== token) throw new SpiceError(`Expected '${token}' in expression '${text}'`);
+    position++;
+  };
+
+  const primary = () => {
+    const token = tokens[position++];
+    if (token === undefined) throw new SpiceError(`Unexpected end of expression '${text}'`);
+    if (token === '(') {
+      const value = sum();
+      expect(')');
+      return value;
+    }
+    if (/^[\d.]/.test(token)) {
+      const value = parseSpiceNumber(token);
+      if (Number.isNaN(value)) throw new SpiceError(`Bad number '${token}' in expression '${text}'`);
+      return value;
+    }
+    const name = token.toLowerCase();
+    if (peek() === '(' && FUNCTIONS[name]) {
+      position++;
+      const args = [sum()];
+      while (peek() === ',') {
+        position++;
+        args.push(sum());
+      }
+      expect(')');
+      return FUNCTIONS[name](...args);
+    }
+    if (params.has(name)) return params.get(name);
+    throw new SpiceError(`Unknown parameter '${token}'`);
+  };
+  const power = () => {
+    const base = primary();
+    if (peek() === '^' || peek() === '**') {
+      position++;
+      return Math.pow(base, unary());
+    }
+    return base;
+  };
+  const unary = () => {
+    if (peek() === '-') {
+      position++;
+      return -unary();
+    }
+    if (peek() === '+') {
+      position++;
+      return unary();
+    }
+    return power();
+  };
+  const product = () => {
+    let value = unary();
+    while (peek() === '*' || peek() === '/') {
+      value = tokens[position++] === '*' ? value * unary() : value / unary();
+    }
+    return value;
+  };
+  const sum = () => {
+    let value = product();
+    while (peek() === '+' || peek() === '-') {
+      value = tokens[position++] === '+' ? value + product() : value - product();
+    }
+    return value;
+  };
+
+  const value = sum();
+  if (position !== tokens.length) throw new SpiceError(`Unexpected '${peek()}' in expression '${text}'`);
+  return value;
+}
+
+// Numeric field of a card: a SPICE number, a parameter name or an expression
+function evaluateValue(token, params) {
+  if (token === undefined) throw new SpiceError('Missing value');
+  if (/^\{.*\}$|^'.*'$/.test(token)) return evaluateExpression(token.slice(1, -1), params);
+  const number = parseSpiceNumber(token);
+  if (!Number.isNaN(number)) return number;
+  if (params.has(token.toLowerCase())) return params.get(token.toLowerCase());
+  throw new SpiceError(`Cannot parse value '${token}'`);
+}
+
+function isValue(token, params) {
+  try {
+    evaluateValue(token, params);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Split a card into fields. Parentheses and commas separate fields except
+// inside {expressions} and 'expressions'; `key = value` becomes 'key=value'
+function tokenize(text) {
+  let normalized = '';
+  let depth = 0;
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === '{') depth++;
+    if (ch === '}') depth--;
+    if (ch === "'" && depth === 0) quoted = !quoted;
+    normalized += depth === 0 && !quoted && '(),'.includes(ch) ? ' ' : ch;
+  }
+  return normalized.replace(/\s*=\s*/g, '=').trim().split(/\s+/).filter(Boolean);
+}
+
+// Logical cards with their first physical line number. The first line is the
+// title, '*' lines and ';' or ' $ ' tails are comments and '+' continues the
+// previous card
+function readCards(text) {
+  const lines = String(text).split(/\r?\n/);
+  const cards = [];
+  lines.slice(1).forEach((raw, index) => {
+    const line = raw.replace(/(^|\s)[;$].*$/, '').replace(/\s+$/, '');
+    if (line.trim() === '' || line.trim().startsWith('*')) return;
+    if (line.trim().startsWith('+') && cards.length > 0) {
+      cards[cards.length - 1].text += ' ' + line.trim().slice(1);
+      return;
+    }
+    cards.push({ line: index + 2, text: line.trim() });
+  });
+  return { title: lines[0].replace(/^\s*\*?\s*/, '').trim(), cards };
+}
+
+// `.param a=1k b={a*2}` assignments, evaluated in order into `params`
+function readParams(text, params) {
+  const body = text.replace(/^\S+\s*/, '');
+  const assignment = /([a-z_]\w*)\s*=\s*(\{[^}]*\}|'[^']*'|[^\s,]+)/gi;
+  let match;
+  while ((match = assignment.exec(body))) {
+    params.set(match[1].toLowerCase(), evaluateValue(match[2], params));
+  }
+}
+
+// Split `key=value` fields from positional ones
+function splitFields(tokens) {
+  const positional = [];
+  const named = new Map();
+  tokens.forEach(token => {
+    const eq = token.indexOf('=');
+    if (eq > 0) {
+      named.set(token.slice(0, eq).toLowerCase(), token.slice(eq + 1));
+    } else {
+      positional.push(token);
+    }
+  });
+  return { positional, named };
+}
+
+// Library-unit string for an SI value, e.g. 1e-5 for a μm property -> '10μm'
+function libraryValue(type, property, value) {
+  return formatValue(value, componentLibrary[type].properties[property].unit);
+}
+
+// Diode properties from a D model. The library describes a diode by its drop
+// at a rated current, so IS is converted into the drop at the default rating
+function diodeFromModel(model, area, warn) {
+  const properties = {};
+  const ratedCurrent = componentLibrary.diode.properties.current.default;
+  const emission = model.params.has('n') ? model.params.get('n') : 1;
+  const saturationCurrent = (model.params.has('is') ? model.params.get('is') : 1e-14) * area;
+  properties.emission = libraryValue('diode', 'emission', emission);
+  properties.current = libraryValue('diode', 'current', ratedCurrent);
+  properties.forwardVoltage = libraryValue('diode', 'forwardVoltage',
+    emission * thermalVoltage() * Math.log1p(ratedCurrent / saturationCurrent));
+
+  const ignored = [...model.params.keys()].filter(key => !['is', 'n'].includes(key));
+  if (ignored.length > 0) warn(`Diode model ${model.name}: parameters ${ignored.join(', ')} ignored`);
+  return properties;
+}
+
+// Level-1 MOSFET properties from an NMOS/PMOS model
+function mosfetFromModel(model, warn) {
+  const p = model.params;
+  const properties = { polarity: model.type };
+  if (p.has('level') && p.get('level') !== 1) {
+    warn(`MOSFET model ${model.name}: LEVEL=${p.get('level')} imported as level 1`);
+  }
+  if (p.has('vto')) properties.threshold = libraryValue('transistor', 'threshold', Math.abs(p.get('vto')));
+  if (p.has('lambda')) properties.lambda = libraryValue('transistor', 'lambda', p.get('lambda'));
+  if (p.has('tox')) properties.oxideThickness = libraryValue('transistor', 'oxideThickness', p.get('tox'));
+  if (p.has('kf')) properties.flickerCoefficient = libraryValue('transistor', 'flickerCoefficient', p.get('kf'));
+
+  if (p.has('kp')) {
+    // KP = μ·Cox; recover the mobility for the oxide the device will use
+    const probe = { type: 'transistor', properties: { oxideThickness: properties.oxideThickness } };
+    const oxideCapacitance = mosfetParameters(probe).oxideCapacitance;
+    properties.mobility = libraryValue('transistor', 'mobility', p.get('kp') / oxideCapacitance);
+  } else if (p.has('u0')) {
+    // U0 is in cm²/V·s like the library
+    properties.mobility = libraryValue('transistor', 'mobility', p.get('u0') * 1e-4);
+  }
+
+  const known = ['level', 'vto', 'lambda', 'tox', 'kp', 'u0', 'kf'];
+  const ignored = [...p.keys()].filter(key => !known.includes(key));
+  if (ignored.length > 0) warn(`MOSFET model ${model.name}: parameters ${ignored.join(', ')} ignored`);
+  return properties;
+}
+
+const WAVEFORM_FIELDS = {
+  pulse: ['initial', 'pulsed', 'delay', 'rise', 'fall', 'width', 'period'],
+  sin: ['offset', 'amplitude', 'frequency', 'delay', 'damping', 'phase']
+};
+
+// Independent source specification: [DC] value, AC mag [phase], PULSE, SIN or PWL
+function sourceFromFields(type, fields, params, transient, warn) {
+  const properties = { waveform: 'dc' };
+  const set = (name, value) => { properties[name] = libraryValue(type, name, value); };
+  const unit = componentLibrary[type].properties.dc.unit;
+
+  const valuesFrom = start => {
+    const values = [];
+    let i = start;
+    while (i < fields.length && isValue(fields[i], params)) values.push(evaluateValue(fields[i++], params));
+    return { values, next: i };
+  };
+
+  let i = 0;
+  while (i < fields.length) {
+    const keyword = fields[i].toLowerCase();
+    if (keyword === 'dc') {
+      set('dc', evaluateValue(fields[i + 1], params));
+      i += 2;
+    } else if (keyword === 'ac') {
+      const { values, next } = valuesFrom(i + 1);
+      set('acMagnitude', values.length > 0 ? values[0] : 1);
+      if (values.length > 1) set('acPhase', values[1]);
+      i = next;
+    } else if (keyword === 'pulse' || keyword === 'sin' || keyword === 'sine') {
+      const waveform = keyword === 'pulse' ? 'pulse' : 'sin';
+      const { values, next } = valuesFrom(i + 1);
+      properties.waveform = waveform;
+      WAVEFORM_FIELDS[waveform].forEach((name, k) => {
+        if (k < values.length) set(name, values[k]);
+      });
+      if (waveform === 'pulse') {
+        // SPICE defaults: edges of one print step, width and period of the whole run
+        if (values.length < 4 && transient) set('rise', transient.tstep);
+        if (values.length < 5 && transient) set('fall', transient.tstep);
+        if (values.length < 6 && transient) set('width', transient.tstop);
+        if (values.length < 7) set('period', 0);
+      }
+      i = next;
+    } else if (keyword === 'pwl') {
+      const { values, next } = valuesFrom(i + 1);
+      if (values.length % 2 !== 0) throw new SpiceError('PWL needs time/value pairs');
+      properties.waveform = 'pwl';
+      properties.points = values.map((value, k) => (k % 2 === 0
+        ? formatSpiceNumber(value)
+        : formatValue(value, unit))).join(' ');
+      i = next;
+    } else if (isValue(fields[i], params)) {
+      set('dc', evaluateValue(fields[i], params));
+      i++;
+    } else {
+      warn(`Source function '${fields[i]}' is not supported and was ignored`);
+      i++;
+      while (i < fields.length && isValue(fields[i], params)) i++;
+    }
+  }
+  return properties;
+}
+
+// Parse a SPICE deck into { design, warnings, errors }. `design` has name,
+// components (auto-placed on a grid), nets and analyses. Unsupported cards
+// become warnings; cards that cannot be read become errors. Both carry the
+// line number of the card
+function parseSpiceNetlist(text) {
+  const { title, cards } = readCards(text);
+  const warnings = [];
+  const errors = [];
+  const params = new Map();
+  const models = new Map();
+  const subcircuits = new Map();
+  const analyses = [];
+
+  // Pass 1: definitions. Subcircuit bodies are set aside for expansion
+  const topLevel = [];
+  const open = [];
+  let inControl = false;
+  for (const card of cards) {
+    const tokens = tokenize(card.text);
+    const keyword = tokens[0].toLowerCase();
+    const warn = message => warnings.push({ line: card.line, message });
+
+    if (inControl) {
+      if (keyword === '.endc') inControl = false;
+      continue;
+    }
+    if (keyword === '.end') break;
+
+    try {
+      if (keyword === '.control') {
+        inControl = true;
+        warn('.control block ignored');
+      } else if (keyword === '.subckt') {
+        const { positional, named } = splitFields(tokens.slice(1).filter(t => t.toLowerCase() !== 'params:'));
+        if (positional.length < 1) throw new SpiceError('.subckt needs a name');
+        open.push({ name: positional[0].toLowerCase(), ports: positional.slice(1), defaults: named, cards: [], line: card.line });
+      } else if (keyword === '.ends') {
+        const definition = open.pop();
+        if (!definition) throw new SpiceError('.ends without .subckt');
+        subcircuits.set(definition.name, definition);
+      } else if (open.length > 0) {
+        if (keyword === '.model') {
+          topLevel.push(card);
+        } else {
+          open[open.length - 1].cards.push(card);
+        }
+      } else if (keyword === '.param') {
+        readParams(card.text, params);
+      } else {
+        topLevel.push(card);
+      }
+    } catch (error) {
+      if (!(error instanceof SpiceError)) throw error;
+      errors.push({ line: card.line, message: error.message });
+    }
+  }
+  open.forEach(definition => errors.push({ line: definition.line, message: `.subckt ${definition.name} has no .ends` }));
+
+  // Models and analyses first so element cards can refer to them in any order
+  topLevel.forEach(card => {
+    const tokens = tokenize(card.text);
+    const keyword = tokens[0].toLowerCase();
+    try {
+      if (keyword === '.model') {
+        if (tokens.length < 3) throw new SpiceError('.model needs a name and a type');
+        const { named } = splitFields(tokens.slice(3));
+        const modelParams = new Map();
+        named.forEach((value, key) => modelParams.set(key, evaluateValue(value, params)));
+        models.set(tokens[1].toLowerCase(), { name: tokens[1], type: tokens[2].toLowerCase(), params: modelParams });
+      } else if (keyword === '.tran') {
+        const values = tokens.slice(1).filter(t => t.toLowerCase() !== 'uic').map(t => evaluateValue(t, params));
+        if (values.length < 2) throw new SpiceError('.tran needs tstep and tstop');
+        const [tstep, tstop, tstart = 0, tmax] = values;
+        analyses.push({ type: 'tran', tstep, tstop, tstart, ...(tmax !== undefined ? { tmax } : {}) });
+      } else if (keyword === '.ac') {
+        const sweep = (tokens[1] || '').toLowerCase();
+        if (!['dec', 'oct', 'lin'].includes(sweep) || tokens.length < 5) {
+          throw new SpiceError('.ac needs dec|oct|lin, points, fstart and fstop');
+        }
+        analyses.push({
+          type: 'ac',
+          sweep,
+          points: evaluateValue(tokens[2], params),
+          fstart: evaluateValue(tokens[3], params),
+          fstop: evaluateValue(tokens[4], params)
+        });
+      } else if (keyword === '.dc') {
+        const sweeps = [];
+        for (let i = 1; i + 3 < tokens.length; i += 4) {
+          sweeps.push({
+            source: tokens[i],
+            start: evaluateValue(tokens[i + 1], params),
+            stop: evaluateValue(tokens[i + 2], params),
+            step: evaluateValue(tokens[i + 3], params)
+          });
+        }
+        if (sweeps.length === 0) throw new SpiceError('.dc needs a source, start, stop and step');
+        analyses.push({ type: 'dc', sweeps });
+      } else if (keyword === '.op') {
+        analyses.push({ type: 'op' });
+      }
+    } catch (error) {
+      if (!(error instanceof SpiceError)) throw error;
+      errors.push({ line: card.line, message: error.message });
+    }
+  });
+  const transient = analyses.find(analysis => analysis.type === 'tran');
+
+  // Pass 2: elements, expanding subcircuit instances recursively
+  const components = [];
+  const terminals = new Map(); // component id -> { pin: node }
+  const senses = []; // H/F cards waiting for their controlling source
+
+  const expand = (cardList, scope) => {
+    cardList.forEach(card => {
+      const tokens = tokenize(card.text);
+      const keyword = tokens[0].toLowerCase();
+      const warn = message => warnings.push({ line: card.line, message });
+      if (keyword === '.param') {
+        // Subcircuit-local parameters
+        try {
+          readParams(card.text, scope.params);
+        } catch (error) {
+          if (!(error instanceof SpiceError)) throw error;
+          errors.push({ line: card.line, message: error.message });
+        }
+        return;
+      }
+      if (keyword.startsWith('.')) {
+        if (['.model', '.tran', '.ac', '.dc', '.op'].includes(keyword)) return;
+        if (keyword === '.include' || keyword === '.inc' || keyword === '.lib') {
+          warn(`${tokens[0]} is not supported, referenced file was not loaded`);
+        } else if (IGNORED_DIRECTIVES.includes(keyword)) {
+          warn(`${tokens[0]} ignored`);
+        } else {
+          warn(`Unsupported directive ${tokens[0]} ignored`);
+        }
+        return;
+      }
+      try {
+        addElement(tokens, scope, warn, card);
+      } catch (error) {
+        if (!(error instanceof SpiceError)) throw error;
+        errors.push({ line: card.line, message: `${tokens[0]}: ${error.message}` });
+      }
+    });
+  };
+
+  const addElement = (tokens, scope, warn, card) => {
+    const name = tokens[0];
+    const letter = name[0].toLowerCase();
+    const id = scope.prefix + name;
+    const node = n => scope.node(n);
+    const { positional, named } = splitFields(tokens.slice(1));
+    const value = token => evaluateValue(token, scope.params);
+    const requireNodes = count => {
+      if (positional.length < count) throw new SpiceError(`needs ${count} nodes`);
+      return positional.slice(0, count).map(node);
+    };
+    const add = (type, pins, properties) => {
+      if (terminals.has(id)) throw new SpiceError(`duplicate element name ${id}`);
+      components.push({ id, type, name: id, properties });
+      terminals.set(id, pins);
+    };
+    const warnExtra = known => {
+      const extra = [...named.keys()].filter(key => !known.includes(key));
+      if (extra.length > 0) warn(`${name}: parameters ${extra.join(', ')} ignored`);
+    };
+
+    switch (letter) {
+      case 'r':
+      case 'c':
+      case 'l': {
+        const type = { r: 'resistor', c: 'capacitor', l: 'inductor' }[letter];
+        const property = { r: 'resistance', c: 'capacitance', l: 'inductance' }[letter];
+        const [a, b] = requireNodes(2);
+        const raw = positional[2] !== undefined ? positional[2] : named.get(letter);
+        if (raw === undefined) throw new SpiceError('missing value');
+        const pins = letter === 'c' ? { positive: a, negative: b } : { pin1: a, pin2: b };
+        add(type, pins, { [property]: libraryValue(type, property, value(raw)) });
+        warnExtra([letter]);
+        break;
+      }
+
+      case 'd': {
+        const [anode, cathode] = requireNodes(2);
+        const model = models.get((positional[2] || '').toLowerCase());
+        if (!model || model.type !== 'd') throw new SpiceError(`unknown diode model '${positional[2]}'`);
+        const area = positional[3] !== undefined ? value(positional[3]) : 1;
+        add('diode', { anode, cathode }, diodeFromModel(model, area, warn));
+        warnExtra([]);
+        break;
+      }
+
+      case 'm': {
+        const [drain, gate, source, bulk] = requireNodes(4);
+        const model = models.get((positional[4] || '').toLowerCase());
+        if (!model || !['nmos', 'pmos'].includes(model.type)) {
+          throw new SpiceError(`unknown MOSFET model '${positional[4]}'`);
+        }
+        const properties = mosfetFromModel(model, warn);
+        if (named.has('w')) properties.width = libraryValue('transistor', 'width', value(named.get('w')));
+        if (named.has('l')) properties.length = libraryValue('transistor', 'length', value(named.get('l')));
+        add('transistor', { drain, gate, source, bulk }, properties);
+        warnExtra(['w', 'l']);
+        break;
+      }
+
+      case 'v':
+      case 'i': {
+        const type = letter === 'v' ? 'voltageSource' : 'currentSource';
+        const [positive, negative] = requireNodes(2);
+        add(type, { positive, negative }, sourceFromFields(type, tokens.slice(3), scope.params, transient, warn));
+        break;
+      }
+
+      case 'e':
+      case 'g': {
+        if (positional.some(t => ['poly', 'value', 'table'].includes(t.toLowerCase())) || named.has('value')) {
+          throw new SpiceError('behavioural and POLY controlled sources are not supported');
+        }
+        const type = letter === 'e' ? 'vcvs' : 'vccs';
+        const property = letter === 'e' ? 'gain' : 'transconductance';
+        const [positive, negative, controlPositive, controlNegative] = requireNodes(4);
+        add(type, { positive, negative, controlPositive, controlNegative }, {
+          [property]: libraryValue(type, property, value(positional[4]))
+        });
+        break;
+      }
+
+      case 'h':
+      case 'f': {
+        const type = letter === 'h' ? 'ccvs' : 'cccs';
+        const property = letter === 'h' ? 'transresistance' : 'gain';
+        const [positive, negative] = requireNodes(2);
+        if (positional.length < 4) throw new SpiceError('needs a controlling voltage source and a gain');
+        add(type, { positive, negative }, { [property]: libraryValue(type, property, value(positional[3])) });
+        senses.push({ id, source: scope.prefix + positional[2], line: card.line });
+        break;
+      }
+
+      case 'x': {
+        const instance = positional.filter(t => t.toLowerCase() !== 'params:');
+        const definition = subcircuits.get((instance[instance.length - 1] || '').toLowerCase());
+        if (!definition) throw new SpiceError(`unknown subcircuit '${instance[instance.length - 1]}'`);
+        if (scope.depth >= MAX_SUBCIRCUIT_DEPTH) throw new SpiceError('subcircuits nested too deeply');
+        const outer = instance.slice(0, -1);
+        if (outer.length !== definition.ports.length) {
+          throw new SpiceError(`${definition.name} has ${definition.ports.length} ports, got ${outer.length} nodes`);
+        }
+
+        const ports = new Map(definition.ports.map((port, k) => [port.toLowerCase(), node(outer[k])]));
+        const local = new Map(scope.params);
+        definition.defaults.forEach((raw, key) => local.set(key, evaluateValue(raw, local)));
+        named.forEach((raw, key) => local.set(key, value(raw)));
+        const prefix = `${id}.`;
+        expand(definition.cards, {
+          prefix,
+          depth: scope.depth + 1,
+          params: local,
+          node: n => {
+            if (ports.has(n.toLowerCase())) return ports.get(n.toLowerCase());
+            const net = normalizeNetName(n);
+            return net === GROUND_NET ? net : spelling(prefix + n);
+          }
+        });
+        break;
+      }
+
+      default:
+        warn(`Unsupported element ${name} ignored`);
+    }
+  };
+
+  // Node names are case-insensitive in SPICE; keep the first spelling seen
+  const spellings = new Map();
+  const spelling = net => {
+    if (!spellings.has(net.toLowerCase())) spellings.set(net.toLowerCase(), net);
+    return spellings.get(net.toLowerCase());
+  };
+  expand(topLevel, { prefix: '', depth: 0, params, node: n => spelling(normalizeNetName(n)) });
+
+  // SPICE senses current through a named voltage source. A plain 0 V source
+  // used by one sensor is an ammeter and is replaced by the sensor's own
+  // control pins; otherwise the sensor is spliced in series with the source:
+  // controlPositive takes the source's positive node and the source moves to
+  // a new node behind the sensor
+  const usedNodes = new Set();
+  terminals.forEach(pins => Object.values(pins).forEach(net => usedNodes.add(net)));
+  const sweptSources = new Set(analyses.filter(a => a.type === 'dc').flatMap(a => a.sweeps.map(s => s.source.toLowerCase())));
+  senses.forEach(({ id, source, line }) => {
+    const sourcePins = terminals.get(source);
+    const controlling = components.find(comp => comp.id === source);
+    if (!sourcePins || controlling.type !== 'voltageSource') {
+      errors.push({ line, message: `${id}: controlling source ${source} not found` });
+      return;
+    }
+
+    const p = controlling.properties;
+    const ammeter = p.waveform === 'dc' && parseSpiceNumber(p.dc) === 0 && !p.acMagnitude &&
+      senses.filter(other => other.source === source).length === 1 && !sweptSources.has(source.toLowerCase());
+    if (ammeter) {
+      Object.assign(terminals.get(id), { controlPositive: sourcePins.positive, controlNegative: sourcePins.negative });
+      components.splice(components.indexOf(controlling), 1);
+      terminals.delete(source);
+      return;
+    }
+
+    let splice = `${id}.sense`;
+    for (let k = 1; usedNodes.has(splice); k++) splice = `${id}.sense${k}`;
+    usedNodes.add(splice);
+    Object.assign(terminals.get(id), { controlPositive: sourcePins.positive, controlNegative: splice });
+    sourcePins.positive = splice;
+  });
+
+  // Nets from node membership, components on a square grid
+  const nets = new Map();
+  terminals.forEach((pins, id) => {
+    Object.entries(pins).forEach(([pin, net]) => {
+      if (!nets.has(net)) nets.set(net, []);
+      nets.get(net).push(`${id}.${pin}`);
+    });
+  });
+  const columns = Math.max(1, Math.ceil(Math.sqrt(components.length)));
+  components.forEach((comp, index) => {
+    comp.x = 100 + (index % columns) * 120;
+    comp.y = 100 + Math.floor(index / columns) * 100;
+  });
+
+  const byLine = (a, b) => a.line - b.line;
+  return {
+    design: {
+      name: title || 'Imported Netlist',
+      components,
+      nets: [...nets].map(([name, pins]) => ({ name, pins })),
+      analyses
+    },
+    warnings: warnings.sort(byLine),
+    errors: errors.sort(byLine)
+  };
+}
+
+// Element letter per component type
+const ELEMENT_LETTERS = {
+  resistor: 'R',
+  capacitor: 'C',
+  inductor: 'L',
+  diode: 'D',
+  transistor: 'M',
+  voltageSource: 'V',
+  currentSource: 'I',
+  vcvs: 'E',
+  vccs: 'G',
+  ccvs: 'H',
+  cccs: 'F',
+  // Behavioral models are B sources, the ideal op-amp an E card
+  opamp: 'B',
+  comparator: 'B',
+  voltageSwitch: 'S',
+  timeSwitch: 'S',
+  subcircuit: 'X'
+};
+
+// Characters SPICE treats as field separators or syntax
+function spiceIdentifier(text) {
+  return String(text).replace(/[^\w.+\-:#]/g, '_');
+}
+
+// Property value as a SPICE number in SI units
+function spiceValue(comp, name) {
+  return formatSpiceNumber(propertyValue(comp, name));
+}
+
+function formatSpiceWaveform(comp) {
+  const v = name => spiceValue(comp, name);
+  // Small-signal excitation rides along with the large-signal waveform
+  const ac = propertyValue(comp, 'acMagnitude') ? ` AC ${v('acMagnitude')} ${v('acPhase')}` : '';
+  switch (comp.properties.waveform) {
+    case 'pulse':
+      return `PULSE(${v('initial')} ${v('pulsed')} ${v('delay')} ${v('rise')} ${v('fall')} ${v('width')} ${v('period')})${ac}`;
+    case 'sin':
+      return `SIN(${v('offset')} ${v('amplitude')} ${v('frequency')} ${v('delay')} ${v('damping')} ${v('phase')})${ac}`;
+    case 'pwl':
+      return `PWL(${pwlProperty(comp).map(([t, value]) => `${formatSpiceNumber(t)} ${formatSpiceNumber(value)}`).join(' ')})${ac}`;
+    default:
+      return `DC ${v('dc')}${ac}`;
+  }
+}
+
+// Switch transition time of an exported time-controlled switch
+const SWITCH_EDGE = 1e-12;
+
+// .model card text (without the name) for a diode, MOSFET or switch
+function modelBody(comp) {
+  if (comp.type === 'voltageSwitch') {
+    // SPICE switches turn on at VT + VH and off at VT - VH
+    return `SW(VT=${spiceValue(comp, 'threshold')} VH=${formatSpiceNumber(propertyValue(comp, 'hysteresis') / 2)}` +
+      ` RON=${spiceValue(comp, 'ron')} ROFF=${spiceValue(comp, 'roff')})`;
+  }
+  if (comp.type === 'timeSwitch') {
+    return `SW(VT=0.5 VH=0 RON=${spiceValue(comp, 'ron')} ROFF=${spiceValue(comp, 'roff')})`;
+  }
+  if (comp.type === 'diode') {
+    const params = diodeParameters(comp);
+    return `D(IS=${formatSpiceNumber(params.saturationCurrent)} N=${formatSpiceNumber(params.emission)})`;
+  }
+  const params = mosfetParameters(comp);
+  const type = params.polarity > 0 ? 'NMOS' : 'PMOS';
+  return `${type}(LEVEL=1 VTO=${formatSpiceNumber(params.polarity * params.threshold)}` +
+    ` KP=${formatSpiceNumber(params.beta * params.length / params.width)}` +
+    ` LAMBDA=${formatSpiceNumber(params.lambda)} TOX=${formatSpiceNumber(propertyValue(comp, 'oxideThickness'))}` +
+    ` KF=${formatSpiceNumber(params.flickerCoefficient)})`;
+}
+
+// Analysis directive for a saved design analysis
+function analysisCard(analysis, elementNames) {
+  const n = formatSpiceNumber;
+  switch (analysis.type) {
+    case 'tran':
+      return `.tran ${n(analysis.tstep)} ${n(analysis.tstop)}` +
+        (analysis.tstart || analysis.tmax ? ` ${n(analysis.tstart || 0)}` : '') +
+        (analysis.tmax ? ` ${n(analysis.tmax)}` : '');
+    case 'ac':
+      return `.ac ${analysis.sweep} ${analysis.points} ${n(analysis.fstart)} ${n(analysis.fstop)}`;
+    case 'dc':
+      return '.dc ' + analysis.sweeps.map(sweep =>
+        `${elementNames.get(sweep.source) || sweep.source} ${n(sweep.start)} ${n(sweep.stop)} ${n(sweep.step)}`
+      ).join(' ');
+    case 'op':
+      return '.op';
+    default:
+      return null;
+  }
+}
+
+// Element cards of one scope of a deck, the top level or a .subckt body.
+// Net names become node names with ground as 0; `ports` are named first so
+// they keep their spelling. Element names start with their type letter and
+// are unique ignoring case
+function elementCards(design, ports, { modelName, subcircuitName, partName, lookup }) {
+  const components = attachPorts(design.components, lookup);
+  const { terminals } = buildNodeMap(components, design.nets || []);
+
+  // Collisions after sanitizing get a suffix
+  const nodeNames = new Map([[GROUND_NET, '0']]);
+  const usedNodes = new Set(['0']);
+  // Also names the internal nodes of behavioral models, which are on no net
+  const freshNode = base => {
+    let name = spiceIdentifier(base);
+    for (let k = 1; usedNodes.has(name.toLowerCase()); k++) name = `${spiceIdentifier(base)}_${k}`;
+    usedNodes.add(name.toLowerCase());
+    return name;
+  };
+  const nodeName = net => {
+    if (!nodeNames.has(net)) nodeNames.set(net, freshNode(net));
+    return nodeNames.get(net);
+  };
+  const nodes = ports.map(nodeName);
+  const node = (comp, pin) => nodeName(terminals.get(comp.id)[pin]);
+
+  const elementNames = new Map();
+  const usedElements = new Set();
+  const uniqueName = (letter, base) => {
+    let name = base.toUpperCase().startsWith(letter) ? base : `${letter}${base}`;
+    for (let k = 1; usedElements.has(name.toLowerCase()); k++) name = `${letter}${base}_${k}`;
+    usedElements.add(name.toLowerCase());
+    return name;
+  };
+  // Parts defined by a SPICE subcircuit are X instances of it
+  const letter = comp => {
+    if (comp.type === 'opamp' && comp.properties.model === 'ideal') return 'E';
+    return ELEMENT_LETTERS[comp.type] || (deviceModel(comp.type).spiceSubcircuit ? 'X' : null);
+  };
+  components.forEach(comp => {
+    if (letter(comp)) {
+      elementNames.set(comp.id, uniqueName(letter(comp), spiceIdentifier(comp.id)));
+    }
+  });
+
+  const elements = [];
+  components.forEach(comp => {
+    const name = elementNames.get(comp.id);
+    const pins = (...names) => names.map(pin => node(comp, pin)).join(' ');
+    // Pin-to-pin voltage in a B-source expression
+    const across = (a, b) => (node(comp, b) === '0' ? `V(${node(comp, a)})` : `V(${node(comp, a)},${node(comp, b)})`);
+
+    switch (comp.type) {
+      case 'resistor':
+        elements.push(`${name} ${pins('pin1', 'pin2')} ${spiceValue(comp, 'resistance')}`);
+        break;
+      case 'capacitor':
+        elements.push(`${name} ${pins('positive', 'negative')} ${spiceValue(comp, 'capacitance')}`);
+        break;
+      case 'inductor':
+        elements.push(`${name} ${pins('pin1', 'pin2')} ${spiceValue(comp, 'inductance')}`);
+        break;
+      case 'diode':
+        elements.push(`${name} ${pins('anode', 'cathode')} ${modelName(comp)}`);
+        break;
+      case 'transistor':
+        elements.push(`${name} ${pins('drain', 'gate', 'source', 'bulk')} ${modelName(comp)}` +
+          ` W=${spiceValue(comp, 'width')} L=${spiceValue(comp, 'length')}`);
+        break;
+      case 'voltageSource':
+      case 'currentSource':
+        elements.push(`${name} ${pins('positive', 'negative')} ${formatSpiceWaveform(comp)}`);
+        break;
+      case 'vcvs':
+        elements.push(`${name} ${pins('positive', 'negative', 'controlPositive', 'controlNegative')} ${spiceValue(comp, 'gain')}`);
+        break;
+      case 'vccs':
+        elements.push(`${name} ${pins('positive', 'negative', 'controlPositive', 'controlNegative')} ${spiceValue(comp, 'transconductance')}`);
+        break;
+      case 'ccvs':
+      case 'cccs': {
+        // SPICE senses current through a named voltage source, add a 0 V ammeter
+        const sense = uniqueName('V', `${name}_SENSE`);
+        const gain = spiceValue(comp, comp.type === 'ccvs' ? 'transresistance' : 'gain');
+        elements.push(`${sense} ${pins('controlPositive', 'controlNegative')} DC 0`);
+        elements.push(`${name} ${pins('positive', 'negative')} ${sense} ${gain}`);
+        break;
+      }
+      case 'opamp': {
+        if (comp.properties.model === 'ideal') {
+          elements.push(`${name} ${pins('output')} 0 ${pins('inPositive', 'inNegative')} ${spiceValue(comp, 'gain')}`);
+          break;
+        }
+        // The internal output x integrates into a 1 F capacitor, slewing as
+        // the simulator's model does, and the output clips it to the rails
+        const gain = propertyValue(comp, 'gain');
+        const slewRate = propertyValue(comp, 'slewRate');
+        const tau = gain / (2 * Math.PI * propertyValue(comp, 'gbw'));
+        const x = freshNode(`${name}_POLE`);
+        const n = formatSpiceNumber;
+        elements.push(`${uniqueName('B', `${name}_SLEW`)} 0 ${x} I=${n(slewRate)}*tanh((${n(gain)}*${across('inPositive', 'inNegative')}-V(${x}))/${n(tau * slewRate)})`);
+        elements.push(`${uniqueName('C', `${name}_POLE`)} ${x} 0 1`);
+        elements.push(`${name} ${pins('output')} 0 V=max(${spiceValue(comp, 'vLow')},min(${spiceValue(comp, 'vHigh')},V(${x})))`);
+        break;
+      }
+      case 'comparator': {
+        const low = propertyValue(comp, 'vLow');
+        const swing = propertyValue(comp, 'vHigh') - low;
+        if (propertyValue(comp, 'hysteresis') > 0) elements.push(`* ${comp.id}: hysteresis is not exported`);
+        elements.push(`${name} ${pins('output')} 0 V=${formatSpiceNumber(low)}+${formatSpiceNumber(swing)}*u(${across('inPositive', 'inNegative')})`);
+        break;
+      }
+      case 'voltageSwitch':
+        elements.push(`${name} ${pins('pin1', 'pin2', 'controlPositive', 'controlNegative')} ${modelName(comp)}`);
+        break;
+      case 'timeSwitch': {
+        // Driven by a control source stepping from 0 (open) to 1 (closed)
+        const control = freshNode(`${name}_CTRL`);
+        const from = comp.properties.initial === 'closed' ? 1 : 0;
+        const at = propertyValue(comp, 'switchTime');
+        const n = formatSpiceNumber;
+        elements.push(`${uniqueName('V', `${name}_CTRL`)} ${control} 0 ` +
+          (at > 0 ? `PWL(0 ${from} ${n(at)} ${from} ${n(at + SWITCH_EDGE)} ${1 - from})` : `DC ${1 - from}`));
+        elements.push(`${name} ${pins('pin1', 'pin2')} ${control} 0 ${modelName(comp)}`);
+        break;
+      }
+      case 'subcircuit':
+        elements.push([name, ...comp.ports.map(pin => node(comp, pin)), subcircuitName(comp)].join(' '));
+        break;
+      default: {
+        const part = deviceModel(comp.type).spiceSubcircuit;
+        if (!part) {
+          elements.push(`* ${comp.id}: ${comp.type} has no SPICE equivalent`);
+          break;
+        }
+        const parameters = part.parameters.map(property => `${property}=${spiceValue(comp, property)}`);
+        elements.push([name, pins(...componentLibrary[comp.type].pins), partName(comp)].join(' ') +
+          (parameters.length ? ` params: ${parameters.join(' ')}` : ''));
+      }
+    }
+  });
+  return { elements, elementNames, nodes };
+}
+
+// SPICE deck for a design: one .model card per distinct diode/MOSFET/switch
+// parameter set and the design's saved analyses. The title line carries the
+// design name. Subcircuit instances become X cards, with one .subckt per
+// block and set of parameter values; `lookup(id)` resolves their designs.
+// Parts defined by a subcircuit are X cards of their own .subckt
+function generateSpiceNetlist(design, lookup = () => undefined) {
+  // Reject a broken hierarchy before recursing into it
+  flattenDesign(design, lookup);
+
+  const models = new Map(); // model body -> model name
+  const modelCounts = {};
+  const modelName = comp => {
+    const body = modelBody(comp);
+    if (!models.has(body)) {
+      const prefix = comp.type === 'diode' ? 'DMOD' : body.startsWith('SW(') ? 'SMOD' : body.slice(0, 4);
+      modelCounts[prefix] = (modelCounts[prefix] || 0) + 1;
+      models.set(body, `${prefix}${modelCounts[prefix]}`);
+    }
+    return models.get(body);
+  };
+
+  // Parameters are substituted, so each set of values is its own .subckt.
+  // A definition is written once its body is complete, nested ones first
+  const subcircuits = new Map(); // block id and values -> .subckt name
+  const usedSubcircuits = new Set();
+  const definitions = [];
+  const subcircuitName = comp => {
+    const block = lookup(comp.subcircuit);
+    const values = instanceParameters(block, comp.parameters, comp.id);
+    const key = `${block.id} ${JSON.stringify(values)}`;
+    if (!subcircuits.has(key)) {
+      const base = spiceIdentifier(block.name || block.id);
+      let name = base;
+      for (let k = 1; usedSubcircuits.has(name.toLowerCase()); k++) name = `${base}_${k}`;
+      usedSubcircuits.add(name.toLowerCase());
+      subcircuits.set(key, name);
+
+      const body = { ...block, components: applyParameters(block.components, values) };
+      const { elements, nodes } = elementCards(body, designPorts(block), scope);
+      definitions.push('', [`.subckt ${name}`, ...nodes].join(' '), ...elements, `.ends ${name}`);
+    }
+    return subcircuits.get(key);
+  };
+  // A user-defined part's own .subckt text, written once per part
+  const parts = new Set();
+  const partName = comp => {
+    const part = deviceModel(comp.type).spiceSubcircuit;
+    if (!parts.has(comp.type)) {
+      parts.add(comp.type);
+      definitions.push('', `* ${componentLibrary[comp.type].name}`, part.text);
+    }
+    return part.name;
+  };
+  const scope = { modelName, subcircuitName, partName, lookup };
+
+  const top = { ...design, components: applyParameters(design.components, design.parameters || {}) };
+  const { elements, elementNames } = elementCards(top, [], scope);
+
+  const lines = [
+    design.name || 'VelocityChip design',
+    `* Generated by VelocityChip on ${new Date().toISOString()}`,
+    '',
+    ...elements,
+    ...definitions
+  ];
+  if (models.size > 0) {
+    lines.push('');
+    models.forEach((name, body) => lines.push(`.model ${name} ${body}`));
+  }
+  const analyses = (design.analyses || []).map(analysis => analysisCard(analysis, elementNames)).filter(Boolean);
+  if (analyses.length > 0) lines.push('', ...analyses);
+  lines.push('', '.end', '');
+  return lines.join('\n');
+}
+
+module.exports = { parseSpiceNetlist, generateSpiceNetlist, evaluateExpression, SpiceError };
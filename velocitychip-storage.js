@@ -0,0 +1,317 @@
+// Design repositories. Every store keeps whole design documents keyed by id
+// behind the same synchronous interface, so the REST routes do not care
+// where designs live:
+//   list()        all designs, oldest first
+//   get(id)       a copy of the design, or undefined
+//   has(id)
+//   save(design)  insert or replace by design.id
+//   delete(id)    true if something was removed
+//   count()
+// and an append-only revision history per design:
+//   addRevision(revision)          store { designId, revision, ... }, never replacing one
+//   listRevisions(designId)        oldest first
+//   getRevision(designId, number)
+// Deleting a design deletes its history. Designs handed out are copies;
+// callers change them and save() them back
+
+const fs = require('fs');
+const path = require('path');
+
+const STORAGE_KINDS = ['file', 'sqlite', 'memory'];
+
+function copy(design) {
+  return JSON.parse(JSON.stringify(design));
+}
+
+function byCreated(a, b) {
+  return String(a.created).localeCompare(String(b.created));
+}
+
+// A revision number that is already taken; history is never rewritten
+class RevisionConflictError extends Error {
+  constructor(designId, revision) {
+    super(`Design ${designId} already has revision ${revision}`);
+    this.name = 'RevisionConflictError';
+  }
+}
+
+// Volatile store, the behaviour of the original in-memory Map
+class MemoryDesignStore {
+  constructor() {
+    this.designs = new Map();
+    this.revisions = new Map();
+  }
+
+  list() {
+    return Array.from(this.designs.values()).map(copy).sort(byCreated);
+  }
+
+  get(id) {
+    const design = this.designs.get(id);
+    return design ? copy(design) : undefined;
+  }
+
+  has(id) {
+    return this.designs.has(id);
+  }
+
+  save(design) {
+    this.designs.set(design.id, copy(design));
+    return design;
+  }
+
+  delete(id) {
+    this.revisions.delete(id);
+    return this.designs.delete(id);
+  }
+
+  count() {
+    return this.designs.size;
+  }
+
+  addRevision(revision) {
+    if (!this.revisions.has(revision.designId)) this.revisions.set(revision.designId, []);
+    const history = this.revisions.get(revision.designId);
+    if (history.some(r => r.revision === revision.revision)) {
+      throw new RevisionConflictError(revision.designId, revision.revision);
+    }
+    history.push(copy(revision));
+    return revision;
+  }
+
+  listRevisions(designId) {
+    return (this.revisions.get(designId) || []).map(copy);
+  }
+
+  getRevision(designId, number) {
+    const revision = (this.revisions.get(designId) || []).find(r => r.revision === number);
+    return revision ? copy(revision) : undefined;
+  }
+}
+
+// Write to a temporary file in the same directory, flush it and rename it
+// over the target, so readers only ever see the old or the new document
+function writeFileAtomic(file, contents) {
+  const temporary = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(temporary, 'w');
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(temporary, file);
+}
+
+// One JSON document per design in `directory`, cached in memory after the
+// initial scan. Revisions are files named by number under `<id>.revisions/`
+class FileDesignStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.designs = new Map();
+    fs.mkdirSync(directory, { recursive: true });
+
+    fs.readdirSync(directory).forEach(entry => {
+      const file = path.join(directory, entry);
+      if (entry.endsWith('.tmp')) {
+        // Left behind by a write that never reached its rename
+        fs.unlinkSync(file);
+        return;
+      }
+      if (!entry.endsWith('.json')) return;
+      try {
+        const design = JSON.parse(fs.readFileSync(file, 'utf8'));
+        this.designs.set(design.id, design);
+      } catch (error) {
+        console.warn(`Skipping unreadable design file ${file}: ${error.message}`);
+      }
+    });
+  }
+
+  // Ids come from URLs, so only plain names map onto files
+  fileFor(id) {
+    return /^[A-Za-z0-9_-]+$/.test(String(id)) ? path.join(this.directory, `${id}.json`) : null;
+  }
+
+  list() {
+    return Array.from(this.designs.values()).map(copy).sort(byCreated);
+  }
+
+  get(id) {
+    const design = this.designs.get(id);
+    return design ? copy(design) : undefined;
+  }
+
+  has(id) {
+    return this.designs.has(id);
+  }
+
+  save(design) {
+    const file = this.fileFor(design.id);
+    if (!file) throw new Error(`Design id '${design.id}' cannot be stored as a file`);
+    writeFileAtomic(file, JSON.stringify(design, null, 2));
+    this.designs.set(design.id, copy(design));
+    return design;
+  }
+
+  delete(id) {
+    if (!this.designs.has(id)) return false;
+    fs.unlinkSync(this.fileFor(id));
+    fs.rmSync(this.revisionDirectory(id), { recursive: true, force: true });
+    this.designs.delete(id);
+    return true;
+  }
+
+  count() {
+    return this.designs.size;
+  }
+
+  revisionDirectory(id) {
+    const file = this.fileFor(id);
+    return file ? file.replace(/\.json$/, '.revisions') : null;
+  }
+
+  addRevision(revision) {
+    const directory = this.revisionDirectory(revision.designId);
+    if (!directory) throw new Error(`Design id '${revision.designId}' cannot be stored as a file`);
+    fs.mkdirSync(directory, { recursive: true });
+    const file = path.join(directory, `${revision.revision}.json`);
+    if (fs.existsSync(file)) throw new RevisionConflictError(revision.designId, revision.revision);
+    writeFileAtomic(file, JSON.stringify(revision, null, 2));
+    return revision;
+  }
+
+  listRevisions(designId) {
+    const directory = this.revisionDirectory(designId);
+    if (!directory || !fs.existsSync(directory)) return [];
+    return fs.readdirSync(directory)
+      .filter(entry => /^\d+\.json$/.test(entry))
+      .map(entry => JSON.parse(fs.readFileSync(path.join(directory, entry), 'utf8')))
+      .sort((a, b) => a.revision - b.revision);
+  }
+
+  getRevision(designId, number) {
+    const directory = this.revisionDirectory(designId);
+    if (!directory || !Number.isInteger(number)) return undefined;
+    const file = path.join(directory, `${number}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : undefined;
+  }
+}
+
+// Embedded SQLite database via better-sqlite3. Each statement runs in its own
+// transaction, which makes every save atomic
+class SqliteDesignStore {
+  constructor(file) {
+    // Loaded on demand so the file and memory stores work without the native module
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND') throw error;
+      throw new Error('VELOCITYCHIP_STORAGE=sqlite needs the optional better-sqlite3 dependency, which did not install');
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`CREATE TABLE IF NOT EXISTS designs (
+      id TEXT PRIMARY KEY,
+      created TEXT NOT NULL,
+      document TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS revisions (
+      design_id TEXT NOT NULL,
+      revision INTEGER NOT NULL,
+      document TEXT NOT NULL,
+      PRIMARY KEY (design_id, revision)
+    )`);
+    this.statements = {
+      list: this.db.prepare('SELECT document FROM designs ORDER BY created'),
+      get: this.db.prepare('SELECT document FROM designs WHERE id = ?'),
+      save: this.db.prepare(`INSERT INTO designs (id, created, document) VALUES (@id, @created, @document)
+        ON CONFLICT(id) DO UPDATE SET document = excluded.document`),
+      delete: this.db.prepare('DELETE FROM designs WHERE id = ?'),
+      deleteRevisions: this.db.prepare('DELETE FROM revisions WHERE design_id = ?'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM designs'),
+      addRevision: this.db.prepare('INSERT INTO revisions (design_id, revision, document) VALUES (?, ?, ?)'),
+      listRevisions: this.db.prepare('SELECT document FROM revisions WHERE design_id = ? ORDER BY revision'),
+      getRevision: this.db.prepare('SELECT document FROM revisions WHERE design_id = ? AND revision = ?')
+    };
+    this.deleteWithHistory = this.db.transaction(id => {
+      this.statements.deleteRevisions.run(id);
+      return this.statements.delete.run(id).changes > 0;
+    });
+  }
+
+  list() {
+    return this.statements.list.all().map(row => JSON.parse(row.document));
+  }
+
+  get(id) {
+    const row = this.statements.get.get(String(id));
+    return row ? JSON.parse(row.document) : undefined;
+  }
+
+  has(id) {
+    return this.statements.get.get(String(id)) !== undefined;
+  }
+
+  save(design) {
+    this.statements.save.run({ id: String(design.id), created: String(design.created), document: JSON.stringify(design) });
+    return design;
+  }
+
+  delete(id) {
+    return this.deleteWithHistory(String(id));
+  }
+
+  count() {
+    return this.statements.count.get().count;
+  }
+
+  addRevision(revision) {
+    try {
+      this.statements.addRevision.run(String(revision.designId), revision.revision, JSON.stringify(revision));
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') throw new RevisionConflictError(revision.designId, revision.revision);
+      throw error;
+    }
+    return revision;
+  }
+
+  listRevisions(designId) {
+    return this.statements.listRevisions.all(String(designId)).map(row => JSON.parse(row.document));
+  }
+
+  getRevision(designId, number) {
+    const row = this.statements.getRevision.get(String(designId), number);
+    return row ? JSON.parse(row.document) : undefined;
+  }
+}
+
+// Store selected by VELOCITYCHIP_STORAGE (file, sqlite or memory; file by
+// default) under VELOCITYCHIP_DATA_DIR. Other documents kept by id, such as
+// user-defined components, use the same stores under another `collection`
+function createDesignStore(env = process.env, collection = 'designs') {
+  const kind = env.VELOCITYCHIP_STORAGE || 'file';
+  const directory = env.VELOCITYCHIP_DATA_DIR || path.join(__dirname, 'data');
+  switch (kind) {
+    case 'memory':
+      return new MemoryDesignStore();
+    case 'sqlite':
+      return new SqliteDesignStore(path.join(directory, `${collection}.sqlite`));
+    case 'file':
+      return new FileDesignStore(path.join(directory, collection));
+    default:
+      throw new Error(`Unknown VELOCITYCHIP_STORAGE '${kind}', expected one of ${STORAGE_KINDS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  STORAGE_KINDS,
+  RevisionConflictError,
+  MemoryDesignStore,
+  FileDesignStore,
+  SqliteDesignStore,
+  createDesignStore,
+  writeFileAtomic
+};
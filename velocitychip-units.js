@@ -0,0 +1,184 @@
+// Engineering value parsing and formatting shared by the frontend, the REST
+// API, the simulator and the exporters. Values are accepted the way SPICE
+// and datasheets write them: '1k', '4.7kΩ', '10μm', '1pF', '2.2meg'
+
+// SPICE scale factors. Prefixes are case-insensitive as in SPICE, so a bare
+// 'm' or 'M' is milli and mega is spelled 'meg'
+const PREFIXES = {
+  f: 1e-15,
+  p: 1e-12,
+  n: 1e-9,
+  u: 1e-6,
+  'μ': 1e-6, // Greek mu
+  'µ': 1e-6, // Micro sign
+  m: 1e-3,
+  k: 1e3,
+  meg: 1e6,
+  g: 1e9,
+  t: 1e12
+};
+
+// Prefix letters tried longest first so 'meg' wins over 'm'
+const PREFIX_KEYS = Object.keys(PREFIXES).sort((a, b) => b.length - a.length);
+
+// Declared units that are not SI base units, with the base unit they scale
+const SCALED_UNITS = {
+  'μm': { base: 'm', scale: 1e-6 },
+  nm: { base: 'm', scale: 1e-9 },
+  'cm²/V·s': { base: 'm²/V·s', scale: 1e-4 },
+  'ppm/°C': { base: '1/°C', scale: 1e-6 }
+};
+
+// Alternative spellings of unit suffixes
+const UNIT_ALIASES = {
+  'Ω': ['Ω', 'ohm', 'ohms', 'Ohm', 'Ohms'],
+  Hz: ['Hz', 'hz'],
+  '°': ['°', 'deg']
+};
+
+// Units that take an SI prefix when formatted; the rest print in their declared unit
+const PREFIXABLE_UNITS = ['Ω', 'F', 'H', 'V', 'A', 'W', 's', 'Hz', 'S', 'm'];
+
+const NUMBER_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/i;
+
+// Malformed value or a unit that does not match the property
+class UnitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnitError';
+  }
+}
+
+function baseUnit(unit) {
+  return SCALED_UNITS[unit] ? SCALED_UNITS[unit].base : unit;
+}
+
+function unitScale(unit) {
+  return SCALED_UNITS[unit] ? SCALED_UNITS[unit].scale : 1;
+}
+
+function unitSpellings(unit) {
+  return UNIT_ALIASES[unit] || [unit];
+}
+
+// Scale factor of a suffix relative to the base unit, or null if it does not
+// parse. A full unit match is tried before prefixes so '1F' is one farad,
+// while the lowercase '1f' stays femto. An uppercase 'M' followed by a unit
+// ('1MΩ', '10MHz') is read as SI mega
+function suffixScale(suffix, unit) {
+  const base = baseUnit(unit);
+  const spellings = [...unitSpellings(base), ...(base !== unit ? unitSpellings(unit) : [])];
+  const spellingScale = spelling => (spelling === unit && base !== unit ? unitScale(unit) : 1);
+
+  const exact = spellings.find(spelling => spelling && suffix === spelling);
+  if (exact !== undefined) return spellingScale(exact);
+
+  for (const prefix of PREFIX_KEYS) {
+    if (suffix.slice(0, prefix.length).toLowerCase() !== prefix) continue;
+    const rest = suffix.slice(prefix.length);
+    if (rest === '') return PREFIXES[prefix];
+    const spelling = spellings.find(s => s && rest === s);
+    if (spelling !== undefined) {
+      const factor = prefix === 'm' && suffix[0] === 'M' ? 1e6 : PREFIXES[prefix];
+      return factor * spellingScale(spelling);
+    }
+  }
+  return null;
+}
+
+// Parse a value for a property declared in `unit` and return it in SI base
+// units. Plain numbers are taken in the declared unit ('10' for a μm property
+// is 10 μm); a prefix without a unit scales the base unit as in SPICE ('10u'
+// is 10 μm). Throws UnitError for malformed values or mismatched units
+function parseValue(input, unit = '') {
+  if (typeof input === 'number') {
+    if (!Number.isFinite(input)) throw new UnitError(`${input} is not a finite number`);
+    return input * unitScale(unit);
+  }
+  if (typeof input !== 'string') {
+    throw new UnitError(`Expected a number or string, got ${input === null ? 'null' : typeof input}`);
+  }
+
+  const text = input.trim();
+  const match = text.match(NUMBER_PATTERN);
+  if (!match) throw new UnitError(`'${input}' is not a number`);
+
+  const number = parseFloat(match[0]);
+  const suffix = text.slice(match[0].length).trim();
+  if (suffix === '') return number * unitScale(unit);
+
+  const scale = suffixScale(suffix, unit);
+  if (scale === null) {
+    throw new UnitError(unit
+      ? `'${input}' does not match the unit ${unit}`
+      : `'${input}' has an unexpected suffix '${suffix}'`);
+  }
+  return number * scale;
+}
+
+// SPICE number: scale factor suffixes are case-insensitive ('M' is milli,
+// 'meg' mega, 'mil' a thousandth of an inch) and any letters after them are
+// ignored, so '1pF' and '10uH' parse. Returns NaN when there is no number
+function parseSpiceNumber(text) {
+  const match = String(text).trim().match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(meg|mil|[fpnuμµmkgt])?[a-zμµΩ°%]*$/i);
+  if (!match) return NaN;
+  const number = parseFloat(match[1]);
+  if (!match[2]) return number;
+  const prefix = match[2].toLowerCase();
+  return number * (prefix === 'mil' ? 25.4e-6 : PREFIXES[prefix]);
+}
+
+// Like parseValue but returns `fallback` instead of throwing
+function parseValueOr(input, unit, fallback) {
+  try {
+    return parseValue(input, unit);
+  } catch (error) {
+    if (error instanceof UnitError) return fallback;
+    throw error;
+  }
+}
+
+// Trim float noise such as 4.7000000000000002
+function trimNumber(value) {
+  return String(parseFloat(value.toPrecision(12)));
+}
+
+function engineeringPrefix(value) {
+  const exponent = value === 0 ? 0 : Math.floor(Math.log10(Math.abs(value)) / 3) * 3;
+  const prefixes = { '-15': 'f', '-12': 'p', '-9': 'n', '-6': 'μ', '-3': 'm', 0: '', 3: 'k', 6: 'M', 9: 'G', 12: 'T' };
+  const clamped = Math.max(-15, Math.min(12, exponent));
+  return { symbol: prefixes[clamped], scale: Math.pow(10, clamped) };
+}
+
+// Human-readable value of an SI quantity in the property's unit: 1000 'Ω'
+// gives '1kΩ', 1e-5 'μm' gives '10μm'. Compound units print unprefixed in
+// the declared unit
+function formatValue(value, unit = '') {
+  const base = baseUnit(unit);
+  if (!PREFIXABLE_UNITS.includes(base)) {
+    // '0.02 1/V' rather than the ambiguous '0.021/V'
+    const separator = /^\d/.test(unit) ? ' ' : '';
+    return `${trimNumber(value / unitScale(unit))}${separator}${unit}`;
+  }
+  const { symbol, scale } = engineeringPrefix(value);
+  return `${trimNumber(value / scale)}${symbol}${base}`;
+}
+
+// SPICE number: ASCII prefixes, 'meg' for mega and no unit
+function formatSpiceNumber(value) {
+  const { symbol, scale } = engineeringPrefix(value);
+  const spice = { 'μ': 'u', M: 'meg', G: 'g', T: 't' };
+  return `${trimNumber(value / scale)}${spice[symbol] !== undefined ? spice[symbol] : symbol}`;
+}
+
+module.exports = {
+  PREFIXES,
+  UnitError,
+  baseUnit,
+  unitScale,
+  parseValue,
+  parseValueOr,
+  parseSpiceNumber,
+  formatValue,
+  formatSpiceNumber
+};
@@ -0,0 +1,324 @@
+// Verilog exports. `generateVerilog` writes a structural switch-level module
+// (nmos/pmos primitives wired by net) for transistor-level logic;
+// `generateVerilogA` writes an analog behavioural module with one
+// contribution statement per component. Ports are the nets whose
+// `direction` is input, output or inout
+
+const { propertyValue, pwlProperty } = require('./velocitychip-components');
+const { GROUND_NET, NET_DIRECTIONS, buildNodeMap } = require('./velocitychip-netlist');
+const { diodeParameters, mosfetParameters } = require('./velocitychip-devices');
+
+// Verilog and Verilog-AMS keywords that cannot be used as plain identifiers
+const KEYWORDS = new Set([
+  'always', 'analog', 'and', 'assign', 'begin', 'branch', 'buf', 'case', 'cmos', 'default', 'discipline',
+  'electrical', 'else', 'end', 'endcase', 'endmodule', 'for', 'function', 'ground', 'if', 'initial',
+  'inout', 'input', 'integer', 'module', 'nand', 'nmos', 'nor', 'not', 'or', 'output', 'parameter',
+  'pmos', 'pulldown', 'pullup', 'real', 'reg', 'rnmos', 'rpmos', 'rtran', 'supply0', 'supply1', 'time',
+  'tran', 'tri', 'trireg', 'wire', 'while', 'xor'
+]);
+
+// Plain identifier when legal, otherwise an escaped identifier. Escaped
+// identifiers end at whitespace, so they carry their terminating space
+function identifier(name) {
+  const text = String(name).trim().replace(/\s+/g, '_');
+  if (/^[A-Za-z_][A-Za-z0-9_$]*$/.test(text) && !KEYWORDS.has(text)) return text;
+  return `\\${text} `;
+}
+
+// Real literal for Verilog-A expressions, without float noise
+function real(value) {
+  return Number.isFinite(value) ? String(parseFloat(value.toPrecision(12))) : '0.0';
+}
+
+function header(design, comment) {
+  return [
+    `${comment} ${design.name || 'VelocityChip design'}`,
+    `${comment} Generated by VelocityChip on ${new Date().toISOString()}`
+  ];
+}
+
+// Nets by name with their direction, plus each component's pin -> net map
+function connectivity(design) {
+  const { terminals } = buildNodeMap(design.components, design.nets || []);
+  const directions = new Map();
+  (design.nets || []).forEach(net => {
+    if (NET_DIRECTIONS.includes(net.direction)) directions.set(net.name, net.direction);
+  });
+
+  const netNames = [];
+  terminals.forEach(pins => Object.values(pins).forEach(net => {
+    if (!netNames.includes(net)) netNames.push(net);
+  }));
+  const ports = netNames.filter(net => directions.has(net));
+  return { terminals, directions, netNames, ports };
+}
+
+// DC level of a source that only ever holds one value, otherwise null
+function constantSourceValue(comp) {
+  const waveform = comp.properties.waveform || 'dc';
+  return waveform === 'dc' ? propertyValue(comp, 'dc') : null;
+}
+
+// Gate primitive of each two-input logic gate type
+const GATE_PRIMITIVES = {
+  andGate: 'and',
+  orGate: 'or',
+  nandGate: 'nand',
+  norGate: 'nor',
+  xorGate: 'xor'
+};
+
+// Structural switch-level Verilog. Ground and nets held by a DC supply
+// become supply0/supply1, nets with a capacitor to ground become trireg,
+// resistors are rtran and inductors tran. Logic gates are gate primitives
+// and logic constants continuous assignments. Components without a
+// switch-level equivalent are listed as comments
+function generateVerilog(design) {
+  const { terminals, directions, netNames, ports } = connectivity(design);
+
+  // Supply levels from DC voltage sources referenced to ground
+  const supplies = new Map([[GROUND_NET, 'supply0']]);
+  design.components.forEach(comp => {
+    if (comp.type !== 'voltageSource') return;
+    const pins = terminals.get(comp.id);
+    const value = constantSourceValue(comp);
+    if (pins.negative === GROUND_NET && value !== null && !directions.has(pins.positive)) {
+      supplies.set(pins.positive, value > 0 ? 'supply1' : 'supply0');
+    }
+  });
+  const stored = new Set();
+  design.components.forEach(comp => {
+    if (comp.type !== 'capacitor') return;
+    const pins = terminals.get(comp.id);
+    if (pins.negative === GROUND_NET) stored.add(pins.positive);
+    if (pins.positive === GROUND_NET) stored.add(pins.negative);
+  });
+
+  // Instances first so only nets that reach a primitive are declared
+  const used = new Set();
+  const net = (comp, pin) => {
+    used.add(terminals.get(comp.id)[pin]);
+    return identifier(terminals.get(comp.id)[pin]);
+  };
+  const instances = [];
+  design.components.forEach(comp => {
+    const instance = identifier(comp.id);
+    switch (comp.type) {
+      case 'transistor': {
+        const primitive = mosfetParameters(comp).polarity > 0 ? 'nmos' : 'pmos';
+        // Switch primitive terminals are (output, input, control)
+        instances.push(`  ${primitive} ${instance}(${net(comp, 'drain')}, ${net(comp, 'source')}, ${net(comp, 'gate')});`);
+        break;
+      }
+      case 'resistor':
+        instances.push(`  rtran ${instance}(${net(comp, 'pin1')}, ${net(comp, 'pin2')});`);
+        break;
+      case 'inductor':
+        instances.push(`  tran ${instance}(${net(comp, 'pin1')}, ${net(comp, 'pin2')});`);
+        break;
+      case 'capacitor':
+        // Modelled by the trireg declaration of its net
+        break;
+      case 'andGate':
+      case 'orGate':
+      case 'nandGate':
+      case 'norGate':
+      case 'xorGate':
+        // Gate primitive terminals are (output, inputs...)
+        instances.push(`  ${GATE_PRIMITIVES[comp.type]} ${instance}(${net(comp, 'y')}, ${net(comp, 'a')}, ${net(comp, 'b')});`);
+        break;
+      case 'notGate':
+        instances.push(`  not ${instance}(${net(comp, 'y')}, ${net(comp, 'a')});`);
+        break;
+      case 'constant':
+        instances.push(`  assign ${net(comp, 'y')} = 1'b${comp.properties.value || '0'};`);
+        break;
+      case 'voltageSource': {
+        const pins = terminals.get(comp.id);
+        if (supplies.has(pins.positive) && pins.negative === GROUND_NET) {
+          instances.push(`  // ${comp.id}: ${supplies.get(pins.positive)} on ${pins.positive}`);
+        } else {
+          instances.push(`  // ${comp.id}: voltage source is a stimulus, drive ${pins.positive} from the testbench`);
+        }
+        break;
+      }
+      default:
+        instances.push(`  // ${comp.id}: ${comp.type} has no switch-level equivalent`);
+    }
+  });
+
+  const lines = [...header(design, '//'), ''];
+  lines.push(ports.length > 0
+    ? `module ${identifier(design.name || 'design')}(${ports.map(identifier).join(', ')});`
+    : `module ${identifier(design.name || 'design')};`);
+  ports.forEach(port => lines.push(`  ${directions.get(port)} ${identifier(port)};`));
+
+  const internal = netNames.filter(name => used.has(name) && !directions.has(name));
+  ['supply0', 'supply1', 'trireg', 'wire'].forEach(kind => {
+    const names = internal.filter(name =>
+      (supplies.get(name) || (stored.has(name) ? 'trireg' : 'wire')) === kind
+    );
+    if (names.length > 0) lines.push(`  ${kind} ${names.map(identifier).join(', ')};`);
+  });
+  lines.push('', ...instances);
+  lines.push('', 'endmodule', '');
+  return lines.join('\n');
+}
+
+// Verilog-A expression for a source waveform in terms of $abstime
+function waveformExpression(comp) {
+  const p = name => real(propertyValue(comp, name));
+  switch (comp.properties.waveform) {
+    case 'sin':
+      return `(${p('delay')} > $abstime) ? ${p('offset')} + ${p('amplitude')} * sin(\`M_PI * ${p('phase')} / 180.0) : ` +
+        `${p('offset')} + ${p('amplitude')} * exp(-($abstime - ${p('delay')}) * ${p('damping')}) * ` +
+        `sin(2.0 * \`M_PI * ${p('frequency')} * ($abstime - ${p('delay')}) + \`M_PI * ${p('phase')} / 180.0)`;
+    case 'pwl': {
+      const points = pwlProperty(comp);
+      if (points.length === 0) return '0.0';
+      // Nested conditionals from the last segment outwards
+      let expression = real(points[points.length - 1][1]);
+      for (let i = points.length - 1; i > 0; i--) {
+        const [t0, v0] = points[i - 1];
+        const [t1, v1] = points[i];
+        const segment = t1 === t0 ? real(v1)
+          : `${real(v0)} + (${real(v1 - v0)}) * ($abstime - ${real(t0)}) / ${real(t1 - t0)}`;
+        expression = `($abstime <= ${real(t1)}) ? ${segment} : (${expression})`;
+      }
+      return `($abstime <= ${real(points[0][0])}) ? ${real(points[0][1])} : (${expression})`;
+    }
+    default:
+      return real(propertyValue(comp, 'dc'));
+  }
+}
+
+// Statements for a PULSE source, which needs the time within the period
+function pulseStatements(comp, target, variable) {
+  const p = name => real(propertyValue(comp, name));
+  const period = propertyValue(comp, 'period');
+  return [
+    `    ${variable} = $abstime - ${p('delay')};`,
+    ...(period > 0 ? [`    if (${variable} > 0) ${variable} = ${variable} - ${p('period')} * floor(${variable} / ${p('period')});`] : []),
+    `    if ($abstime < ${p('delay')}) ${target} <+ ${p('initial')};`,
+    `    else if (${variable} < ${p('rise')}) ${target} <+ ${p('initial')} + (${p('pulsed')} - ${p('initial')}) * ${variable} / ${p('rise')};`,
+    `    else if (${variable} < ${p('rise')} + ${p('width')}) ${target} <+ ${p('pulsed')};`,
+    `    else if (${variable} < ${p('rise')} + ${p('width')} + ${p('fall')}) ` +
+      `${target} <+ ${p('pulsed')} + (${p('initial')} - ${p('pulsed')}) * (${variable} - ${p('rise')} - ${p('width')}) / ${p('fall')};`,
+    `    else ${target} <+ ${p('initial')};`
+  ];
+}
+
+// Analog behavioural Verilog-A using the same device equations as the simulator
+function generateVerilogA(design) {
+  const { terminals, directions, netNames, ports } = connectivity(design);
+  const node = (comp, pin) => identifier(terminals.get(comp.id)[pin]);
+  const local = (comp, suffix) => identifier(`${comp.id}_${suffix}`);
+
+  const declarations = [];
+  const branches = [];
+  const statements = [];
+
+  design.components.forEach(comp => {
+    const pair = (a, b) => `${node(comp, a)}, ${node(comp, b)}`;
+    switch (comp.type) {
+      case 'resistor':
+        statements.push(`    I(${pair('pin1', 'pin2')}) <+ V(${pair('pin1', 'pin2')}) / ${real(propertyValue(comp, 'resistance'))};`);
+        break;
+
+      case 'capacitor':
+        statements.push(`    I(${pair('positive', 'negative')}) <+ ${real(propertyValue(comp, 'capacitance'))} * ddt(V(${pair('positive', 'negative')}));`);
+        break;
+
+      case 'inductor': {
+        const branch = local(comp, 'branch');
+        branches.push(`  branch (${pair('pin1', 'pin2')}) ${branch};`);
+        statements.push(`    V(${branch}) <+ ${real(propertyValue(comp, 'inductance'))} * ddt(I(${branch}));`);
+        break;
+      }
+
+      case 'diode': {
+        const params = diodeParameters(comp);
+        statements.push(`    I(${pair('anode', 'cathode')}) <+ ${real(params.saturationCurrent)} * ` +
+          `(limexp(V(${pair('anode', 'cathode')}) / (${real(params.emission)} * $vt)) - 1.0);`);
+        break;
+      }
+
+      case 'transistor': {
+        const params = mosfetParameters(comp);
+        const [vgs, vds, vov, id, sign] = ['vgs', 'vds', 'vov', 'id', 'sign'].map(name => local(comp, name));
+        declarations.push(`  real ${[vgs, vds, vov, id, sign].join(', ')};`);
+        // Level-1 equations on NMOS-equivalent voltages; source and drain
+        // swap when the channel is reverse biased
+        statements.push(
+          `    ${vgs} = ${real(params.polarity)} * V(${pair('gate', 'source')});`,
+          `    ${vds} = ${real(params.polarity)} * V(${pair('drain', 'source')});`,
+          `    ${sign} = 1.0;`,
+          `    if (${vds} < 0) begin`,
+          `      ${vgs} = ${vgs} - ${vds};`,
+          `      ${vds} = -${vds};`,
+          `      ${sign} = -1.0;`,
+          '    end',
+          `    ${vov} = ${vgs} - ${real(params.threshold)};`,
+          `    if (${vov} <= 0) ${id} = 0.0;`,
+          `    else if (${vds} < ${vov}) ${id} = ${real(params.beta)} * (${vov} * ${vds} - ${vds} * ${vds} / 2.0) * (1.0 + ${real(params.lambda)} * ${vds});`,
+          `    else ${id} = ${real(params.beta / 2)} * ${vov} * ${vov} * (1.0 + ${real(params.lambda)} * ${vds});`,
+          `    I(${pair('drain', 'source')}) <+ ${real(params.polarity)} * ${sign} * ${id};`
+        );
+        break;
+      }
+
+      case 'voltageSource':
+      case 'currentSource': {
+        const target = `${comp.type === 'voltageSource' ? 'V' : 'I'}(${pair('positive', 'negative')})`;
+        if (comp.properties.waveform === 'pulse') {
+          const t = local(comp, 't');
+          declarations.push(`  real ${t};`);
+          statements.push(...pulseStatements(comp, target, t));
+        } else {
+          statements.push(`    ${target} <+ ${waveformExpression(comp)};`);
+        }
+        break;
+      }
+
+      case 'vcvs':
+        statements.push(`    V(${pair('positive', 'negative')}) <+ ${real(propertyValue(comp, 'gain'))} * V(${pair('controlPositive', 'controlNegative')});`);
+        break;
+
+      case 'vccs':
+        statements.push(`    I(${pair('positive', 'negative')}) <+ ${real(propertyValue(comp, 'transconductance'))} * V(${pair('controlPositive', 'controlNegative')});`);
+        break;
+
+      case 'ccvs':
+      case 'cccs': {
+        // Zero-volt sense branch between the control pins
+        const sense = local(comp, 'sense');
+        branches.push(`  branch (${pair('controlPositive', 'controlNegative')}) ${sense};`);
+        statements.push(`    V(${sense}) <+ 0.0;`);
+        statements.push(comp.type === 'ccvs'
+          ? `    V(${pair('positive', 'negative')}) <+ ${real(propertyValue(comp, 'transresistance'))} * I(${sense});`
+          : `    I(${pair('positive', 'negative')}) <+ ${real(propertyValue(comp, 'gain'))} * I(${sense});`);
+        break;
+      }
+
+      default:
+        statements.push(`    // ${comp.id}: ${comp.type} is not supported in Verilog-A export`);
+    }
+  });
+
+  const name = identifier(design.name || 'design');
+  const lines = [
+    ...header(design, '//'),
+    '',
+    '`include "constants.vams"',
+    '`include "disciplines.vams"',
+    '',
+    ports.length > 0 ? `module ${name}(${ports.map(identifier).join(', ')});` : `module ${name};`
+  ];
+  ports.forEach(port => lines.push(`  ${directions.get(port)} ${identifier(port)};`));
+  if (netNames.length > 0) lines.push(`  electrical ${netNames.map(identifier).join(', ')};`);
+  if (netNames.includes(GROUND_NET)) lines.push(`  ground ${identifier(GROUND_NET)};`);
+  lines.push(...branches, ...declarations, '', '  analog begin', ...statements, '  end', '', 'endmodule', '');
+  return lines.join('\n');
+}
+
+module.exports = { generateVerilog, generateVerilogA, identifier };